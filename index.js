@@ -1,57 +1,56 @@
+#!/usr/bin/env node
 // index.js — External Google Sheets Automations (no Apps Script)
 // Features:
-//  1) Highlight blanks/duplicates in Column C across category tabs
-//  2) Status migrations (H/K) → Interested / Meeting Set (true move, safe deletes)
+//  1) Highlight blanks/duplicates (optionally near duplicates) in Column C across category tabs (+ "Duplicates Report" tab),
+//     and unreadable dates in Column A (lib/dates.js)
+//  2) Status migrations: routing rules (H/K by default) → Interested / Meeting Set / … (move or copy, safe deletes)
+//     Rules also run on the destination tabs; `dest: $origin` sends a row back to the tab it came from
 //  3) MSN checkbox (F) → MSN Creators (true move, safe deletes)
+//     Moves delete their source rows found again by ID, never by a row number read earlier
+//  4) Optional per-column validation with a "Data Quality" summary tab (lib/quality.js)
+// Every action of a run is appended to the "Automation Log" tab (lib/audit.js) and
+// a summary can be posted to Slack or JSON webhooks (lib/notify.js).
+// Tabs, columns, colors and switches come from lib/config.js (see sheets.config.example.yaml);
+// columns are fixed letters or found per tab by header name (lib/layout.js).
+// Tab values are read once per run through a shared snapshot (lib/snapshot.js).
+// With incremental.enabled, tabs unchanged since the last run are skipped (lib/state.js).
+// Every Sheets call is throttled and retried on 429/5xx (lib/retry.js).
+// Tests run offline against an in-memory Sheets fake (test/, `npm test`).
 // Env secrets (GitHub Actions):
-//   - SPREADSHEET_ID
+//   - SPREADSHEET_ID               (unless the config profile names its spreadsheet)
 //   - GOOGLE_SERVICE_ACCOUNT_JSON  (raw service account JSON OR base64-encoded JSON)
-
+// Command line (lib/cli.js, `sheets-auto --help`):
+//   sheets-auto [run|highlight|migrate|msn|validate|report] [--tabs a,b] [--spreadsheet <id>]
+//               [--config <path>] [--profile <name>] [--dry-run] [--json] [--full] [--verbose]
+//   restore <runId>   put back the rows a run moved (see lib/journal.js)
+//   fix-ids           give rows that share a creator ID by mistake their own (lib/ids.js)
+// Every run first finishes or rolls back moves an interrupted run left open.
+// Runs on the same spreadsheet take turns through a lease lock (lib/lock.js).
+
+import fs from "node:fs";
+import { pathToFileURL } from "node:url";
 import { google } from "googleapis";
-
-/* =========================
-   CONFIG (tabs & columns)
-   ========================= */
-
-const SHEETS = [
-  "GeneralCreators - Outreach", "CreatorsWithNoYoutube",
-  "LongFormCreators - Outreach", "ASMR, Relaxation & Satisfying",
-  "Toys & Kid-Focused Entertainment", "Video Podcasts", "Technology & Gadgets",
-  "Personal Finance & Investing", "Health & Wellness",
-  "Beauty & Fashion", "Gaming", "Education & How-To Content",
-  "Business & Entrepreneurship", "Automotive", "Lifestyle & Vlogging",
-  "Food & Cooking", "Travel", "Parenting & Family",
-  "Home & DIY", "News & Commentary", "Music & Performance",
-  "Movies & TV Commentary", "Currently In an MCN", "Science & Curiosity",
-  "Luxury & High-End Lifestyle", "Real Estate & Investing",
-  "Motivational & Self-Development"
-];
-const STATUS_SHEETS = SHEETS.concat(["Interested", "Meeting Set"]);
-
-const STATUS_COLS = [8, 11];    // H and K
-const ID_COL       = 20;        // T
-const DATE_COL     = 1;         // A
-const YT_COL       = 3;         // C
-
-const BLANK_HEX = "#c9daf8";
-const DUP_HEX   = "#FF0000";
-
-const MSN_DEST_SHEET       = "MSN Creators";
-const MSN_ID_COL           = 20; // T
-const MSN_HEADER_ROW       = 1;
-const MSN_CHECKBOX_COL     = 6;  // F
-const MSN_SOURCE_WHITELIST = []; // [] = all sources
-const MSN_SKIP_SET         = new Set([MSN_DEST_SHEET, "Automation Log"]);
-
-/* =========================
-   Behavior switches
-   ========================= */
-
-const MIGRATE_STATUS_AS_MOVE = true;
-const MIGRATE_MSN_AS_MOVE    = true;
-
-const REQUIRE_DEST_ID_BEFORE_DELETE        = true;
-const VERIFY_SOURCE_CHECKSUM_BEFORE_DELETE = true;
+import { createPlan, formatPlan, planToJSON } from "./lib/plan.js";
+import { loadConfig, validateAgainstSpreadsheet } from "./lib/config.js";
+import { matchRule, ruleDateColumns, ruleDestinations, ruleFields, ruleTarget, ORIGIN } from "./lib/rules.js";
+import { writeAuditLog } from "./lib/audit.js";
+import { journalPendingMoves, setMoveStates, reconcileMoves, restoreRun } from "./lib/journal.js";
+import { createSnapshot } from "./lib/snapshot.js";
+import { withRetries } from "./lib/retry.js";
+import { fixDuplicateIds } from "./lib/ids.js";
+import { writeDuplicatesReport } from "./lib/report.js";
+import { compactForMatch, findNearDuplicates } from "./lib/fuzzy.js";
+import { createDateParser } from "./lib/dates.js";
+import { createLayouts, missingColumns, mapRow, originCell, sameLayout } from "./lib/layout.js";
+import { validateTabs } from "./lib/quality.js";
+import { loadRunState, saveRunState } from "./lib/state.js";
+import { notifyRun } from "./lib/notify.js";
+import { acquireLock } from "./lib/lock.js";
+import { EXIT, USAGE, parseCli } from "./lib/cli.js";
+import {
+  a1, indexToA1Col, hexToRgb01, rgb01ToHex, generateRunId, generateUniqueId,
+  deleteRowsRequests, extractHandle, getColumnBackgrounds, getRowCells, isTargeted, pasteValuesRequest, sendRequests, sendValueWrites, simpleRowChecksum,
+} from "./lib/helpers.js";
 
 /* =========================
    Auth & client
@@ -80,233 +79,306 @@ function sheetsClient(auth) {
   return google.sheets({ version: "v4", auth });
 }
 
-/* =========================
-   Helpers
-   ========================= */
-
-function a1ColToIndex(col) {
-  let n = 0;
-  for (let i = 0; i < col.length; i++) n = n * 26 + (col.charCodeAt(i) - 64);
-  return n;
-}
-function indexToA1Col(n) {
-  let s = "";
-  while (n > 0) {
-    const r = (n - 1) % 26;
-    s = String.fromCharCode(65 + r) + s;
-    n = Math.floor((n - 1) / 26);
-  }
-  return s;
-}
-function sheetLastColLetter(sheet) {
-  const cols = sheet.properties.gridProperties.columnCount || 26;
-  return indexToA1Col(cols);
-}
-function hexToRgb01(hex) {
-  const m = hex.replace("#", "");
-  const r = parseInt(m.substring(0, 2), 16) / 255;
-  const g = parseInt(m.substring(2, 4), 16) / 255;
-  const b = parseInt(m.substring(4, 6), 16) / 255;
-  return { red: r, green: g, blue: b };
-}
-function generateUniqueId() {
-  return "id-" + (Date.now() + Math.floor(Math.random() * 1000)).toString(36);
-}
-function normalizeStr(str) {
-  return str.toString().toLowerCase().replace(/[\._\s@]/g, "");
-}
-function extractHandle(url) {
-  const s = url.toString().trim();
-  const m = s.match(/@[^\/?&]+/);
-  return m
-    ? m[0].toLowerCase()
-    : s
-        .replace(/^(?:https?:\/\/)?(?:www\.)?youtube\.com\//i, "")
-        .split(/[\/?&]/)[0]
-        .toLowerCase();
-}
-async function getSpreadsheetMeta(sheets, spreadsheetId) {
-  const res = await sheets.spreadsheets.get({ spreadsheetId });
-  return res.data;
-}
-async function getOrCreateSheet(sheets, spreadsheetId, title, metaCache) {
-  let meta = metaCache ?? (await getSpreadsheetMeta(sheets, spreadsheetId));
-  let sh = meta.sheets?.find((s) => s.properties?.title === title);
-  if (sh) return { meta, sheet: sh };
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId,
-    requestBody: { requests: [{ addSheet: { properties: { title } } }] },
-  });
-  meta = await getSpreadsheetMeta(sheets, spreadsheetId);
-  sh = meta.sheets?.find((s) => s.properties?.title === title);
-  return { meta, sheet: sh };
-}
-function simpleRowChecksum(rowArray) {
-  const s = (rowArray || []).map(v => (v == null ? "" : String(v))).join("\u241F");
-  let h = 5381;
-  for (let i = 0; i < s.length; i++) h = ((h << 5) + h) + s.charCodeAt(i);
-  return (h >>> 0).toString(36);
-}
-
 /* =========================
    Feature 1: Duplicates & blanks (Column C)
    ========================= */
 
-async function highlightDuplicatesAndBlanksOnC(sheets, spreadsheetId) {
-  const meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+// paint: false only rebuilds the Duplicates Report (`report` command)
+export async function highlightDuplicatesAndBlanksOnC(ctx, { paint: painting = true } = {}) {
+  const { sheets, spreadsheetId, snapshot, plan, config } = ctx;
+  const { colors, nearDuplicates: near } = config;
+  const meta = await snapshot.meta();
+  await snapshot.load(config.tabs);
+  const layouts = createLayouts(config, snapshot);
+  const tabs = config.tabs.filter((title) => {
+    if (!meta.sheets?.some((x) => x.properties?.title === title)) return false;
+    const problem = missingColumns(config, layouts.of(title), ["youtube", "date"]);
+    if (problem) plan.add({ feature: "highlight", action: "skip", sourceTab: title, reason: problem });
+    return !problem;
+  });
+  // Incremental runs: unchanged tabs come from the stored index (lib/state.js)
+  const fresh = tabs.filter((title) => !ctx.state?.isUnchanged(title));
+  // Duplicates are found across every tab; cells are painted only in these
+  const painted = painting ? tabs.filter((title) => isTargeted(ctx, title)) : [];
+  // Dates come back as serial numbers here; typed-in text is parsed per the sheet's locale
+  await snapshot.loadUnformatted(fresh, (title) => layouts.of(title).cols.date);
+  const parseDate = createDateParser(meta.properties?.locale);
   const allMap = {};
+  const recordsBySheet = {};
   const blanksBySheet = {};
+  const badDatesBySheet = {};
+
+  for (const title of tabs) {
+    const s = meta.sheets.find((x) => x.properties?.title === title);
+    const stored = ctx.state?.records(title);
+    if (stored) {
+      // `was`: the flag its cell was painted with last run
+      recordsBySheet[title] = stored.map((rec) => ({ ...rec, sheetTitle: title, sheetId: s.properties.sheetId, was: rec.flag, flag: "" }));
+      recordsBySheet[title].forEach((rec) => (allMap[rec.key] = allMap[rec.key] || []).push(rec));
+      continue;
+    }
+    const { cols } = layouts.of(title);
+    const rawDates = snapshot.unformatted(title, cols.date);
 
-  for (const title of SHEETS) {
-    const s = meta.sheets?.find((x) => x.properties?.title === title);
-    if (!s) continue;
-
-    // Use rowCount; safe even if it’s larger than actual content.
-    const lastRow = s.properties.gridProperties.rowCount || 2;
-    if (lastRow < 2) continue;
-
-    const rangeC = `${title}!C2:C${lastRow}`;
-    const rangeA = `${title}!A2:A${lastRow}`;
-    const [cVals, aVals] = await Promise.all([
-      sheets.spreadsheets.values.get({ spreadsheetId, range: rangeC }),
-      sheets.spreadsheets.values.get({ spreadsheetId, range: rangeA }),
-    ]);
-    const colC = (cVals.data.values || []).map((r) => (r?.[0] ?? ""));
-    const colA = (aVals.data.values || []).map((r) => (r?.[0] ?? ""));
-
-    colC.forEach((val, idx) => {
+    // Row 2 down to the last row with data in any column
+    snapshot.rows(title).slice(1).forEach((r, idx) => {
       const row = idx + 2;
-      const v = (val || "").toString();
+      const v = (r?.[cols.youtube - 1] ?? "").toString();
+      const dateText = (r?.[cols.date - 1] ?? "").toString();
+      const dateMs = parseDate(rawDates[row - 1] ?? dateText);
+      if (dateText.trim() && dateMs == null) (badDatesBySheet[title] = badDatesBySheet[title] || []).push(row);
       if (!v) {
         (blanksBySheet[title] = blanksBySheet[title] || []).push(row);
       } else {
-        const h = normalizeStr(extractHandle(v));
-        (allMap[h] = allMap[h] || []).push({
+        // Same channel however it was pasted (URL form, UC ID, alias) → same key
+        const ident = config.identity.resolve(v);
+        const rec = {
           sheetTitle: title,
           sheetId: s.properties.sheetId,
           row,
-          date: colA[idx] || "",
-        });
+          key: ident.key,
+          ytCol: indexToA1Col(cols.youtube),
+          handle: ident.display,
+          // Channel and video IDs are random strings, so only names are fuzzy-matched
+          matchName: ["channel", "video"].includes(ident.type) ? "" : ident.id,
+          extra: near.columns.map((c) => r?.[c - 1] ?? ""),
+          date: dateText,
+          dateMs,
+          status: cols.status.map((c) => (r?.[c - 1] ?? "").toString().trim()).filter(Boolean).join(" / "),
+          flag: "",
+        };
+        (allMap[ident.key] = allMap[ident.key] || []).push(rec);
+        (recordsBySheet[title] = recordsBySheet[title] || []).push(rec);
       }
     });
   }
 
+  // Earliest parsed date first; rows without a readable date go last
+  const byDateThenRow = (a, b) => {
+    if (a.dateMs !== b.dateMs) {
+      if (a.dateMs == null) return 1;
+      if (b.dateMs == null) return -1;
+      return a.dateMs - b.dateMs;
+    }
+    return a.row - b.row;
+  };
+
   const dupsBySheet = {};
-  for (const [handle, list] of Object.entries(allMap)) {
-    if (handle === "" || list.length <= 1) continue;
-    list.sort((a, b) => {
-      if (a.date < b.date) return -1;
-      if (a.date > b.date) return 1;
-      return a.row - b.row;
-    });
+  const groups = [];
+  const canonical = [];
+  for (const [key, list] of Object.entries(allMap)) {
+    if (key === "") continue;
+    list.sort(byDateThenRow);
+    const first = list[0];
+    canonical.push(first);
+    if (list.length <= 1) continue;
+    groups.push({ handle: first.handle, list });
     list.slice(1).forEach((rec) => {
-      (dupsBySheet[rec.sheetTitle] = dupsBySheet[rec.sheetTitle] || []).push(rec.row);
+      rec.flag = "duplicate";
+      (dupsBySheet[rec.sheetTitle] = dupsBySheet[rec.sheetTitle] || []).push({ row: rec.row, first, handle: rec.handle });
     });
   }
 
-  const requests = [];
-  const blankColor = hexToRgb01(BLANK_HEX);
-  const dupColor = hexToRgb01(DUP_HEX);
+  // Near duplicates: one row per channel (its earliest), compared by name and
+  // any extra columns. Exact duplicates of it are already flagged above.
+  const nearBySheet = {};
+  const nearGroups = [];
+  if (near.enabled) {
+    const opts = { ignoreWords: near.ignoreWords, minLength: near.minLength };
+    const items = canonical.sort(byDateThenRow).map((rec) => ({
+      rec,
+      fields: Object.fromEntries([
+        ["handle", compactForMatch(rec.matchName, opts)],
+        ...near.columns.map((c, i) => [`column ${indexToA1Col(c)}`, compactForMatch(rec.extra[i], opts)]),
+      ]),
+    }));
+    for (const { list, best } of findNearDuplicates(items, { threshold: near.threshold })) {
+      const recs = list.map((it) => it.rec);
+      const scores = new Map([...best].map(([it, b]) => [it.rec, { ...b, other: b.other.rec }]));
+      nearGroups.push({ handle: recs[0].handle, list: recs, scores });
+      for (const [rec, match] of scores) {
+        rec.flag = "near";
+        (nearBySheet[rec.sheetTitle] = nearBySheet[rec.sheetTitle] || []).push({ row: rec.row, handle: rec.handle, match });
+      }
+    }
+  }
 
-  for (const title of SHEETS) {
-    const s = meta.sheets?.find((x) => x.properties?.title === title);
-    if (!s) continue;
+  // Only cells whose color actually changes are painted (and logged). The whole
+  // column is read so highlights left by earlier runs can be cleared.
+  // Unchanged tabs weren't edited, so their colors are the ones painted last run.
+  const columnRanges = (field) => fresh.filter((t) => painted.includes(t)).map((t) => {
+    const s = meta.sheets.find((x) => x.properties?.title === t);
+    const lastRow = Math.max(s.properties.gridProperties?.rowCount || 0, snapshot.rows(t).length, 2);
+    const col = indexToA1Col(layouts.of(t).cols[field]);
+    return a1(t, `${col}2:${col}${lastRow}`);
+  });
+  const currentBg = await getColumnBackgrounds(sheets, spreadsheetId, columnRanges("youtube"));
+  const currentDateBg = await getColumnBackgrounds(sheets, spreadsheetId, columnRanges("date"));
+
+  const requests = [];
+  const blankHex = rgb01ToHex(hexToRgb01(colors.blank));
+  const dupHex = rgb01ToHex(hexToRgb01(colors.duplicate));
+  const nearHex = rgb01ToHex(hexToRgb01(colors.nearDuplicate));
+  const badDateHex = rgb01ToHex(hexToRgb01(colors.badDate));
+  const ours = new Map([[blankHex, "no longer blank"], [dupHex, "no longer a duplicate"], [nearHex, "no longer a near duplicate"]]);
+
+  for (const title of painted) {
+    const s = meta.sheets.find((x) => x.properties?.title === title);
     const sheetId = s.properties.sheetId;
+    const { cols } = layouts.of(title);
+    const bgNow = fresh.includes(title)
+      ? currentBg.get(title) || new Map()
+      : new Map((recordsBySheet[title] || []).filter((rec) => rec.was).map((rec) => [rec.row, rec.was === "near" ? nearHex : dupHex]));
+    const dateBgNow = currentDateBg.get(title) || new Map();
+
+    // hex null = clear the fill
+    const paint = (r, hex, col = cols.youtube) => requests.push({
+      repeatCell: {
+        range: {
+          sheetId,
+          startRowIndex: r - 1,
+          endRowIndex: r,
+          startColumnIndex: col - 1,
+          endColumnIndex: col,
+        },
+        cell: { userEnteredFormat: hex ? { backgroundColor: hexToRgb01(hex) } : {} },
+        fields: "userEnteredFormat.backgroundColor",
+      },
+    });
 
     (blanksBySheet[title] || []).forEach((r) => {
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId,
-            startRowIndex: r - 1,
-            endRowIndex: r,
-            startColumnIndex: a1ColToIndex("C") - 1,
-            endColumnIndex: a1ColToIndex("C"),
-          },
-          cell: { userEnteredFormat: { backgroundColor: blankColor } },
-          fields: "userEnteredFormat.backgroundColor",
-        },
+      if (bgNow.get(r) === blankHex) return;
+      plan.add({ feature: "highlight", action: "highlight-blank", sourceTab: title, sourceRow: r });
+      paint(r, blankHex);
+    });
+
+    (dupsBySheet[title] || []).forEach(({ row: r, first, handle }) => {
+      if (bgNow.get(r) === dupHex) return;
+      plan.add({
+        feature: "highlight",
+        action: "highlight-duplicate",
+        sourceTab: title,
+        sourceRow: r,
+        dest: first.sheetTitle,
+        destRow: first.row,
+        handle,
       });
+      paint(r, dupHex);
     });
 
-    (dupsBySheet[title] || []).forEach((r) => {
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId,
-            startRowIndex: r - 1,
-            endRowIndex: r,
-            startColumnIndex: a1ColToIndex("C") - 1,
-            endColumnIndex: a1ColToIndex("C"),
-          },
-          cell: { userEnteredFormat: { backgroundColor: dupColor } },
-          fields: "userEnteredFormat.backgroundColor",
-        },
+    (nearBySheet[title] || []).forEach(({ row: r, handle, match }) => {
+      if (bgNow.get(r) === nearHex) return;
+      plan.add({
+        feature: "highlight",
+        action: "highlight-near",
+        sourceTab: title,
+        sourceRow: r,
+        dest: match.other.sheetTitle,
+        destRow: match.other.row,
+        handle,
+        reason: `similar ${match.field}, score ${match.score.toFixed(2)}`,
       });
+      paint(r, nearHex);
     });
-  }
 
-  if (requests.length) {
-    await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+    // Our colors on cells that are no longer flagged; other fills are left alone
+    const flagged = new Set([
+      ...(blanksBySheet[title] || []),
+      ...(dupsBySheet[title] || []).map((d) => d.row),
+      ...(nearBySheet[title] || []).map((d) => d.row),
+    ]);
+    for (const [r, hex] of bgNow) {
+      if (flagged.has(r) || !ours.has(hex)) continue;
+      plan.add({ feature: "highlight", action: "highlight-reset", sourceTab: title, sourceRow: r, reason: ours.get(hex) });
+      paint(r, null);
+    }
+
+    // Column A: dates that can't be read (they sort last above)
+    const badDates = new Set(badDatesBySheet[title] || []);
+    for (const r of badDates) {
+      if (dateBgNow.get(r) === badDateHex) continue;
+      plan.add({ feature: "highlight", action: "highlight-bad-date", sourceTab: title, sourceRow: r, reason: `"${snapshot.rows(title)[r - 1]?.[cols.date - 1]}"` });
+      paint(r, badDateHex, cols.date);
+    }
+    for (const [r, hex] of dateBgNow) {
+      if (badDates.has(r) || hex !== badDateHex) continue;
+      plan.add({ feature: "highlight", action: "highlight-reset", sourceTab: title, sourceRow: r, reason: `date in ${indexToA1Col(cols.date)} readable now` });
+      paint(r, null, cols.date);
+    }
   }
+
+  await sendRequests(ctx, requests);
+  tabs.forEach((title) => ctx.state?.setRecords(title, recordsBySheet[title] || []));
+  await writeDuplicatesReport(ctx, groups, nearGroups);
 }
 
 /* =========================
-   Feature 2: Status migrations (H/K) → Interested / Meeting Set
+   Feature 2: Status migrations (routing rules) → destination tabs
    ========================= */
 
-async function runMigrations(sheets, spreadsheetId) {
-  let meta = await getSpreadsheetMeta(sheets, spreadsheetId);
-
-  await getOrCreateSheet(sheets, spreadsheetId, "Interested", meta);
-  meta = await getSpreadsheetMeta(sheets, spreadsheetId);
-  await getOrCreateSheet(sheets, spreadsheetId, "Meeting Set", meta);
-  meta = await getSpreadsheetMeta(sheets, spreadsheetId);
-
-  async function buildIdSet(title) {
-    const s = meta.sheets?.find((x) => x.properties?.title === title);
-    if (!s) return new Set();
-    const lastRow = s.properties.gridProperties.rowCount || 2;
-    if (lastRow < 2) return new Set();
-    const range = `${title}!${indexToA1Col(ID_COL)}2:${indexToA1Col(ID_COL)}${lastRow}`;
-    const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-    const vals = (res.data.values || []).map((r) => (r?.[0] ?? "")).map(String);
-    return new Set(vals.filter(Boolean));
+export async function runMigrations(ctx) {
+  const { sheets, spreadsheetId, snapshot, plan, config } = ctx;
+  const { columns } = config;
+  const { rules } = config.migrations;
+  const destTitles = ruleDestinations(rules);
+  const now = Date.now();
+
+  for (const dest of destTitles) await snapshot.ensureSheet(dest, plan);
+  const meta = await snapshot.meta();
+  const parseDate = createDateParser(meta.properties?.locale);
+  await snapshot.load([...destTitles, ...config.statusSheets], columns.id);
+  const layouts = createLayouts(config, snapshot);
+  const needed = ["id", ...ruleFields(rules)];
+  // Dates rules compare come back as serial numbers, so the sheet's locale and
+  // display format don't change what a rule matches
+  const dateCols = new Map(config.statusSheets.map((t) => [t, ruleDateColumns(rules, layouts.of(t).cols)]));
+  const widest = Math.max(0, ...[...dateCols.values()].map((c) => c.length));
+  for (let k = 0; k < widest; k++) {
+    const withK = config.statusSheets.filter((t) => dateCols.get(t).length > k);
+    await snapshot.loadUnformatted(withK, (t) => dateCols.get(t)[k]);
   }
-  let interestedIds = await buildIdSet("Interested");
-  let meetingIds    = await buildIdSet("Meeting Set");
 
-  const copyRequests = [];
+  // A destination without a header row yet takes the first source's; one whose
+  // header has no ID column can't receive rows. Origin tabs (`$origin` rules)
+  // are looked at the first time a row is routed to one.
+  const destBroken = new Set();
+  const destIds = new Map();
+  // Copies are appended below whatever the destination holds when they land
+  // (appendCells), so rows added meanwhile are never written over. These are
+  // only where they should land, for the plan; the verify read below corrects
+  // them. A destination that doesn't exist yet (dry run) has no rows.
+  const nextRowByDest = new Map();
+  const canReceive = (dest) => {
+    if (destBroken.has(dest)) return false;
+    if (destIds.has(dest)) return true;
+    const problem = layouts.isBlank(dest) ? "" : missingColumns(config, layouts.of(dest), ["id"]);
+    if (problem) {
+      destBroken.add(dest);
+      plan.add({ feature: "migrate", action: "skip", sourceTab: dest, reason: `${problem}; rows routed here stay where they are` });
+      return false;
+    }
+    destIds.set(dest, new Set(layouts.isBlank(dest) ? [] : snapshot.rowsById(dest, layouts.of(dest).cols.id).keys()));
+    nextRowByDest.set(dest, snapshot.rows(dest).length + 1);
+    return true;
+  };
+  destTitles.forEach(canReceive);
+
+  const appends = [];
   const perSheetDeletePlan = new Map();
+  const written = new Set();
 
-  for (const title of STATUS_SHEETS) {
+  for (const title of config.statusSheets) {
     const s = meta.sheets?.find((x) => x.properties?.title === title);
-    if (!s) continue;
+    if (!s || ctx.state?.isUnchanged(title) || !isTargeted(ctx, title)) continue;
 
-    const sheetId = s.properties.sheetId;
-    const lastRow = s.properties.gridProperties.rowCount || 2;
-    const lastColLetter = sheetLastColLetter(s);
-    if (lastRow < 2) continue;
-
-    const rangeAll = `${title}!A2:${lastColLetter}${lastRow}`;
-    const res = await sheets.spreadsheets.values.get({ spreadsheetId, range: rangeAll });
-    const rows = res.data.values || [];
-
-    const rangeId = `${title}!${indexToA1Col(ID_COL)}2:${indexToA1Col(ID_COL)}${lastRow}`;
-    const idColRes = await sheets.spreadsheets.values.get({ spreadsheetId, range: rangeId });
-    const idCol = (idColRes.data.values || []).map(r => String(r?.[0] ?? ""));
-
-    async function getNextDestRow(destTitle, cached) {
-      if (cached != null) return cached;
-      const resA = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: `${destTitle}!A:A`,
-      });
-      const used = (resA.data.values || []).length;
-      return used + 1;
+    const layout = layouts.of(title);
+    const problem = missingColumns(config, layout, needed);
+    if (problem) {
+      plan.add({ feature: "migrate", action: "skip", sourceTab: title, reason: problem });
+      continue;
     }
-    let interestedNextRow = null;
-    let meetingNextRow    = null;
+    const { cols } = layout;
+    const rows = snapshot.rows(title).slice(1);
 
     const idWrites = [];
     const toMaybeDelete = [];
@@ -314,350 +386,482 @@ async function runMigrations(sheets, spreadsheetId) {
     for (let i = 0; i < rows.length; i++) {
       const rowIdx1 = i + 2;
       const row = rows[i] || [];
-      const colH = (row[STATUS_COLS[0] - 1] || "").toString();
-      const colK = (row[STATUS_COLS[1] - 1] || "").toString();
-      const statText = `${colH} ${colK}`.toLowerCase();
 
-      let dest = null;
-      if (statText.includes("meeting set")) dest = "Meeting Set";
-      else if (statText.includes("interested") && !statText.includes("not interested"))
-        dest = "Interested";
-      if (!dest) continue;
+      const raw = (c) => snapshot.unformatted(title, c)[rowIdx1 - 1];
+      const rule = matchRule(rules, row, { now, parseDate, cols, tab: title, raw });
+      if (!rule) continue;
+      const handle = cols.youtube && row[cols.youtube - 1] ? extractHandle(row[cols.youtube - 1]) : "";
+      const dest = ruleTarget(rule, row, cols);
+      if (rule.dest === ORIGIN) {
+        const reason = originProblem(config, meta, layout, title, dest);
+        if (reason) {
+          plan.add({ feature: "migrate", action: "skip", sourceTab: title, sourceRow: rowIdx1, handle, rule: rule.name, reason });
+          continue;
+        }
+        // A row in one of `tabs` with no origin recorded is already home
+        if (!dest) continue;
+      }
+      // A row already sitting in its rule's destination stays put
+      if (dest === title || !canReceive(dest)) continue;
 
-      let id = idCol[i];
+      let id = String(row[cols.id - 1] ?? "");
       if (!id) {
         id = generateUniqueId();
-        idCol[i] = id;
         idWrites.push([rowIdx1, id]);
+        plan.add({ feature: "migrate", action: "write-id", sourceTab: title, sourceRow: rowIdx1, id, handle });
       }
 
-      if (dest === "Interested" && interestedIds.has(id)) continue;
-      if (dest === "Meeting Set" && meetingIds.has(id)) continue;
-
-      if (dest === "Interested") {
-        interestedNextRow = await getNextDestRow("Interested", interestedNextRow);
-      } else {
-        meetingNextRow = await getNextDestRow("Meeting Set", meetingNextRow);
+      const skip = (reason) => plan.add({
+        feature: "migrate", action: "skip", sourceTab: title, sourceRow: rowIdx1, dest, id, handle, rule: rule.name, reason,
+      });
+      if (destIds.get(dest).has(id)) {
+        // Under a copy rule the source row stays on purpose and its ID is that copy's
+        if (rule.mode === "copy") continue;
+        skip(`ID already in ${dest}`);
+        continue;
       }
-      const destRow = dest === "Interested" ? interestedNextRow++ : meetingNextRow++;
+
+      // The row as it will read back once the ID write has landed
+      const rowWithId = row.slice();
+      rowWithId[cols.id - 1] = id;
 
       const destSheetId = meta.sheets?.find((x) => x.properties?.title === dest)?.properties?.sheetId;
-      const colCount = s.properties.gridProperties.columnCount;
-
-      copyRequests.push({
-        copyPaste: {
-          source: {
-            sheetId,
-            startRowIndex: rowIdx1 - 1,
-            endRowIndex: rowIdx1,
-            startColumnIndex: 0,
-            endColumnIndex: colCount,
-          },
-          destination: {
-            sheetId: destSheetId,
-            startRowIndex: destRow - 1,
-            endRowIndex: destRow,
-            startColumnIndex: 0,
-            endColumnIndex: colCount,
-          },
-          pasteType: "PASTE_NORMAL",
-        },
+      if (layouts.isBlank(dest)) {
+        appends.push({ sheetId: destSheetId, header: layout.header });
+        plan.add({ feature: "migrate", action: "write-header", dest, reason: `copied from ${title}` });
+        layouts.adopt(dest, layout);
+        nextRowByDest.set(dest, Math.max(nextRowByDest.get(dest), 2));
+      }
+      // The origin only matters outside `tabs`; a tab without the column can do without it
+      const toMap = rowWithId.slice();
+      if (cols.origin && !layouts.of(dest).cols.origin) toMap[cols.origin - 1] = "";
+      const mapped = mapRow(toMap, layout, layouts.of(dest));
+      if (rule.mode === "move" && mapped.dropped.length) {
+        skip(`${dest} has no column for ${mapped.dropped.join(", ")}`);
+        continue;
+      }
+
+      const destRow = nextRowByDest.get(dest);
+      nextRowByDest.set(dest, destRow + 1);
+      written.add(title).add(dest);
+
+      const entry = plan.add({
+        feature: "migrate", action: "copy", sourceTab: title, sourceRow: rowIdx1,
+        dest, destRow, id, handle, rule: rule.name,
+      });
+      appends.push({
+        sheetId: destSheetId, title, rowIdx1, from: layout, to: layouts.of(dest), origin: originCell(config, title, layouts.of(dest)), entry,
       });
 
-      if (MIGRATE_STATUS_AS_MOVE) {
+      if (rule.mode === "move") {
         toMaybeDelete.push({
           rowIdx1,
-          checksum: simpleRowChecksum(row),
+          checksum: simpleRowChecksum(rowWithId),
           dest,
-          id
+          id,
+          handle,
+          values: rowWithId,
+          entry,
         });
       }
 
-      if (dest === "Interested") interestedIds.add(id);
-      else meetingIds.add(id);
+      destIds.get(dest).add(id);
     }
 
-    if (idWrites.length) {
-      const updates = idWrites.map(([r, v]) => ({
-        range: `${title}!${indexToA1Col(ID_COL)}${r}:${indexToA1Col(ID_COL)}${r}`,
-        values: [[v]],
-      }));
-      await sheets.spreadsheets.values.batchUpdate({
-        spreadsheetId,
-        requestBody: { valueInputOption: "RAW", data: updates },
-      });
-    }
+    await sendValueWrites(ctx, idWrites.map(([r, v]) => ({
+      range: a1(title, `${indexToA1Col(cols.id)}${r}:${indexToA1Col(cols.id)}${r}`),
+      values: [[v]],
+    })));
+    if (idWrites.length) written.add(title);
 
-    if (MIGRATE_STATUS_AS_MOVE && toMaybeDelete.length) {
+    if (toMaybeDelete.length) {
       perSheetDeletePlan.set(title, toMaybeDelete);
     }
   }
 
-  if (copyRequests.length) {
-    await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests: copyRequests } });
+  // Journal the moves before copying so a crash between copy and delete can be reconciled
+  const pendingMoves = [];
+  for (const [title, list] of perSheetDeletePlan.entries()) {
+    list.forEach((item) => {
+      item.move = { feature: "migrate", sourceTab: title, sourceRow: item.rowIdx1, dest: item.dest, id: item.id, values: item.values };
+      pendingMoves.push(item.move);
+    });
   }
-
-  if (MIGRATE_STATUS_AS_MOVE) {
-    let meta2 = await getSpreadsheetMeta(sheets, spreadsheetId);
-    async function buildIdSet2(title) {
-      const s = meta2.sheets?.find((x) => x.properties?.title === title);
-      if (!s) return new Set();
-      const lastRow = s.properties.gridProperties.rowCount || 2;
-      if (lastRow < 2) return new Set();
-      const range = `${title}!${indexToA1Col(ID_COL)}2:${indexToA1Col(ID_COL)}${lastRow}`;
-      const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-      const vals = (res.data.values || []).map((r) => (r?.[0] ?? "")).map(String);
-      return new Set(vals.filter(Boolean));
-    }
-    const haveInterested = await buildIdSet2("Interested");
-    const haveMeeting    = await buildIdSet2("Meeting Set");
-
-    const deleteRequests = [];
-
+  await journalPendingMoves(ctx, pendingMoves);
+  // Source rows are read as cells once their ID writes have landed, so the copies carry the IDs
+  const cells = plan.dryRun ? new Map() : await getRowCells(sheets, spreadsheetId, appends.filter((x) => x.title));
+  await sendRequests(ctx, appends.map((x) => appendRowRequest(x, cells)));
+  await setMoveStates(ctx, pendingMoves.map((m) => ({ journalRow: m.journalRow, state: "copied" })));
+
+  if (plan.dryRun) {
+    // Nothing was copied, so there is nothing to verify: report the deletes the copies would allow.
     for (const [title, list] of perSheetDeletePlan.entries()) {
-      const sheetMeta = (await getSpreadsheetMeta(sheets, spreadsheetId))
-        .sheets?.find((x) => x.properties?.title === title);
-      if (!sheetMeta) continue;
-
-      let sourceRowsValues = null;
-      if (VERIFY_SOURCE_CHECKSUM_BEFORE_DELETE) {
-        const lastRow = sheetMeta.properties.gridProperties.rowCount || 2;
-        const lastColLetter = sheetLastColLetter(sheetMeta);
-        const rangeAll = `${title}!A2:${lastColLetter}${lastRow}`;
-        const res = await sheets.spreadsheets.values.get({ spreadsheetId, range: rangeAll });
-        sourceRowsValues = res.data.values || [];
-      }
-
-      const rowsToDelete = [];
-      for (const item of list) {
-        const { rowIdx1, checksum, dest, id } = item;
-        if (REQUIRE_DEST_ID_BEFORE_DELETE) {
-          const ok = dest === "Interested" ? haveInterested.has(id) : haveMeeting.has(id);
-          if (!ok) continue;
-        }
-        if (VERIFY_SOURCE_CHECKSUM_BEFORE_DELETE && sourceRowsValues) {
-          const rowNow = sourceRowsValues[rowIdx1 - 2] || [];
-          if (simpleRowChecksum(rowNow) !== checksum) continue;
-        }
-        rowsToDelete.push(rowIdx1);
-      }
-
-      rowsToDelete.sort((a, b) => b - a).forEach((r) => {
-        deleteRequests.push({
-          deleteDimension: {
-            range: {
-              sheetId: sheetMeta.properties.sheetId,
-              dimension: "ROWS",
-              startIndex: r - 1,
-              endIndex: r,
-            },
-          },
-        });
-      });
+      list.forEach(({ rowIdx1, id, dest, handle }) =>
+        plan.add({ feature: "migrate", action: "delete", sourceTab: title, sourceRow: rowIdx1, dest, id, handle }));
     }
+    return;
+  }
 
-    if (deleteRequests.length) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        requestBody: { requests: deleteRequests },
-      });
-    }
+  // Everything written above is re-read (one batchGet) to verify before deleting,
+  // and to find the rows the appends landed in
+  snapshot.invalidate(written);
+  if (!appends.length) return;
+  await snapshot.load([...destIds.keys(), ...perSheetDeletePlan.keys()], columns.id);
+  const destCopies = new Map([...destIds.keys()].filter((dest) => !layouts.isBlank(dest))
+    .map((dest) => [dest, snapshot.rowsById(dest, layouts.of(dest).cols.id)]));
+  for (const { entry } of appends) {
+    const landed = entry && destCopies.get(entry.dest)?.get(entry.id);
+    if (landed) entry.destRow = landed.rowIdx1;
   }
+  if (!perSheetDeletePlan.size) return;
+
+  await deleteMovedRows(ctx, "migrate", perSheetDeletePlan, {
+    idColOf: (title) => layouts.of(title).cols.id,
+    copyOf: ({ dest, id }) => destCopies.get(dest).get(id),
+  });
 }
 
 /* =========================
    Feature 3: MSN checkbox (F) → MSN Creators
    ========================= */
 
-async function runMsnCheckboxCopy(sheets, spreadsheetId) {
-  let meta = await getSpreadsheetMeta(sheets, spreadsheetId);
-  const { sheet: destSheet } = await getOrCreateSheet(sheets, spreadsheetId, MSN_DEST_SHEET, meta);
-  meta = await getSpreadsheetMeta(sheets, spreadsheetId);
-
-  const destLastRow = destSheet.properties.gridProperties.rowCount || 1;
-  let destIdSet = new Set();
-  if (destLastRow > MSN_HEADER_ROW) {
-    const idRange = `${MSN_DEST_SHEET}!${indexToA1Col(MSN_ID_COL)}${MSN_HEADER_ROW + 1}:${indexToA1Col(MSN_ID_COL)}${destLastRow}`;
-    const idRes = await sheets.spreadsheets.values.get({ spreadsheetId, range: idRange });
-    const ids = (idRes.data.values || []).map(r => String(r?.[0] ?? "")).filter(Boolean);
-    destIdSet = new Set(ids);
+export async function runMsnCheckboxCopy(ctx) {
+  const { snapshot, plan, config } = ctx;
+  const {
+    destSheet: MSN_DEST_SHEET, idCol: MSN_ID_COL, headerRow: MSN_HEADER_ROW,
+    sourceWhitelist: MSN_SOURCE_WHITELIST, skip: MSN_SKIP_SET,
+  } = config.msn;
+  const destSheet = await snapshot.ensureSheet(MSN_DEST_SHEET, plan);
+  const meta = await snapshot.meta();
+
+  const sourceTitles = (meta.sheets || [])
+    .map((s) => s.properties?.title || "")
+    .filter((title) => title && !MSN_SKIP_SET.has(title))
+    .filter((title) => !MSN_SOURCE_WHITELIST.length || MSN_SOURCE_WHITELIST.includes(title))
+    .filter((title) => isTargeted(ctx, title));
+  await snapshot.load([MSN_DEST_SHEET, ...sourceTitles], MSN_ID_COL);
+  const layouts = createLayouts(config, snapshot, { headerRow: MSN_HEADER_ROW, idCol: MSN_ID_COL });
+
+  // Only a dry run gets here without a destination sheet; plan against an empty one.
+  const destProps = destSheet?.properties ?? { sheetId: null, gridProperties: { rowCount: 1, columnCount: 26 } };
+  // A destination without a header row takes the first source's
+  const destProblem = layouts.isBlank(MSN_DEST_SHEET) ? "" : missingColumns(config, layouts.of(MSN_DEST_SHEET), ["id", "msnCheckbox"]);
+  if (destProblem) {
+    plan.add({ feature: "msn", action: "skip", sourceTab: MSN_DEST_SHEET, reason: `${destProblem}; no MSN rows moved` });
+    return;
   }
+  const destIdSet = new Set(layouts.isBlank(MSN_DEST_SHEET)
+    ? []
+    : snapshot.rowsById(MSN_DEST_SHEET, layouts.of(MSN_DEST_SHEET).cols.id, MSN_HEADER_ROW + 1).keys());
 
-  const lcDest = Math.max(destSheet.properties.gridProperties.columnCount || 1, MSN_ID_COL);
-  let nextDestRow = (await findTrueBottomRowAPI(
-    sheets, spreadsheetId, MSN_DEST_SHEET, lcDest, MSN_HEADER_ROW, MSN_CHECKBOX_COL
-  )) + 1;
-
-  const copyRequests = [];
+  const headerRequests = [];
+  // { values, entry }: mapped rows, given their place in the destination just before they're sent
+  const copies = [];
   const perSheetDeletePlan = new Map();
-
-  for (const s of meta.sheets || []) {
-    const title = s.properties?.title || "";
-    if (!title || MSN_SKIP_SET.has(title)) continue;
-    if (MSN_SOURCE_WHITELIST.length && !MSN_SOURCE_WHITELIST.includes(title)) continue;
-
-    const lr = s.properties.gridProperties.rowCount || 1;
-    if (lr <= MSN_HEADER_ROW) continue;
-
-    const lc = Math.max(s.properties.gridProperties.columnCount || 1, MSN_ID_COL);
-    const rangeFlags = `${title}!${indexToA1Col(MSN_CHECKBOX_COL)}${MSN_HEADER_ROW + 1}:${indexToA1Col(MSN_CHECKBOX_COL)}${lr}`;
-    const rangeAll   = `${title}!A${MSN_HEADER_ROW + 1}:${indexToA1Col(lc)}${lr}`;
-    const [flagsRes, allRes] = await Promise.all([
-      sheets.spreadsheets.values.get({ spreadsheetId, range: rangeFlags }),
-      sheets.spreadsheets.values.get({ spreadsheetId, range: rangeAll }),
-    ]);
-
-    const flags = (flagsRes.data.values || []).map(r => r?.[0]);
-    const rows  = allRes.data.values || [];
-
-    const rangeId = `${title}!${indexToA1Col(MSN_ID_COL)}${MSN_HEADER_ROW + 1}:${indexToA1Col(MSN_ID_COL)}${lr}`;
-    const idRes = await sheets.spreadsheets.values.get({ spreadsheetId, range: rangeId });
-    const idCol = (idRes.data.values || []).map(r => String(r?.[0] ?? ""));
+  const written = new Set();
+
+  for (const title of sourceTitles) {
+    if (ctx.state?.isUnchanged(title)) continue;
+    const layout = layouts.of(title);
+    // Every tab in the workbook is a candidate, so one without an MSN column just isn't a source
+    if (layout.keys && !layout.cols.msnCheckbox) continue;
+    const problem = missingColumns(config, layout, ["id"]);
+    if (problem) {
+      plan.add({ feature: "msn", action: "skip", sourceTab: title, reason: problem });
+      continue;
+    }
+    const { cols } = layout;
+    const rows = snapshot.rows(title).slice(MSN_HEADER_ROW);
 
     const idWrites = [];
     const toMaybeDelete = [];
 
     for (let i = 0; i < rows.length; i++) {
       const rowIdx1 = MSN_HEADER_ROW + 1 + i;
-      const isTrue = (flags[i] === true) || (String(flags[i]).toUpperCase() === "TRUE");
+      const flag = rows[i]?.[cols.msnCheckbox - 1];
+      const isTrue = (flag === true) || (String(flag).toUpperCase() === "TRUE");
       if (!isTrue) continue;
 
-      let id = idCol[i];
+      const ytVal = cols.youtube ? rows[i]?.[cols.youtube - 1] : "";
+      const handle = ytVal ? extractHandle(ytVal) : "";
+
+      let id = String(rows[i]?.[cols.id - 1] ?? "");
       if (!id) {
         id = generateUniqueId();
-        idCol[i] = id;
         idWrites.push([rowIdx1, id]);
+        plan.add({ feature: "msn", action: "write-id", sourceTab: title, sourceRow: rowIdx1, id, handle });
       }
-      if (destIdSet.has(id)) continue;
-
-      // Paste values row into destination at the true bottom
-      copyRequests.push({
-        pasteData: {
-          data: (rows[i] || []).map(v => (v ?? "")).join("\t"),
-          type: "PASTE_VALUES",
-          delimiter: "\t",
-          coordinate: {
-            sheetId: destSheet.properties.sheetId,
-            rowIndex: nextDestRow - 1,
-            columnIndex: 0,
-          },
-        },
-      });
-      // Ensure F=TRUE in destination
-      copyRequests.push({
-        updateCells: {
-          rows: [{ values: [{ userEnteredValue: { boolValue: true } }] }],
-          fields: "userEnteredValue",
-          range: {
-            sheetId: destSheet.properties.sheetId,
-            startRowIndex: nextDestRow - 1,
-            endRowIndex: nextDestRow,
-            startColumnIndex: MSN_CHECKBOX_COL - 1,
-            endColumnIndex: MSN_CHECKBOX_COL,
-          }
-        }
+      if (destIdSet.has(id)) {
+        plan.add({
+          feature: "msn", action: "skip", sourceTab: title, sourceRow: rowIdx1,
+          dest: MSN_DEST_SHEET, id, handle, reason: `ID already in ${MSN_DEST_SHEET}`,
+        });
+        continue;
+      }
+
+      // The row as it reads once its ID write has landed; pasted so the copy carries the ID
+      const rowWithId = (rows[i] || []).slice();
+      rowWithId[cols.id - 1] = id;
+
+      if (layouts.isBlank(MSN_DEST_SHEET)) {
+        headerRequests.push(pasteValuesRequest(destProps.sheetId, Math.max(MSN_HEADER_ROW - 1, 0), layout.header));
+        plan.add({ feature: "msn", action: "write-header", dest: MSN_DEST_SHEET, reason: `copied from ${title}` });
+        layouts.adopt(MSN_DEST_SHEET, layout);
+      }
+      const mapped = mapRow(rowWithId, layout, layouts.of(MSN_DEST_SHEET));
+      if (config.msn.asMove && mapped.dropped.length) {
+        plan.add({
+          feature: "msn", action: "skip", sourceTab: title, sourceRow: rowIdx1, dest: MSN_DEST_SHEET, id, handle,
+          reason: `${MSN_DEST_SHEET} has no column for ${mapped.dropped.join(", ")}`,
+        });
+        continue;
+      }
+
+      copies.push({
+        values: mapped.values,
+        entry: plan.add({
+          feature: "msn", action: "copy", sourceTab: title, sourceRow: rowIdx1,
+          dest: MSN_DEST_SHEET, destRow: null, id, handle,
+        }),
       });
 
-      if (MIGRATE_MSN_AS_MOVE) {
+      if (config.msn.asMove) {
         if (!perSheetDeletePlan.has(title)) perSheetDeletePlan.set(title, []);
         perSheetDeletePlan.get(title).push({
           rowIdx1,
-          checksum: simpleRowChecksum(rows[i] || []),
-          id
+          checksum: simpleRowChecksum(rowWithId),
+          dest: MSN_DEST_SHEET,
+          id,
+          handle,
+          values: rowWithId
         });
       }
 
       destIdSet.add(id);
-      nextDestRow++;
+      written.add(title).add(MSN_DEST_SHEET);
     }
 
-          if (idWrites.length) {
-        const updates = idWrites.map(([r, v]) => ({
-          range: `${title}!${indexToA1Col(MSN_ID_COL)}${r}:${indexToA1Col(MSN_ID_COL)}${r}`,
-          values: [[v]],
-        }));
-        await sheets.spreadsheets.values.batchUpdate({
-          spreadsheetId,
-          requestBody: { valueInputOption: "RAW", data: updates },
-        });
-      }
-    } // end per-source sheet loop
-  } // end meta.sheets loop
-
-  if (copyRequests.length) {
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      requestBody: { requests: copyRequests },
+    await sendValueWrites(ctx, idWrites.map(([r, v]) => ({
+      range: a1(title, `${indexToA1Col(cols.id)}${r}:${indexToA1Col(cols.id)}${r}`),
+      values: [[v]],
+    })));
+    if (idWrites.length) written.add(title);
+  } // end source tabs loop
+
+  const pendingMoves = [];
+  for (const [title, list] of perSheetDeletePlan.entries()) {
+    list.forEach((item) => {
+      item.move = { feature: "msn", sourceTab: title, sourceRow: item.rowIdx1, dest: MSN_DEST_SHEET, id: item.id, values: item.values };
+      pendingMoves.push(item.move);
     });
   }
+  await journalPendingMoves(ctx, pendingMoves);
+
+  // Fresh rows are inserted at the true bottom and filled in the same batch, so
+  // whatever was added there since the read moves down instead of being written
+  // over. (appendCells would land below the unchecked checkbox rows kept ready
+  // under the data, which count as filled.) The bottom is read again here, with
+  // the lock just renewed, so the rows go where the tab ends now rather than
+  // where it ended before the ID writes and journaling.
+  if (copies.length) {
+    await ctx.lock?.renew();
+    snapshot.invalidate([MSN_DEST_SHEET]);
+    await snapshot.load([MSN_DEST_SHEET], MSN_ID_COL);
+  }
+  const destCheckboxCol = layouts.of(MSN_DEST_SHEET).cols.msnCheckbox;
+  const lcDest = Math.max(destProps.gridProperties.columnCount || 1, MSN_ID_COL);
+  const firstDestRow = Math.max(
+    findTrueBottomRow(snapshot.rows(MSN_DEST_SHEET), lcDest, MSN_HEADER_ROW, destCheckboxCol),
+    MSN_HEADER_ROW,
+  ) + 1;
+  const copyRequests = copies.flatMap(({ values, entry }, i) => {
+    entry.destRow = firstDestRow + i;
+    return [
+      pasteValuesRequest(destProps.sheetId, entry.destRow - 1, values),
+      // Ensure the checkbox is TRUE in destination
+      {
+        updateCells: {
+          rows: [{ values: [{ userEnteredValue: { boolValue: true } }] }],
+          fields: "userEnteredValue",
+          range: {
+            sheetId: destProps.sheetId,
+            startRowIndex: entry.destRow - 1,
+            endRowIndex: entry.destRow,
+            startColumnIndex: destCheckboxCol - 1,
+            endColumnIndex: destCheckboxCol,
+          }
+        }
+      },
+    ];
+  });
+  const insertRows = copies.length ? [{
+    insertDimension: {
+      range: { sheetId: destProps.sheetId, dimension: "ROWS", startIndex: firstDestRow - 1, endIndex: firstDestRow - 1 + copies.length },
+      inheritFromBefore: firstDestRow > 1,
+    },
+  }] : [];
+  await sendRequests(ctx, [...headerRequests, ...insertRows, ...copyRequests]);
+  await setMoveStates(ctx, pendingMoves.map((m) => ({ journalRow: m.journalRow, state: "copied" })));
+
+  if (plan.dryRun) {
+    for (const [title, list] of perSheetDeletePlan.entries()) {
+      list.forEach(({ rowIdx1, id, handle }) =>
+        plan.add({ feature: "msn", action: "delete", sourceTab: title, sourceRow: rowIdx1, dest: MSN_DEST_SHEET, id, handle }));
+    }
+    return;
+  }
 
-  if (MIGRATE_MSN_AS_MOVE) {
-    // Rebuild dest ID set to verify before delete
-    const idRange = `${MSN_DEST_SHEET}!${indexToA1Col(MSN_ID_COL)}${MSN_HEADER_ROW + 1}:${indexToA1Col(MSN_ID_COL)}`;
-    const idRes = await sheets.spreadsheets.values.get({ spreadsheetId, range: idRange });
-    const ids = (idRes.data.values || []).map(r => String(r?.[0] ?? "")).filter(Boolean);
-    const haveId = new Set(ids);
-
-    const deleteRequests = [];
-    let meta2 = await getSpreadsheetMeta(sheets, spreadsheetId);
-
-    for (const s of meta2.sheets || []) {
-      const title = s.properties?.title || "";
-      const plan = perSheetDeletePlan.get(title);
-      if (!plan || !plan.length) continue;
-
-      let sourceRowsValues = null;
-      if (VERIFY_SOURCE_CHECKSUM_BEFORE_DELETE) {
-        const lastRow = s.properties.gridProperties.rowCount || 2;
-        const lastColLetter = sheetLastColLetter(s);
-        const rangeAll = `${title}!A2:${lastColLetter}${lastRow}`;
-        const res = await sheets.spreadsheets.values.get({ spreadsheetId, range: rangeAll });
-        sourceRowsValues = res.data.values || [];
-      }
+  // Re-read the destination and sources to verify (and journal) the copies before deleting
+  snapshot.invalidate(written);
+  if (!perSheetDeletePlan.size) return;
+  await snapshot.load([MSN_DEST_SHEET, ...perSheetDeletePlan.keys()], MSN_ID_COL);
+  const destCopies = snapshot.rowsById(MSN_DEST_SHEET, layouts.of(MSN_DEST_SHEET).cols.id, MSN_HEADER_ROW + 1);
 
-      const rowsToDelete = [];
-      for (const { rowIdx1, checksum, id } of plan) {
-        if (REQUIRE_DEST_ID_BEFORE_DELETE && !haveId.has(id)) continue;
-        if (VERIFY_SOURCE_CHECKSUM_BEFORE_DELETE && sourceRowsValues) {
-          const rowNow = sourceRowsValues[rowIdx1 - 2] || [];
-          if (simpleRowChecksum(rowNow) !== checksum) continue;
-        }
-        rowsToDelete.push(rowIdx1);
-      }
+  await deleteMovedRows(ctx, "msn", perSheetDeletePlan, {
+    firstRow: MSN_HEADER_ROW + 1,
+    idColOf: (title) => layouts.of(title).cols.id,
+    copyOf: ({ id }) => destCopies.get(id),
+  });
+}
 
-      rowsToDelete
-        .sort((a, b) => b - a)
-        .forEach((r) => {
-          deleteRequests.push({
-            deleteDimension: {
-              range: {
-                sheetId: s.properties.sheetId,
-                dimension: "ROWS",
-                startIndex: r - 1,
-                endIndex: r,
-              },
-            },
-          });
-        });
-    }
+/* =========================
+   Support: deleting moved rows
+   ========================= */
 
-    if (deleteRequests.length) {
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId,
-        requestBody: { requests: deleteRequests },
+// Deletes the source rows of copies that landed. Rows inserted, deleted or
+// sorted since the read move them, so each is found again by its ID (its row
+// number is only a hint) and must still read as it did when copied. Rows not
+// found or changed stay, as a "delete skipped" entry. Expects the sources and
+// destinations freshly loaded into the snapshot.
+async function deleteMovedRows(ctx, feature, perSheetDeletePlan, { firstRow = 2, idColOf, copyOf }) {
+  const { snapshot, plan, config } = ctx;
+  const { safety } = config;
+  const deleteRequests = [];
+  const states = [];
+
+  for (const [title, list] of perSheetDeletePlan.entries()) {
+    const sheetMeta = await snapshot.sheet(title);
+    if (!sheetMeta) continue;
+    const idCol = idColOf(title);
+    // id → rows holding it now; an ID can sit on several rows (a pasted duplicate)
+    const rowsNow = new Map();
+    snapshot.rows(title).slice(firstRow - 1).forEach((row, i) => {
+      const id = String(row?.[idCol - 1] ?? "");
+      if (!id) return;
+      if (!rowsNow.has(id)) rowsNow.set(id, []);
+      rowsNow.get(id).push({ rowIdx1: firstRow + i, row: row || [] });
+    });
+
+    const rowsToDelete = new Set();
+    for (const item of list) {
+      const { rowIdx1, checksum, dest, id, handle, move } = item;
+      const skip = (reason, sourceRow = rowIdx1) => {
+        plan.add({ feature, action: "skip", sourceTab: title, sourceRow, dest, id, handle, reason });
+        states.push({ journalRow: move.journalRow, state: "kept" });
+      };
+      const copy = copyOf(item);
+      if (safety.requireDestIdBeforeDelete && !copy) {
+        skip(`delete skipped: ID not found in ${dest}`);
+        continue;
+      }
+      // The row where it was read first, then the rest in sheet order
+      const candidates = (rowsNow.get(id) || [])
+        .filter((r) => !rowsToDelete.has(r.rowIdx1))
+        .sort((a, b) => (b.rowIdx1 === rowIdx1) - (a.rowIdx1 === rowIdx1));
+      if (!candidates.length) {
+        skip(`delete skipped: no row with this ID in ${title} any more`);
+        continue;
+      }
+      const found = safety.verifySourceChecksumBeforeDelete
+        ? candidates.find((r) => simpleRowChecksum(r.row) === checksum)
+        : candidates[0];
+      if (!found) {
+        skip("delete skipped: source row changed", candidates[0].rowIdx1);
+        continue;
+      }
+      rowsToDelete.add(found.rowIdx1);
+      plan.add({
+        feature, action: "delete", sourceTab: title, sourceRow: found.rowIdx1, dest, id, handle,
+        ...(found.rowIdx1 !== rowIdx1 ? { reason: `was row ${rowIdx1} when read` } : {}),
+      });
+      states.push({
+        journalRow: move.journalRow, state: "deleted", sourceRow: found.rowIdx1,
+        destChecksum: copy ? simpleRowChecksum(copy.row) : "",
       });
     }
-  } // end runMsnCheckboxCopy
+    deleteRequests.push(...deleteRowsRequests(sheetMeta.properties.sheetId, [...rowsToDelete]));
+  }
+
+  await sendRequests(ctx, deleteRequests);
+  snapshot.invalidate(perSheetDeletePlan.keys());
+  await setMoveStates(ctx, states);
+}
+
+/* =========================
+   Support: appending copied rows
+   ========================= */
+
+// An appendCells request for one entry of runMigrations' `appends`: a header
+// row, or a source row from `cells` (getRowCells). Into the same layout the row
+// goes as a copy-paste would put it (values, formats, dropdowns); otherwise
+// values are placed by header and keep only their number format, so dates stay dates.
+// `origin` (originCell) is written over whatever the row holds there.
+function appendRowRequest({ sheetId, header, title, rowIdx1, from, to, origin }, cells) {
+  if (header) {
+    return {
+      appendCells: {
+        sheetId,
+        rows: [{ values: header.map((v) => ({ userEnteredValue: { stringValue: String(v ?? "") } })) }],
+        fields: "userEnteredValue",
+      },
+    };
+  }
+  const source = cells.get(title)?.get(rowIdx1) || [];
+  const withOrigin = (values) => {
+    if (!origin) return values;
+    const out = values.slice();
+    while (out.length < origin.col) out.push({});
+    out[origin.col - 1] = { ...out[origin.col - 1], userEnteredValue: { stringValue: origin.value } };
+    return out;
+  };
+  if (sameLayout(from, to)) {
+    return {
+      appendCells: {
+        sheetId,
+        rows: [{ values: withOrigin(source.map((c) => c || {})) }],
+        fields: "userEnteredValue,userEnteredFormat,dataValidation",
+      },
+    };
+  }
+  const filled = source.map((c) => (c?.userEnteredValue ? c : ""));
+  const values = mapRow(filled, from, to).values.map((c) => (c
+    ? { userEnteredValue: c.userEnteredValue, userEnteredFormat: { numberFormat: c.userEnteredFormat?.numberFormat } }
+    : {}));
+  return { appendCells: { sheetId, rows: [{ values: withOrigin(values) }], fields: "userEnteredValue,userEnteredFormat.numberFormat" } };
+}
+
+/* =========================
+   Support: rules that send rows back (`dest: $origin`)
+   ========================= */
+
+// Why a row matched by a `$origin` rule can't go back, or "". origin is the
+// row's origin cell; empty is fine in one of `tabs` (the row is home).
+function originProblem(config, meta, layout, title, origin) {
+  if (!origin) {
+    if (config.tabs.includes(title)) return "";
+    return layout.cols.origin ? "no origin tab recorded; move it back by hand" : missingColumns(config, layout, ["origin"]);
+  }
+  if (!config.tabs.includes(origin)) return `origin "${origin}" is not one of the tabs`;
+  if (!meta.sheets?.some((s) => s.properties?.title === origin)) return `origin tab "${origin}" not found`;
+  return "";
+}
 
 /* =========================
    Support: true-bottom finder for MSN
    ========================= */
-async function findTrueBottomRowAPI(sheets, spreadsheetId, title, lc, headerRow, checkboxCol) {
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId,
-    range: `${title}!A${headerRow + 1}:${indexToA1Col(lc)}`
-  });
-  const values = res.data.values || [];
+// rows: the whole tab from the snapshot (row 1 first)
+function findTrueBottomRow(rows, lc, headerRow, checkboxCol) {
+  const values = rows.slice(headerRow);
   for (let i = values.length - 1; i >= 0; i--) {
     const row = values[i] || [];
     const rowIdx1 = headerRow + 1 + i;
@@ -667,8 +871,9 @@ async function findTrueBottomRowAPI(sheets, spreadsheetId, title, lc, headerRow,
         if (v === true || String(v).toUpperCase() === "TRUE") return rowIdx1; // checked counts as data
         continue; // unchecked FALSE ignored
       }
+      // Rows come back trimmed: cells past the last value are undefined
       const v = row[c - 1];
-      if (v === null || v === "") continue;
+      if (v == null || v === "") continue;
       if (v === false) continue;
       if (typeof v === "string" && v.trim() === "") continue;
       return rowIdx1;
@@ -680,21 +885,155 @@ async function findTrueBottomRowAPI(sheets, spreadsheetId, title, lc, headerRow,
 /* =========================
    Runner
    ========================= */
-async function run() {
-  const spreadsheetId = process.env.SPREADSHEET_ID;
-  if (!spreadsheetId) throw new Error("Missing SPREADSHEET_ID secret");
+export const FEATURES = [
+  ["highlight", highlightDuplicatesAndBlanksOnC],
+  ["migrate", runMigrations],
+  ["msn", runMsnCheckboxCopy],
+  // Last, so row numbers on the Data Quality tab match the tabs after moves
+  ["validate", validateTabs],
+];
+
+// Everything a feature needs for one run against config's spreadsheet.
+// `sheets` is a raw Sheets client (tests pass a fake); by default one is made
+// from GOOGLE_SERVICE_ACCOUNT_JSON. `full` ignores what incremental runs remember.
+// `tabs` (--tabs) limits what the features change to those tabs.
+export function createContext(config, { dryRun = false, full = false, tabs = null, sheets } = {}) {
+  const spreadsheetId = config.spreadsheetId;
+  if (!spreadsheetId) throw new Error(`Missing spreadsheet ID for profile "${config.name}" (set spreadsheetId or SPREADSHEET_ID)`);
+  const client = withRetries(sheets ?? sheetsClient(getAuth()), config.retry);
+  const plan = createPlan({ dryRun, runId: generateRunId() });
+  return {
+    sheets: client, spreadsheetId, plan, config, full, only: tabs, state: null, lock: null,
+    snapshot: createSnapshot(client, spreadsheetId),
+  };
+}
+
+// Runs each [name, step] in order, then writes the audit log and sends the run
+// summary (both with the error if a step failed). Open moves of an interrupted
+// run are always reconciled first. The run lock (lib/lock.js) is held from
+// before the first read until the audit log is written.
+async function runLogged(ctx, steps) {
+  const { sheets } = ctx;
+  let result;
+  try {
+    sheets.stats.feature = "lock";
+    ctx.lock = await acquireLock(ctx);
+    const meta = await ctx.snapshot.meta();
+    validateAgainstSpreadsheet(ctx.config, meta);
+    const unknown = (ctx.only || []).filter((t) => !meta.sheets?.some((s) => s.properties?.title === t));
+    if (unknown.length) throw new Error(`--tabs: no tab named ${unknown.map((t) => `"${t}"`).join(", ")}`);
+    for (const [name, step] of [["reconcile", reconcileMoves], ...steps]) {
+      await ctx.lock?.renew();
+      sheets.stats.feature = name;
+      result = await step(ctx);
+    }
+  } catch (e) {
+    sheets.stats.feature = "audit";
+    await writeAuditLog(ctx, e).catch((logErr) => console.error("Audit log failed:", logErr));
+    await ctx.lock?.release();
+    await notifyRun(ctx, e);
+    reportRetries(sheets.stats);
+    throw e;
+  }
+  sheets.stats.feature = "audit";
+  try {
+    await writeAuditLog(ctx);
+  } finally {
+    await ctx.lock?.release();
+  }
+  await notifyRun(ctx);
+  reportRetries(sheets.stats);
+  return result;
+}
+
+// One full run: reconcile, every feature, audit log. Returns the plan.
+// The incremental state is saved only when every feature got through, and is
+// left alone by runs limited to some tabs (the others weren't looked at).
+export async function runAutomations(ctx) {
+  await runLogged(ctx, ctx.only ? FEATURES : [["state", loadRunState], ...FEATURES, ["state", saveRunState]]);
+  return ctx.plan;
+}
 
-  const auth = getAuth();
-  const sheets = sheetsClient(auth);
+// In-process entry point (webhook local mode); config from SHEETS_CONFIG / SHEETS_PROFILE by default.
+export async function runOnce({ file = process.env.SHEETS_CONFIG, profile = process.env.SHEETS_PROFILE ?? "default", dryRun = false, full = false } = {}) {
+  return runAutomations(createContext(loadConfig({ file, profile }), { dryRun, full }));
+}
+
+const DONE = {
+  run: "duplicates highlighted, rows migrated, MSN rows processed",
+  highlight: "duplicates highlighted",
+  migrate: "rows migrated",
+  msn: "MSN rows processed",
+  validate: "tabs validated",
+  report: "duplicates report rebuilt",
+};
+
+// The command line (lib/cli.js). Returns the exit code; `sheets` is for tests.
+export async function run(argv = process.argv.slice(2), { sheets } = {}) {
+  let opts;
+  let config;
+  try {
+    opts = parseCli(argv);
+    if (opts.command === "help") {
+      console.log(USAGE);
+      return EXIT.ok;
+    }
+    config = loadConfig({ file: opts.file, profile: opts.profile });
+    if (opts.spreadsheetId) config = { ...config, spreadsheetId: opts.spreadsheetId };
+    // Asked for by name, so written even when the profile turns it off
+    if (opts.command === "report") config = { ...config, duplicatesReport: { ...config.duplicatesReport, enabled: true } };
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT.usage;
+  }
+
+  const { command, dryRun, json, verbose } = opts;
+  let ctx;
+  try {
+    ctx = createContext(config, { dryRun, full: opts.full, tabs: opts.tabs, sheets });
+    let result;
+    if (command === "run") {
+      await runAutomations(ctx);
+    } else if (command === "restore") {
+      result = await runLogged(ctx, [["restore", (c) => restoreRun(c, opts.runId)]]);
+    } else if (command === "fix-ids") {
+      result = await runLogged(ctx, [["fix-ids", fixDuplicateIds]]);
+    } else if (command === "report") {
+      await runLogged(ctx, [["highlight", (c) => highlightDuplicatesAndBlanksOnC(c, { paint: false })]]);
+    } else {
+      await runLogged(ctx, FEATURES.filter(([name]) => name === command));
+    }
 
-  await highlightDuplicatesAndBlanksOnC(sheets, spreadsheetId);
-  await runMigrations(sheets, spreadsheetId);
-  await runMsnCheckboxCopy(sheets, spreadsheetId);
+    if (json) {
+      console.log(planToJSON(ctx.plan));
+      return EXIT.ok;
+    }
+    if (dryRun || verbose || command === "restore" || command === "fix-ids") console.log(formatPlan(ctx.plan));
+    if (command === "restore") {
+      console.log(`Restore of ${opts.runId}: ${result.restored} row(s) restored, ${result.skipped} refused.`);
+    } else if (command === "fix-ids") {
+      console.log(`fix-ids: ${result.reassigned} row(s) given a new ID${dryRun ? " (dry run)" : ""}.`);
+    } else if (!dryRun) {
+      console.log(`Done (${ctx.plan.runId}): ${DONE[command]}${ctx.only ? ` in ${ctx.only.join(", ")}` : ""}.`);
+    }
+    return EXIT.ok;
+  } catch (e) {
+    if (json && ctx) console.log(planToJSON(ctx.plan, e));
+    console.error(verbose ? e : `Error: ${e.message}`);
+    return EXIT.failed;
+  }
+}
 
-  console.log("Done: duplicates highlighted, rows migrated, MSN rows processed.");
+// On stderr so --json output stays parseable
+function reportRetries(stats) {
+  if (!stats.retries) return;
+  const parts = Object.entries(stats.byFeature).map(([feature, n]) => `${feature} ${n}`);
+  console.error(`Sheets API retries: ${stats.retries} (${parts.join(", ")})`);
 }
 
-run().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
\ No newline at end of file
+// Only when run as `node index.js`; importing this module runs nothing
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  run().then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,82 @@
+// lib/audit.js — Persistent audit log in the "Automation Log" tab
+// After a run, every plan entry (move, copy, ID write, highlight change,
+// skipped delete) is appended as one row so account managers can see why a
+// creator left their tab without reading the Actions logs.
+
+import { a1, getOrCreateSheet } from "./helpers.js";
+
+export const AUDIT_HEADER = [
+  "Timestamp", "Run ID", "Feature", "Action", "Source Tab", "Source Row",
+  "Destination", "Creator ID", "Handle", "Reason",
+];
+
+/* =========================
+   Rows
+   ========================= */
+
+function reasonFor(e) {
+  if (e.reason) return e.reason;
+  switch (e.action) {
+    case "copy":
+      return e.rule ? `rule ${e.rule}` : "";
+    case "delete":
+      return e.dest ? `moved to ${e.dest}` : "";
+    case "highlight-blank":
+      return "blank YouTube cell";
+    case "highlight-duplicate":
+      return `duplicate of ${e.dest} row ${e.destRow}`;
+    default:
+      return "";
+  }
+}
+
+function destinationFor(e) {
+  if (!e.dest) return "";
+  // For highlights `dest` is the canonical row, which the reason already names
+  if (e.action.startsWith("highlight")) return "";
+  return e.destRow ? `${e.dest} row ${e.destRow}` : e.dest;
+}
+
+export function auditRows(plan) {
+  return plan.entries.map((e) => [
+    e.at,
+    plan.runId,
+    e.feature,
+    e.action,
+    e.sourceTab || "",
+    e.sourceRow ?? "",
+    destinationFor(e),
+    e.id || "",
+    e.handle || "",
+    reasonFor(e),
+  ]);
+}
+
+/* =========================
+   Write
+   ========================= */
+
+// Appends the plan (plus an "error" row if the run failed) to the log tab.
+export async function writeAuditLog(ctx, error) {
+  const { sheets, spreadsheetId, plan, config } = ctx;
+  if (!config.auditLog.enabled || plan.dryRun) return;
+
+  const rows = auditRows(plan);
+  if (error) {
+    rows.push([new Date().toISOString(), plan.runId, "run", "error", "", "", "", "", "", String(error.message || error)]);
+  }
+  if (!rows.length) return;
+
+  const title = config.auditLog.sheet;
+  const { sheet } = await getOrCreateSheet(sheets, spreadsheetId, title);
+  const head = await sheets.spreadsheets.values.get({ spreadsheetId, range: a1(title, "A1:J1") });
+  if (!(head.data.values || []).length) rows.unshift(AUDIT_HEADER);
+
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: a1(sheet.properties.title, "A1"),
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    requestBody: { values: rows },
+  });
+}
@@ -0,0 +1,86 @@
+// lib/cli.js — Command line of index.js (`sheets-auto`, `node index.js`)
+// One command per run; without one every feature runs. parseCli() only checks
+// the command line: it throws on unknown commands and flags, and on flags that
+// don't fit the command. Exit codes are EXIT.ok / failed / usage.
+
+import { parseArgs } from "node:util";
+
+export const EXIT = { ok: 0, failed: 1, usage: 2 };
+
+// Commands that run features; each leaves the others alone
+export const FEATURE_COMMANDS = ["highlight", "migrate", "msn", "validate", "report"];
+const COMMANDS = ["run", ...FEATURE_COMMANDS, "restore", "fix-ids", "help"];
+
+export const USAGE = `Usage: sheets-auto [command] [flags]
+
+Commands:
+  run                every feature, in order (the default)
+  highlight          highlight blanks, duplicates and bad dates; rebuild the Duplicates Report
+  migrate            move or copy rows by their status (routing rules)
+  msn                move rows with the MSN checkbox ticked to the MSN tab
+  validate           per-column checks and the Data Quality tab
+  report             rebuild the Duplicates Report only; no cell is painted
+  restore <runId>    put back the rows a run moved
+  fix-ids            give rows that share a creator ID by mistake their own
+
+Flags:
+  --tabs <a,b>           only touch these tabs (repeatable); others are still read
+  --spreadsheet <id>     spreadsheet to work on instead of the profile's
+  --config <path>        config file (default SHEETS_CONFIG or sheets.config.yaml)
+  --profile <name>       config profile (default SHEETS_PROFILE or "default")
+  --dry-run              build every request but send nothing; print the plan
+  --json                 print the plan as JSON, with "ok" and "error"
+  --full                 look at every tab even when incremental runs are on
+  --verbose              print the plan after real runs and the stack of errors
+  --help                 show this text
+
+Exit codes: 0 done, 1 the run failed, 2 bad command line or config file (nothing ran).`;
+
+const OPTIONS = {
+  tabs: { type: "string", multiple: true },
+  spreadsheet: { type: "string" },
+  config: { type: "string" },
+  profile: { type: "string" },
+  "dry-run": { type: "boolean" },
+  json: { type: "boolean" },
+  full: { type: "boolean" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean" },
+};
+
+export function parseCli(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (e) {
+    throw new Error(e.message);
+  }
+  const { values, positionals } = parsed;
+  const [command = "run", ...rest] = positionals;
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+
+  const tabs = values.tabs
+    ? [...new Set(values.tabs.flatMap((t) => t.split(",")).map((t) => t.trim()).filter(Boolean))]
+    : null;
+  if (tabs && !tabs.length) throw new Error("--tabs needs at least one tab name");
+  if (tabs && !["run", ...FEATURE_COMMANDS].includes(command)) throw new Error(`--tabs doesn't apply to ${command}`);
+  if (values.full && command !== "run") throw new Error("--full only applies to run");
+  if (values.spreadsheet !== undefined && !values.spreadsheet.trim()) throw new Error("--spreadsheet needs an ID");
+
+  const expected = command === "restore" ? 1 : 0;
+  if (command === "restore" && !rest.length) throw new Error("restore needs a run ID: sheets-auto restore <runId>");
+  if (rest.length > expected) throw new Error(`Unexpected argument "${rest[expected]}"`);
+
+  return {
+    command: values.help ? "help" : command,
+    runId: command === "restore" ? rest[0] : undefined,
+    tabs,
+    spreadsheetId: values.spreadsheet?.trim(),
+    file: values.config ?? env.SHEETS_CONFIG,
+    profile: values.profile ?? env.SHEETS_PROFILE ?? "default",
+    dryRun: Boolean(values["dry-run"]),
+    json: Boolean(values.json),
+    full: Boolean(values.full),
+    verbose: Boolean(values.verbose),
+  };
+}
@@ -0,0 +1,486 @@
+// lib/config.js — Declarative config: tabs, columns, colors and switches per profile
+// A config file (YAML or JSON) holds `defaults` plus named `profiles`; each profile
+// points at one spreadsheet and overrides whatever it needs. Without a file the
+// built-in profile below is used, which matches the original hard-coded setup.
+//
+//   --config <path>   or SHEETS_CONFIG   (default: ./sheets.config.{yaml,yml,json} if present)
+//   --profile <name>  or SHEETS_PROFILE  (default: "default")
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+import { compileRules, ruleDestinations, rulesUseOrigin, ORIGIN } from "./rules.js";
+import { compileAliases, createIdentityResolver } from "./identity.js";
+import { normalizeHeader } from "./layout.js";
+import { compileChecks, compileColumnRef } from "./quality.js";
+import { compileWebhooks } from "./notify.js";
+
+/* =========================
+   Built-in defaults
+   ========================= */
+
+export const BUILTIN_PROFILE = {
+  spreadsheetIdEnv: "SPREADSHEET_ID",
+  tabs: [
+    "GeneralCreators - Outreach", "CreatorsWithNoYoutube",
+    "LongFormCreators - Outreach", "ASMR, Relaxation & Satisfying",
+    "Toys & Kid-Focused Entertainment", "Video Podcasts", "Technology & Gadgets",
+    "Personal Finance & Investing", "Health & Wellness",
+    "Beauty & Fashion", "Gaming", "Education & How-To Content",
+    "Business & Entrepreneurship", "Automotive", "Lifestyle & Vlogging",
+    "Food & Cooking", "Travel", "Parenting & Family",
+    "Home & DIY", "News & Commentary", "Music & Performance",
+    "Movies & TV Commentary", "Currently In an MCN", "Science & Curiosity",
+    "Luxury & High-End Lifestyle", "Real Estate & Investing",
+    "Motivational & Self-Development"
+  ],
+  columns: {
+    status:  ["H", "K"],
+    id:      "T",
+    date:    "A",
+    youtube: "C",
+    origin:  null,                // e.g. U: where migrations record the tab a row came from, for `dest: $origin` rules
+  },
+  headers: {
+    // Find columns by header name (row 1; msn.headerRow for MSN) instead of the
+    // letters above. Each field lists aliases; see lib/layout.js.
+    enabled: false,
+    youtube: ["YouTube", "YouTube URL", "Channel"],
+    date: ["Date", "Date Contacted"],
+    id: ["ID", "Creator ID"],
+    status: [["Status"], ["Status 2", "Follow Up Status"]],   // one entry per status column
+    msnCheckbox: ["MSN"],
+    origin: ["Origin", "Origin Tab"],
+  },
+  colors: {
+    blank:     "#c9daf8",
+    duplicate: "#FF0000",
+    nearDuplicate: "#F6B26B",
+    badDate: "#FFE599",           // column A cells that can't be read as a date
+  },
+  identity: {
+    // Offline channel → handle map, e.g. { "UCxxxxxxxxxxxxxxxxxxxxxx": "@name" }; see lib/identity.js
+    aliases: {},
+    aliasFile: "",                // YAML/JSON file with the same map, relative to the config file
+  },
+  nearDuplicates: {
+    enabled: false,               // optional fuzzy pass; see lib/fuzzy.js
+    threshold: 0.7,               // 0..1, higher = stricter
+    minLength: 5,                 // shorter values are never compared
+    columns: [],                  // extra columns to compare, e.g. name and email: [B, D]
+    ignoreWords: ["official", "channel", "tv"],   // dropped from the end before comparing
+  },
+  migrations: {
+    // Highest priority wins; see lib/rules.js for the condition syntax.
+    rules: [
+      {
+        name: "meeting-set",
+        priority: 20,
+        when: { field: "status", contains: "meeting set" },
+        dest: "Meeting Set",
+        mode: "move",
+      },
+      {
+        name: "interested",
+        priority: 10,
+        when: {
+          all: [
+            { field: "status", contains: "interested" },
+            { not: { field: "status", contains: "not interested" } },
+          ],
+        },
+        dest: "Interested",
+        mode: "move",
+      },
+    ],
+  },
+  msn: {
+    destSheet: "MSN Creators",
+    idColumn: "T",
+    headerRow: 1,
+    checkboxColumn: "F",
+    sourceWhitelist: [],          // [] = all sources
+    skip: [],                     // destSheet and the automation's own tabs (log, journal, reports, state, lock) are always skipped
+    asMove: true,
+  },
+  safety: {
+    requireDestIdBeforeDelete: true,
+    verifySourceChecksumBeforeDelete: true,
+  },
+  auditLog: {
+    enabled: true,
+    sheet: "Automation Log",      // also never treated as an MSN source
+  },
+  journal: {
+    sheet: "Automation Journal",  // hidden; moved rows kept for `restore <runId>`
+  },
+  duplicatesReport: {
+    enabled: true,
+    sheet: "Duplicates Report",   // rebuilt by every run; never an MSN source
+  },
+  validation: {
+    enabled: false,               // per-column checks; see lib/quality.js
+    sheet: "Data Quality",        // rebuilt by every run; never an MSN source
+    tabs: [],                     // [] = the tabs above
+    owner: null,                  // who owns a row, e.g. { header: Owner } or { column: E }
+    checks: [],
+  },
+  incremental: {
+    enabled: false,               // skip tabs unchanged since the last run; see lib/state.js
+    sheet: "Automation State",    // hidden; per-tab fingerprints and the duplicate index
+  },
+  lock: {
+    enabled: true,                // one run at a time per spreadsheet; see lib/lock.js
+    sheet: "Automation Lock",     // hidden; exists only while a run holds the lock
+    ttlMs: 600000,                // a lease not renewed for this long may be taken over
+    waitMs: 120000,               // how long a run waits for another one to finish
+  },
+  notify: {
+    webhooks: [],                 // run summaries; see lib/notify.js
+    timeoutMs: 10000,             // per webhook
+  },
+  retry: {
+    maxRetries: 5,                // per call, on 429 / 5xx / network errors
+    baseDelayMs: 500,             // doubled per attempt, jittered, capped at maxDelayMs
+    maxDelayMs: 32000,
+    maxConcurrent: 4,             // Sheets calls in flight at once
+  },
+};
+
+const DEFAULT_FILES = ["sheets.config.yaml", "sheets.config.yml", "sheets.config.json"];
+const MAX_COLUMN = 18278; // ZZZ, the Sheets limit
+
+/* =========================
+   Validation helpers
+   ========================= */
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Deep merge where arrays and scalars from `over` replace those in `base`.
+function merge(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = merge(base[k], v);
+  return out;
+}
+
+function checkKeys(obj, shape, where, errors) {
+  if (!isPlainObject(obj)) {
+    errors.push(`${where}: expected an object`);
+    return;
+  }
+  for (const k of Object.keys(obj)) {
+    if (!(k in shape)) errors.push(`${where}.${k}: unknown key`);
+  }
+}
+
+// Accepts "T", "t" or 20; returns the 1-based index or records an error.
+export function parseColumn(spec, where, errors) {
+  let n = NaN;
+  if (typeof spec === "number" && Number.isInteger(spec)) n = spec;
+  else if (typeof spec === "string" && /^[A-Za-z]{1,3}$/.test(spec)) {
+    n = 0;
+    for (const ch of spec.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  }
+  if (!(n >= 1 && n <= MAX_COLUMN)) {
+    errors.push(`${where}: "${spec}" is not a column (use a letter like "T" or a number 1-${MAX_COLUMN})`);
+    return null;
+  }
+  return n;
+}
+
+function expectString(v, where, errors) {
+  if (typeof v !== "string" || !v.trim()) errors.push(`${where}: expected a non-empty string`);
+}
+function expectBool(v, where, errors) {
+  if (typeof v !== "boolean") errors.push(`${where}: expected true or false`);
+}
+function expectStringList(v, where, errors) {
+  if (!Array.isArray(v)) errors.push(`${where}: expected a list of tab names`);
+  else v.forEach((x, i) => expectString(x, `${where}[${i}]`, errors));
+}
+function expectHex(v, where, errors) {
+  if (typeof v !== "string" || !/^#?[0-9a-fA-F]{6}$/.test(v)) errors.push(`${where}: expected a hex color like "#FF0000"`);
+}
+
+// Aliases as written (labels, for messages) and normalized (for matching).
+// A status entry is one alias or a list of them.
+function resolveHeaders(h, where, errors) {
+  expectBool(h.enabled, `${where}.enabled`, errors);
+  const aliasList = (v, at) => {
+    const list = Array.isArray(v) ? v : [v];
+    if (!list.length || list.some((x) => typeof x !== "string" || !normalizeHeader(x))) {
+      errors.push(`${at}: expected a header name or a list of them`);
+      return [];
+    }
+    return list;
+  };
+  const labels = {};
+  for (const f of ["youtube", "date", "id", "msnCheckbox", "origin"]) labels[f] = aliasList(h[f], `${where}.${f}`);
+  if (!Array.isArray(h.status) || !h.status.length) {
+    errors.push(`${where}.status: expected a list with one entry per status column`);
+    labels.status = [];
+  } else {
+    labels.status = h.status.map((x, i) => aliasList(x, `${where}.status[${i}]`));
+  }
+  const fields = Object.fromEntries(Object.entries(labels).map(([f, v]) => [
+    f, f === "status" ? v.map((l) => l.map(normalizeHeader)) : v.map(normalizeHeader),
+  ]));
+  return { enabled: h.enabled, labels, fields };
+}
+
+/* =========================
+   Resolve one profile
+   ========================= */
+
+function resolveProfile(name, raw, env, baseDir) {
+  const errors = [];
+  const where = `profiles.${name}`;
+  checkKeys(raw, { ...BUILTIN_PROFILE, spreadsheetId: true }, where, errors);
+
+  const spreadsheetId = raw.spreadsheetId ?? env[raw.spreadsheetIdEnv] ?? "";
+  if (raw.spreadsheetId !== undefined) expectString(raw.spreadsheetId, `${where}.spreadsheetId`, errors);
+  expectString(raw.spreadsheetIdEnv, `${where}.spreadsheetIdEnv`, errors);
+  expectStringList(raw.tabs, `${where}.tabs`, errors);
+
+  checkKeys(raw.columns, BUILTIN_PROFILE.columns, `${where}.columns`, errors);
+  const c = raw.columns || {};
+  const statusSpecs = Array.isArray(c.status) ? c.status : [c.status];
+  const columns = {
+    status:  statusSpecs.map((x, i) => parseColumn(x, `${where}.columns.status[${i}]`, errors)),
+    id:      parseColumn(c.id, `${where}.columns.id`, errors),
+    date:    parseColumn(c.date, `${where}.columns.date`, errors),
+    youtube: parseColumn(c.youtube, `${where}.columns.youtube`, errors),
+    origin:  c.origin == null ? null : parseColumn(c.origin, `${where}.columns.origin`, errors),
+  };
+
+  checkKeys(raw.headers, BUILTIN_PROFILE.headers, `${where}.headers`, errors);
+  const headers = resolveHeaders(raw.headers || {}, `${where}.headers`, errors);
+  if (headers.enabled && !(raw.msn?.headerRow >= 1)) errors.push(`${where}.msn.headerRow: must be >= 1 when headers.enabled is on`);
+
+  checkKeys(raw.colors, BUILTIN_PROFILE.colors, `${where}.colors`, errors);
+  for (const [k, v] of Object.entries(raw.colors || {})) expectHex(v, `${where}.colors.${k}`, errors);
+
+  checkKeys(raw.identity, BUILTIN_PROFILE.identity, `${where}.identity`, errors);
+  const ident = raw.identity || {};
+  let aliasMap = {};
+  if (ident.aliasFile) {
+    expectString(ident.aliasFile, `${where}.identity.aliasFile`, errors);
+    const file = path.resolve(baseDir, ident.aliasFile);
+    if (!fs.existsSync(file)) errors.push(`${where}.identity.aliasFile: ${file} not found`);
+    else aliasMap = readConfigFile(file) || {};
+  }
+  if (!isPlainObject(ident.aliases)) errors.push(`${where}.identity.aliases: expected a map of channel → "@handle"`);
+  else aliasMap = { ...aliasMap, ...ident.aliases };
+  const aliases = compileAliases(aliasMap, `${where}.identity.aliases`, errors);
+
+  checkKeys(raw.nearDuplicates, BUILTIN_PROFILE.nearDuplicates, `${where}.nearDuplicates`, errors);
+  const nd = raw.nearDuplicates || {};
+  expectBool(nd.enabled, `${where}.nearDuplicates.enabled`, errors);
+  if (typeof nd.threshold !== "number" || !(nd.threshold > 0 && nd.threshold <= 1)) {
+    errors.push(`${where}.nearDuplicates.threshold: expected a number between 0 and 1`);
+  }
+  if (!Number.isInteger(nd.minLength) || nd.minLength < 1) errors.push(`${where}.nearDuplicates.minLength: expected a whole number >= 1`);
+  const nearCols = Array.isArray(nd.columns) ? nd.columns : [];
+  if (!Array.isArray(nd.columns)) errors.push(`${where}.nearDuplicates.columns: expected a list of columns`);
+  if (!Array.isArray(nd.ignoreWords)) errors.push(`${where}.nearDuplicates.ignoreWords: expected a list of words`);
+  const nearDuplicates = {
+    enabled: nd.enabled,
+    threshold: nd.threshold,
+    minLength: nd.minLength,
+    columns: nearCols.map((x, i) => parseColumn(x, `${where}.nearDuplicates.columns[${i}]`, errors)),
+    ignoreWords: (Array.isArray(nd.ignoreWords) ? nd.ignoreWords : []).map((w) => String(w).toLowerCase().replace(/[^a-z0-9]/g, "")),
+  };
+
+  checkKeys(raw.migrations, BUILTIN_PROFILE.migrations, `${where}.migrations`, errors);
+  const rules = compileRules((raw.migrations || {}).rules, `${where}.migrations.rules`, errors);
+  const statusSheets = [...new Set((raw.tabs || []).concat(ruleDestinations(rules)))];
+  for (const r of rules) {
+    (r.from || []).filter((t) => !statusSheets.includes(t)).forEach((t) => {
+      errors.push(`${where}.migrations.rules[${r.order}].from: "${t}" is neither under tabs nor a rule's dest`);
+    });
+  }
+  if (rulesUseOrigin(rules) && !headers.enabled && !columns.origin) {
+    errors.push(`${where}.columns.origin: rules with dest "${ORIGIN}" need a column to record where rows came from`);
+  }
+
+  checkKeys(raw.auditLog, BUILTIN_PROFILE.auditLog, `${where}.auditLog`, errors);
+  const audit = raw.auditLog || {};
+  expectBool(audit.enabled, `${where}.auditLog.enabled`, errors);
+  expectString(audit.sheet, `${where}.auditLog.sheet`, errors);
+
+  checkKeys(raw.journal, BUILTIN_PROFILE.journal, `${where}.journal`, errors);
+  expectString(raw.journal?.sheet, `${where}.journal.sheet`, errors);
+
+  checkKeys(raw.duplicatesReport, BUILTIN_PROFILE.duplicatesReport, `${where}.duplicatesReport`, errors);
+  const report = raw.duplicatesReport || {};
+  expectBool(report.enabled, `${where}.duplicatesReport.enabled`, errors);
+  expectString(report.sheet, `${where}.duplicatesReport.sheet`, errors);
+
+  checkKeys(raw.validation, BUILTIN_PROFILE.validation, `${where}.validation`, errors);
+  const val = raw.validation || {};
+  expectBool(val.enabled, `${where}.validation.enabled`, errors);
+  expectString(val.sheet, `${where}.validation.sheet`, errors);
+  expectStringList(val.tabs, `${where}.validation.tabs`, errors);
+  const validation = {
+    enabled: val.enabled,
+    sheet: val.sheet,
+    tabs: val.tabs?.length ? val.tabs : raw.tabs,
+    owner: val.owner == null ? null : compileColumnRef(val.owner, `${where}.validation.owner`, errors),
+    checks: compileChecks(val.checks, `${where}.validation.checks`, errors),
+  };
+  if (validation.enabled && !validation.checks.length) errors.push(`${where}.validation.checks: expected at least one check when enabled`);
+
+  checkKeys(raw.incremental, BUILTIN_PROFILE.incremental, `${where}.incremental`, errors);
+  const inc = raw.incremental || {};
+  expectBool(inc.enabled, `${where}.incremental.enabled`, errors);
+  expectString(inc.sheet, `${where}.incremental.sheet`, errors);
+
+  checkKeys(raw.lock, BUILTIN_PROFILE.lock, `${where}.lock`, errors);
+  const lk = raw.lock || {};
+  expectBool(lk.enabled, `${where}.lock.enabled`, errors);
+  expectString(lk.sheet, `${where}.lock.sheet`, errors);
+  if (!Number.isInteger(lk.ttlMs) || lk.ttlMs < 1000) errors.push(`${where}.lock.ttlMs: expected a whole number >= 1000`);
+  if (!Number.isInteger(lk.waitMs) || lk.waitMs < 0) errors.push(`${where}.lock.waitMs: expected a whole number >= 0`);
+
+  checkKeys(raw.notify, BUILTIN_PROFILE.notify, `${where}.notify`, errors);
+  const nt = raw.notify || {};
+  const webhooks = compileWebhooks(nt.webhooks, `${where}.notify.webhooks`, errors, env);
+  if (!Number.isInteger(nt.timeoutMs) || nt.timeoutMs < 1) errors.push(`${where}.notify.timeoutMs: expected a whole number >= 1`);
+
+  checkKeys(raw.msn, BUILTIN_PROFILE.msn, `${where}.msn`, errors);
+  const m = raw.msn || {};
+  expectString(m.destSheet, `${where}.msn.destSheet`, errors);
+  expectStringList(m.sourceWhitelist, `${where}.msn.sourceWhitelist`, errors);
+  expectStringList(m.skip, `${where}.msn.skip`, errors);
+  expectBool(m.asMove, `${where}.msn.asMove`, errors);
+  if (!Number.isInteger(m.headerRow) || m.headerRow < 0) errors.push(`${where}.msn.headerRow: expected a row number >= 0`);
+  const msn = {
+    destSheet: m.destSheet,
+    idCol: parseColumn(m.idColumn, `${where}.msn.idColumn`, errors),
+    headerRow: m.headerRow,
+    checkboxCol: parseColumn(m.checkboxColumn, `${where}.msn.checkboxColumn`, errors),
+    sourceWhitelist: m.sourceWhitelist || [],
+    skip: new Set([m.destSheet, audit.sheet, raw.journal?.sheet, report.sheet, val.sheet, inc.sheet, lk.sheet, ...(m.skip || [])]),
+    asMove: m.asMove,
+  };
+
+  checkKeys(raw.safety, BUILTIN_PROFILE.safety, `${where}.safety`, errors);
+  for (const [k, v] of Object.entries(raw.safety || {})) expectBool(v, `${where}.safety.${k}`, errors);
+
+  checkKeys(raw.retry, BUILTIN_PROFILE.retry, `${where}.retry`, errors);
+  for (const [k, v] of Object.entries(raw.retry || {})) {
+    const min = k === "maxConcurrent" ? 1 : 0;
+    if (!Number.isInteger(v) || v < min) errors.push(`${where}.retry.${k}: expected a whole number >= ${min}`);
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid config:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return {
+    name,
+    spreadsheetId,
+    tabs: raw.tabs,
+    statusSheets,
+    columns,
+    headers,
+    identity: { aliases, resolve: createIdentityResolver(aliases) },
+    colors: { ...raw.colors },
+    nearDuplicates,
+    migrations: { rules },
+    msn,
+    safety: { ...raw.safety },
+    auditLog: { enabled: audit.enabled, sheet: audit.sheet },
+    journal: { sheet: raw.journal.sheet },
+    duplicatesReport: { enabled: report.enabled, sheet: report.sheet },
+    validation,
+    incremental: { enabled: inc.enabled, sheet: inc.sheet },
+    lock: { enabled: lk.enabled, sheet: lk.sheet, ttlMs: lk.ttlMs, waitMs: lk.waitMs },
+    notify: { webhooks, timeoutMs: nt.timeoutMs },
+    retry: { ...raw.retry },
+    // Any change to the profile invalidates what incremental runs remember
+    hash: crypto.createHash("sha1").update(JSON.stringify(raw)).digest("hex").slice(0, 16),
+  };
+}
+
+/* =========================
+   Loading
+   ========================= */
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  try {
+    return /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  } catch (e) {
+    throw new Error(`Could not parse config ${file}: ${e.message}`);
+  }
+}
+
+export function findConfigFile(cwd = process.cwd()) {
+  return DEFAULT_FILES.map((f) => path.join(cwd, f)).find((f) => fs.existsSync(f)) || null;
+}
+
+// Returns the resolved profile. `file` may be null to use the built-in profile only.
+export function loadConfig({ file = findConfigFile(), profile = "default", env = process.env } = {}) {
+  let doc = {};
+  if (file) {
+    if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+    doc = readConfigFile(file) || {};
+    const errors = [];
+    checkKeys(doc, { defaults: true, profiles: true }, "config", errors);
+    if (errors.length) throw new Error(`Invalid config:\n  - ${errors.join("\n  - ")}`);
+  }
+  const profiles = doc.profiles || {};
+  if (!(profile in profiles) && !(profile === "default" && !Object.keys(profiles).length)) {
+    const known = Object.keys(profiles).join(", ") || "(none)";
+    throw new Error(`Unknown config profile "${profile}". Known profiles: ${known}`);
+  }
+  const raw = merge(merge(BUILTIN_PROFILE, doc.defaults || {}), profiles[profile] || {});
+  return resolveProfile(profile, raw, env, file ? path.dirname(path.resolve(file)) : process.cwd());
+}
+
+/* =========================
+   Check against the live workbook
+   ========================= */
+
+// Unknown tabs and columns past a tab's grid are reported together, before anything is written.
+export function validateAgainstSpreadsheet(config, meta) {
+  const errors = [];
+  const byTitle = new Map((meta.sheets || []).map((s) => [s.properties?.title, s]));
+
+  const checkTab = (title, where, cols) => {
+    const s = byTitle.get(title);
+    if (!s) {
+      errors.push(`${where}: tab "${title}" does not exist in the spreadsheet`);
+      return;
+    }
+    const count = s.properties.gridProperties?.columnCount || 26;
+    for (const [label, col] of cols) {
+      if (col > count) errors.push(`${where}: column ${label} (#${col}) is past the last column (#${count}) of "${title}"`);
+    }
+  };
+
+  const { columns } = config;
+  const tabCols = [
+    ...columns.status.map((c, i) => [`status[${i}]`, c]),
+    ["id", columns.id], ["date", columns.date], ["youtube", columns.youtube],
+    ...(columns.origin ? [["origin", columns.origin]] : []),
+    ...(config.nearDuplicates.enabled ? config.nearDuplicates.columns.map((c, i) => [`nearDuplicates.columns[${i}]`, c]) : []),
+  ];
+  // With headers.enabled columns are found per tab at run time (lib/layout.js)
+  const fixed = !config.headers.enabled;
+  config.tabs.forEach((t) => checkTab(t, "tabs", fixed ? tabCols : []));
+  if (config.validation.enabled) {
+    config.validation.tabs.filter((t) => !config.tabs.includes(t)).forEach((t) => checkTab(t, "validation.tabs", []));
+  }
+  config.msn.sourceWhitelist.forEach((t) => checkTab(t, "msn.sourceWhitelist",
+    fixed ? [["msn.checkboxColumn", config.msn.checkboxCol], ["msn.idColumn", config.msn.idCol]] : []));
+
+  if (errors.length) {
+    throw new Error(`Config profile "${config.name}" does not match the spreadsheet:\n  - ${errors.join("\n  - ")}`);
+  }
+}
@@ -0,0 +1,89 @@
+// lib/dates.js — Dates as they appear in column A (or any column a rule names)
+// parseSheetDate() returns ms since the epoch (UTC midnight of that day) or null:
+//   - numbers are Sheets serial dates (days since 1899-12-30), which is what
+//     values come back as with valueRenderOption UNFORMATTED_VALUE
+//   - "2025-10-02", "2025/10/02"                → year first, always
+//   - "10/2/2025", "2.10.25", "02-10-2025"      → day/month order from the locale
+//   - "Oct 2, 2025", "2 October 2025"           → English month names
+// A time after the date ("10/2/2025 14:30") is ignored. Anything else is null,
+// so a typo never sorts as a real date.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERIAL_EPOCH_OFFSET = 25569; // serial of 1970-01-01
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+/* =========================
+   Locale
+   ========================= */
+
+// "MDY", "DMY" or "YMD" for a Sheets locale like "en_US" or "de_DE".
+export function dateOrderForLocale(locale) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat(String(locale || "en-US").replace(/_/g, "-"), { timeZone: "UTC" })
+      .formatToParts(new Date(Date.UTC(2006, 0, 2)));
+  } catch {
+    return "MDY";
+  }
+  const order = parts
+    .filter((p) => p.type === "year" || p.type === "month" || p.type === "day")
+    .map((p) => p.type[0].toUpperCase())
+    .join("");
+  return ["MDY", "DMY", "YMD"].includes(order) ? order : "MDY";
+}
+
+/* =========================
+   Parse
+   ========================= */
+
+function utcDay(y, m, d) {
+  if (y < 100) y += 2000;
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  const t = Date.UTC(y, m - 1, d);
+  const back = new Date(t);
+  // Rejects 31/02 and friends instead of rolling over into March
+  return back.getUTCMonth() === m - 1 && back.getUTCDate() === d ? t : null;
+}
+
+// "Oct", "Sept" or "October" → 10; 0 when it isn't a month
+function monthIndex(name) {
+  const n = name.toLowerCase();
+  const i = MONTHS.findIndex((full) => full.startsWith(n));
+  return n.length >= 3 && i >= 0 ? i + 1 : 0;
+}
+
+export function parseSheetDate(value, { order = "MDY" } = {}) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? Math.round((Math.floor(value) - SERIAL_EPOCH_OFFSET) * DAY_MS) : null;
+  }
+  const s = (value ?? "").toString().trim().replace(/(?:[T ]\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?\s*(?:[AaPp][Mm])?(?:Z|[+-]\d{2}:?\d{2})?)$/, "");
+  if (!s) return null;
+
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (m) return utcDay(+m[1], +m[2], +m[3]);
+
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (m) {
+    const [a, b, y] = [+m[1], +m[2], +m[3]];
+    return order === "DMY" ? utcDay(y, b, a) : utcDay(y, a, b);
+  }
+
+  // Oct 2, 2025 / October 2 2025 / Thu, Oct 2, 2025
+  m = s.match(/^(?:[A-Za-z]+,?\s+)?([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+  if (m && monthIndex(m[1])) return utcDay(+m[3], monthIndex(m[1]), +m[2]);
+
+  // 2 Oct 2025 / 2 October, 2025 / 2-Oct-2025
+  m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]{3,})\.?,?[\s-]+(\d{2}|\d{4})$/);
+  if (m && monthIndex(m[2])) return utcDay(+m[3], monthIndex(m[2]), +m[1]);
+
+  return null;
+}
+
+// (value) → ms | null for one spreadsheet; `locale` is meta.properties.locale.
+export function createDateParser(locale) {
+  const order = dateOrderForLocale(locale);
+  return (value) => parseSheetDate(value, { order });
+}
@@ -0,0 +1,163 @@
+// lib/fuzzy.js — Near-duplicate creators ("@TechWithTim" vs "@techwtim")
+// Values are compacted (lowercase, letters and digits only, trailing filler
+// words like "official" dropped) and scored 0..1 as the better of:
+//   - trigram similarity (Dice), good at extra or reordered chunks
+//   - edit distance, 1 - levenshtein / longer length, good at typos
+// A pair is a near duplicate when any compared field scores >= threshold.
+// Only values that start or end with the same BLOCK characters are compared,
+// so a sheet of thousands isn't scored pair by pair; a pair that differs at
+// both ends is never found. Pairs are joined into clusters; the first item of
+// a cluster (in input order) is its canonical one.
+
+const BLOCK = 3;
+
+/* =========================
+   Scoring
+   ========================= */
+
+// Compact form used for matching; "" when too short to compare meaningfully.
+export function compactForMatch(raw, { ignoreWords = [], minLength = 1 } = {}) {
+  let s = (raw ?? "").toString().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  s = s.replace(/[^a-z0-9]/g, "");
+  for (let again = true; again;) {
+    again = false;
+    for (const w of ignoreWords) {
+      if (w && s.length > w.length && s.endsWith(w)) {
+        s = s.slice(0, -w.length);
+        again = true;
+      }
+    }
+  }
+  return s.length >= minLength ? s : "";
+}
+
+function trigrams(s) {
+  const out = new Set();
+  for (let i = 0; i + 3 <= s.length; i++) out.add(s.slice(i, i + 3));
+  return out;
+}
+
+// Edit distance, or max + 1 as soon as it must exceed `max`.
+export function levenshtein(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function dice(ta, tb) {
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return (2 * shared) / (ta.size + tb.size);
+}
+
+// Both arguments already compacted.
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const longer = Math.max(a.length, b.length);
+  return Math.max(dice(trigrams(a), trigrams(b)), 1 - levenshtein(a, b) / longer);
+}
+
+/* =========================
+   Pairs and clusters
+   ========================= */
+
+// Highest score either measure could reach given only the two lengths
+function bestPossible(la, lb) {
+  const [short, long] = la < lb ? [la, lb] : [lb, la];
+  const byEdits = short / long;
+  const byTrigrams = long > 2 ? (2 * Math.max(0, short - 2)) / (short - 2 + long - 2 || 1) : 0;
+  return Math.max(byEdits, byTrigrams);
+}
+
+// items: [{ fields: { name: compacted string } }] in canonical-first order.
+// Returns [{ list: [item], best: Map(item → { score, field, other }) }]; items
+// in no cluster are left out. `best` holds each non-first item's closest match.
+export function findNearDuplicates(items, { threshold }) {
+  const pairs = [];
+  const fieldNames = [...new Set(items.flatMap((it) => Object.keys(it.fields)))];
+
+  for (const field of fieldNames) {
+    const entries = items
+      .map((it, idx) => ({ idx, s: it.fields[field] || "" }))
+      .filter((e) => e.s)
+      .sort((x, y) => x.s.length - y.s.length);
+    const grams = entries.map((e) => trigrams(e.s));
+    // Entry positions by first and by last BLOCK characters, each list still sorted by length
+    const buckets = new Map();
+    entries.forEach((e, i) => {
+      for (const k of [`^${e.s.slice(0, BLOCK)}`, `$${e.s.slice(-BLOCK)}`]) {
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(i);
+      }
+    });
+    // A pair sharing both its start and its end is in two buckets; scored once
+    const scored = new Set();
+    for (const bucket of buckets.values()) {
+      for (let x = 0; x < bucket.length; x++) {
+        const i = bucket[x];
+        const a = entries[i];
+        for (let y = x + 1; y < bucket.length; y++) {
+          const j = bucket[y];
+          const b = entries[j];
+          // Sorted by length, so nothing further along can reach the threshold either
+          if (bestPossible(a.s.length, b.s.length) < threshold) break;
+          if (scored.has(i * entries.length + j)) continue;
+          scored.add(i * entries.length + j);
+          let score = a.s === b.s ? 1 : dice(grams[i], grams[j]);
+          if (score < threshold) {
+            const maxEdits = Math.floor((1 - threshold) * b.s.length);
+            score = Math.max(score, 1 - levenshtein(a.s, b.s, maxEdits) / b.s.length);
+          }
+          if (score >= threshold) pairs.push({ a: Math.min(a.idx, b.idx), b: Math.max(a.idx, b.idx), score, field });
+        }
+      }
+    }
+  }
+
+  // Union-find over item indexes
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (const p of pairs) {
+    const [ra, rb] = [find(p.a), find(p.b)];
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  }
+
+  const bestByIdx = new Map();
+  const offer = (idx, score, field, otherIdx) => {
+    const cur = bestByIdx.get(idx);
+    if (!cur || score > cur.score || (score === cur.score && otherIdx < cur.otherIdx)) {
+      bestByIdx.set(idx, { score, field, otherIdx });
+    }
+  };
+  for (const p of pairs) {
+    offer(p.b, p.score, p.field, p.a);
+    offer(p.a, p.score, p.field, p.b);
+  }
+
+  const clusters = new Map();
+  for (const idx of [...bestByIdx.keys()].sort((x, y) => x - y)) {
+    const root = find(idx);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(idx);
+  }
+  return [...clusters.values()].map((idxs) => ({
+    list: idxs.map((i) => items[i]),
+    best: new Map(idxs.slice(1).map((i) => {
+      const { score, field, otherIdx } = bestByIdx.get(i);
+      return [items[i], { score, field, other: items[otherIdx] }];
+    })),
+  }));
+}
@@ -0,0 +1,212 @@
+// lib/helpers.js — Shared sheet helpers (A1 columns, colors, IDs, metadata, guarded writes)
+
+import crypto from "node:crypto";
+import { parseChannelIdentity } from "./identity.js";
+
+export function indexToA1Col(n) {
+  let s = "";
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    s = String.fromCharCode(65 + r) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+// 'Tab Name'!A1:T — quoted so titles with spaces, commas or quotes are safe
+export function a1(title, ref) {
+  return `'${title.replace(/'/g, "''")}'!${ref}`;
+}
+export function hexToRgb01(hex) {
+  const m = hex.replace("#", "");
+  const r = parseInt(m.substring(0, 2), 16) / 255;
+  const g = parseInt(m.substring(2, 4), 16) / 255;
+  const b = parseInt(m.substring(4, 6), 16) / 255;
+  return { red: r, green: g, blue: b };
+}
+export function rgb01ToHex(color) {
+  const part = (v) => Math.round((v || 0) * 255).toString(16).padStart(2, "0");
+  return `#${part(color?.red)}${part(color?.green)}${part(color?.blue)}`.toUpperCase();
+}
+export function generateRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  return `run-${stamp}-${Math.random().toString(36).slice(2, 6)}`;
+}
+// Creator IDs are "id-" + a ULID: 48-bit millisecond time + 80 random bits in
+// Crockford base32. IDs made in the same millisecond increment the random part,
+// so they never collide within a process and still sort by creation time.
+const CROCKFORD = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const RANDOM_MAX = (1n << 80n) - 1n;
+let lastIdTime = -1;
+let lastIdRandom = 0n;
+function encodeBase32(n, length) {
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    out = CROCKFORD[Number(n % 32n)] + out;
+    n /= 32n;
+  }
+  return out;
+}
+export function generateUniqueId(now = Date.now()) {
+  if (now > lastIdTime) {
+    lastIdTime = now;
+    lastIdRandom = BigInt(`0x${crypto.randomBytes(10).toString("hex")}`);
+  } else {
+    // Same (or an earlier, if the clock stepped back) millisecond: stay monotonic
+    lastIdRandom = lastIdRandom === RANDOM_MAX ? 0n : lastIdRandom + 1n;
+    if (lastIdRandom === 0n) lastIdTime++;
+  }
+  return `id-${encodeBase32(BigInt(lastIdTime), 10)}${encodeBase32(lastIdRandom, 16)}`;
+}
+// Readable channel identity ("@name", "UC…", "c/name", …); see lib/identity.js
+export function extractHandle(url) {
+  return parseChannelIdentity(url)?.display ?? "";
+}
+export async function getSpreadsheetMeta(sheets, spreadsheetId) {
+  const res = await sheets.spreadsheets.get({ spreadsheetId });
+  return res.data;
+}
+export async function getOrCreateSheet(sheets, spreadsheetId, title, metaCache, plan) {
+  let meta = metaCache ?? (await getSpreadsheetMeta(sheets, spreadsheetId));
+  let sh = meta.sheets?.find((s) => s.properties?.title === title);
+  if (sh) return { meta, sheet: sh };
+  plan?.add({ feature: "setup", action: "create-sheet", dest: title });
+  if (plan?.dryRun) return { meta, sheet: null };
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: { requests: [{ addSheet: { properties: { title } } }] },
+  });
+  meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  sh = meta.sheets?.find((s) => s.properties?.title === title);
+  return { meta, sheet: sh };
+}
+// Current rows of a tab keyed by creator ID: id → { rowIdx1, row }. First occurrence wins.
+export async function readRowsById(sheets, spreadsheetId, sheet, idCol, firstRow = 2) {
+  const out = new Map();
+  if (!sheet) return out;
+  const title = sheet.properties.title;
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1(title, `A${firstRow}:${indexToA1Col(Math.max(sheet.properties.gridProperties.columnCount || 26, idCol))}`),
+  });
+  (res.data.values || []).forEach((row, i) => {
+    const id = String(row[idCol - 1] ?? "");
+    if (id && !out.has(id)) out.set(id, { rowIdx1: firstRow + i, row });
+  });
+  return out;
+}
+// Background colors as "#RRGGBB" ("" = none) keyed by title, then 1-based
+// column, then 1-based row. Ranges may span several columns, or repeat a tab.
+export async function getCellBackgrounds(sheets, spreadsheetId, ranges) {
+  if (!ranges.length) return new Map();
+  const res = await sheets.spreadsheets.get({
+    spreadsheetId,
+    ranges,
+    includeGridData: true,
+    fields: "sheets(properties(title),data(startRow,startColumn,rowData(values(userEnteredFormat(backgroundColor)))))",
+  });
+  const out = new Map();
+  for (const s of res.data.sheets || []) {
+    const byCol = new Map();
+    for (const block of s.data || []) {
+      (block.rowData || []).forEach((rd, i) => {
+        (rd.values || []).forEach((cell, j) => {
+          const col = (block.startColumn || 0) + j + 1;
+          if (!byCol.has(col)) byCol.set(col, new Map());
+          const bg = cell?.userEnteredFormat?.backgroundColor;
+          byCol.get(col).set((block.startRow || 0) + i + 1, bg ? rgb01ToHex(bg) : "");
+        });
+      });
+    }
+    out.set(s.properties?.title, byCol);
+  }
+  return out;
+}
+// One column per tab: title → 1-based row → color.
+export async function getColumnBackgrounds(sheets, spreadsheetId, ranges) {
+  const byTitle = await getCellBackgrounds(sheets, spreadsheetId, ranges);
+  return new Map([...byTitle].map(([title, byCol]) => [title, byCol.values().next().value || new Map()]));
+}
+// Whole rows as CellData (value, format, validation), e.g. to append them
+// elsewhere: title → 1-based row → cells from column A. `rows` is [{ title, rowIdx1 }];
+// runs of consecutive rows are read as one range.
+export async function getRowCells(sheets, spreadsheetId, rows) {
+  if (!rows.length) return new Map();
+  const byTitle = new Map();
+  rows.forEach(({ title, rowIdx1 }) => byTitle.set(title, [...(byTitle.get(title) || []), rowIdx1]));
+  const ranges = [];
+  for (const [title, list] of byTitle) {
+    const sorted = [...new Set(list)].sort((a, b) => a - b);
+    let start = sorted[0];
+    sorted.forEach((r, i) => {
+      if (sorted[i + 1] === r + 1) return;
+      ranges.push(a1(title, `${start}:${r}`));
+      start = sorted[i + 1];
+    });
+  }
+  const res = await sheets.spreadsheets.get({
+    spreadsheetId,
+    ranges,
+    includeGridData: true,
+    fields: "sheets(properties(title),data(startRow,rowData(values(userEnteredValue,userEnteredFormat,dataValidation))))",
+  });
+  const out = new Map();
+  for (const s of res.data.sheets || []) {
+    const byRow = out.get(s.properties?.title) || new Map();
+    for (const block of s.data || []) {
+      (block.rowData || []).forEach((rd, i) => byRow.set((block.startRow || 0) + i + 1, rd.values || []));
+    }
+    out.set(s.properties?.title, byRow);
+  }
+  return out;
+}
+// One row of values pasted as if typed, from column A
+export function pasteValuesRequest(sheetId, rowIndex, values) {
+  return {
+    pasteData: {
+      data: Array.from(values, (v) => (v ?? "")).join("\t"),
+      type: "PASTE_VALUES",
+      delimiter: "\t",
+      coordinate: { sheetId, rowIndex, columnIndex: 0 },
+    },
+  };
+}
+// deleteDimension requests for 1-based rows of one tab: each run of contiguous
+// rows is one request, bottom run first so earlier deletes don't shift later ones
+export function deleteRowsRequests(sheetId, rows) {
+  const sorted = [...new Set(rows)].sort((x, y) => y - x);
+  const requests = [];
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] - 1) j++;
+    requests.push({
+      deleteDimension: { range: { sheetId, dimension: "ROWS", startIndex: sorted[j] - 1, endIndex: sorted[i] } },
+    });
+    i = j + 1;
+  }
+  return requests;
+}
+// `--tabs`: features still read every tab but only change the ones named
+export function isTargeted(ctx, title) {
+  return !ctx.only || ctx.only.includes(title);
+}
+// Writes go through these two so a dry run can build everything and send nothing.
+export async function sendRequests(ctx, requests) {
+  if (!requests.length || ctx.plan.dryRun) return;
+  await ctx.sheets.spreadsheets.batchUpdate({
+    spreadsheetId: ctx.spreadsheetId,
+    requestBody: { requests },
+  });
+}
+export async function sendValueWrites(ctx, data) {
+  if (!data.length || ctx.plan.dryRun) return;
+  await ctx.sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: ctx.spreadsheetId,
+    requestBody: { valueInputOption: "RAW", data },
+  });
+}
+export function simpleRowChecksum(rowArray) {
+  const s = (rowArray || []).map(v => (v == null ? "" : String(v))).join("\u241F");
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h) + s.charCodeAt(i);
+  return (h >>> 0).toString(36);
+}
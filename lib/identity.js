@@ -0,0 +1,106 @@
+// lib/identity.js — YouTube channel identity from whatever is pasted in column C
+// parseChannelIdentity() returns a typed identity:
+//   handle   youtube.com/@Name, @Name, or a bare "Name"     → "@name"
+//   channel  youtube.com/channel/UC…, or a bare UC… ID        → "UC…" (case kept)
+//   user     youtube.com/user/Name (legacy username)         → "user/name"
+//   custom   youtube.com/c/Name or youtube.com/Name          → "c/name"
+//   video    youtu.be/ID, /watch?v=ID, /shorts/ID, /live/ID  → "video/ID" (no channel offline)
+//   text     anything else                                    → the trimmed text
+// m., www. and music. hosts are the same site. Handles, usernames and custom
+// URLs are case-insensitive; channel and video IDs are not.
+//
+// An alias table (config `identity.aliases` / `identity.aliasFile`) maps a
+// channel ID, username or custom URL to a handle, so the same creator pasted
+// both ways is recognized as one.
+
+const HOST = /^(?:https?:\/\/)?(?:(?:www|m|music)\.)?(youtube\.com|youtu\.be)(?=[/?#]|$)/i;
+const CHANNEL_ID = /^UC[\w-]{22}$/;
+const HANDLE = /^[\w.-]{3,30}$/;
+// First path segments that are pages, not legacy vanity URLs
+const RESERVED = new Set([
+  "watch", "shorts", "live", "embed", "playlist", "results", "feed", "channel", "c", "user",
+  "hashtag", "redirect", "premium", "account", "gaming", "music", "kids", "t", "about", "",
+]);
+
+/* =========================
+   Parse
+   ========================= */
+
+function identity(type, id) {
+  switch (type) {
+    case "handle": return { type, id: id.toLowerCase(), display: `@${id.toLowerCase()}` };
+    case "channel": return { type, id, display: id };
+    case "user": return { type, id: id.toLowerCase(), display: `user/${id.toLowerCase()}` };
+    case "custom": return { type, id: id.toLowerCase(), display: `c/${id.toLowerCase()}` };
+    case "video": return { type, id, display: `video/${id}` };
+    default: return { type: "text", id, display: id };
+  }
+}
+
+function parseUrl(host, rest) {
+  const cut = rest.search(/[?#]/);
+  const pathPart = cut >= 0 ? rest.slice(0, cut) : rest;
+  const query = rest.includes("?") ? rest.slice(rest.indexOf("?") + 1).split("#")[0] : "";
+  const decode = (p) => { try { return decodeURIComponent(p); } catch { return p; } };
+  const parts = pathPart.split("/").filter(Boolean).map(decode);
+  if (host === "youtu.be") return parts[0] ? identity("video", parts[0]) : null;
+
+  const [first = "", second = ""] = parts;
+  if (first.startsWith("@") && first.length > 1) return identity("handle", first.slice(1));
+  if (first === "channel" && second) return identity("channel", second);
+  if (first === "c" && second) return identity("custom", second);
+  if (first === "user" && second) return identity("user", second);
+  if ((first === "shorts" || first === "live" || first === "embed") && second) return identity("video", second);
+  if (first === "watch") {
+    const v = new URLSearchParams(query).get("v");
+    return v ? identity("video", v) : null;
+  }
+  if (!RESERVED.has(first.toLowerCase())) return identity("custom", first);
+  return null;
+}
+
+// Returns { type, id, display } or null for an empty cell.
+export function parseChannelIdentity(raw) {
+  const s = (raw ?? "").toString().trim();
+  if (!s) return null;
+  const m = s.match(HOST);
+  if (m) return parseUrl(m[1].toLowerCase(), s.slice(m[0].length)) || identity("text", s);
+  if (s.startsWith("@") && HANDLE.test(s.slice(1))) return identity("handle", s.slice(1));
+  if (CHANNEL_ID.test(s)) return identity("channel", s);
+  if (HANDLE.test(s)) return identity("handle", s);
+  return identity("text", s);
+}
+
+// Stable grouping key, e.g. "handle:name" or "channel:UC…"
+export function identityKey(ident) {
+  if (!ident) return "";
+  return ident.type === "text" ? `text:${ident.id.toLowerCase()}` : `${ident.type}:${ident.id}`;
+}
+
+/* =========================
+   Aliases
+   ========================= */
+
+// raw: { "UC…" | "youtube.com/c/Name" | …: "@handle" }. Returns key → handle identity;
+// bad entries are reported into `errors`.
+export function compileAliases(raw, where, errors) {
+  const out = new Map();
+  for (const [from, to] of Object.entries(raw || {})) {
+    const src = parseChannelIdentity(from);
+    const dst = parseChannelIdentity(to);
+    if (!src || src.type === "text") errors.push(`${where}["${from}"]: not a channel ID, username or custom URL`);
+    else if (!dst || dst.type !== "handle") errors.push(`${where}["${from}"]: "${to}" is not a handle like "@name"`);
+    else out.set(identityKey(src), dst);
+  }
+  return out;
+}
+
+// (raw) → { type, id, display, key } | null, with aliases applied
+export function createIdentityResolver(aliases = new Map()) {
+  return (raw) => {
+    const parsed = parseChannelIdentity(raw);
+    if (!parsed) return null;
+    const ident = aliases.get(identityKey(parsed)) || parsed;
+    return { ...ident, key: identityKey(ident) };
+  };
+}
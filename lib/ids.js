@@ -0,0 +1,72 @@
+// lib/ids.js — `fix-ids`: one-time repair of duplicate creator IDs
+// IDs from the old generator (Date.now() + random(0..999) in base36) could
+// collide. The same ID on several rows is only legitimate when they are one
+// creator in different tabs (a "copy" rule keeps the ID). So, per ID:
+//   - rows are grouped by channel identity; the first group keeps the ID and
+//     every other group gets one new ID, shared by its rows across tabs
+//   - a second row with the same ID in the same tab gets its own new ID
+//   - a row with no channel matches no other row, so it is a group of its own
+// The Automation Log, Journal, Duplicates Report and Data Quality tabs are left alone.
+
+import { a1, indexToA1Col, generateUniqueId, sendValueWrites } from "./helpers.js";
+import { createLayouts } from "./layout.js";
+
+export async function fixDuplicateIds(ctx) {
+  const { plan, config, snapshot } = ctx;
+  const meta = await snapshot.meta();
+  const ignored = new Set([config.auditLog.sheet, config.journal.sheet, config.duplicatesReport.sheet, config.validation.sheet, config.incremental.sheet, config.lock.sheet]);
+  const tabs = (meta.sheets || []).map((s) => s.properties?.title).filter((t) => t && !ignored.has(t));
+  await snapshot.load(tabs, Math.max(config.columns.id, config.msn.idCol));
+  const layouts = createLayouts(config, snapshot);
+  const msnLayouts = createLayouts(config, snapshot, { headerRow: config.msn.headerRow, idCol: config.msn.idCol });
+  const layoutOf = (title) => (title === config.msn.destSheet ? msnLayouts : layouts).of(title);
+  const firstRowOf = (title) => (title === config.msn.destSheet ? config.msn.headerRow + 1 : 2);
+
+  // id → [{ title, rowIdx1, handle, key }] in workbook order; key = identity key (lib/identity.js)
+  const byId = new Map();
+  for (const title of tabs) {
+    // A tab without an ID header holds no IDs to fix
+    const { cols } = layoutOf(title);
+    if (!cols.id) continue;
+    const firstRow = firstRowOf(title);
+    snapshot.rows(title).slice(firstRow - 1).forEach((row, i) => {
+      const id = String(row?.[cols.id - 1] ?? "").trim();
+      if (!id) return;
+      const yt = cols.youtube ? row?.[cols.youtube - 1] : "";
+      if (!byId.has(id)) byId.set(id, []);
+      const ident = config.identity.resolve(yt);
+      byId.get(id).push({ title, rowIdx1: firstRow + i, handle: ident?.display ?? "", key: ident?.key ?? "" });
+    });
+  }
+
+  const writes = [];
+  let reassigned = 0;
+  for (const [id, rows] of byId) {
+    if (rows.length < 2) continue;
+    const first = rows[0];
+    const keyOf = (r) => r.key || `row:${r.title}:${r.rowIdx1}`;
+    const newIdByHandle = new Map([[keyOf(first), id]]);
+    const tabsByHandle = new Map();
+    for (const r of rows) {
+      const key = keyOf(r);
+      if (!newIdByHandle.has(key)) newIdByHandle.set(key, generateUniqueId());
+      if (!tabsByHandle.has(key)) tabsByHandle.set(key, new Set());
+      const seen = tabsByHandle.get(key);
+      let newId = newIdByHandle.get(key);
+      if (seen.has(r.title)) newId = generateUniqueId();
+      seen.add(r.title);
+      if (newId === id) continue;
+
+      writes.push({ range: a1(r.title, `${indexToA1Col(layoutOf(r.title).cols.id)}${r.rowIdx1}`), values: [[newId]] });
+      plan.add({
+        feature: "fix-ids", action: "write-id", sourceTab: r.title, sourceRow: r.rowIdx1, id: newId, handle: r.handle,
+        reason: `replaces ${id}, also used by ${first.title} row ${first.rowIdx1}`,
+      });
+      reassigned++;
+    }
+  }
+
+  await sendValueWrites(ctx, writes);
+  if (!plan.dryRun) snapshot.invalidate(tabs);
+  return { scanned: byId.size, reassigned };
+}
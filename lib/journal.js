@@ -0,0 +1,360 @@
+// lib/journal.js — Move journal, crash recovery and `restore <runId>`
+// Every row a run moves (copy + delete) is written to a hidden journal tab with
+// its full values, original tab and row, creator ID and destination. A move is
+// journaled as "pending" before its copy is sent, becomes "copied" once the copy
+// landed and "deleted" once the source row is gone (with the checksum of the
+// destination copy). A run that dies in between leaves open entries, which the
+// next run reconciles before doing anything else. `restore` puts deleted rows
+// back and removes the destination copies, refusing any copy that was edited
+// since the move.
+//
+// States: pending → copied → deleted | kept (delete skipped, row in both tabs)
+//         rolled-back (copy removed, source kept) | abandoned (copy never landed)
+
+import {
+  a1, indexToA1Col, deleteRowsRequests, getSpreadsheetMeta, readRowsById, sendRequests, sendValueWrites, simpleRowChecksum,
+} from "./helpers.js";
+import { matchRule, ruleTarget } from "./rules.js";
+import { createDateParser } from "./dates.js";
+import { createLayouts, mapRow, originCell } from "./layout.js";
+
+export const JOURNAL_HEADER = [
+  "Run ID", "Timestamp", "Feature", "Source Tab", "Source Row", "Destination",
+  "Creator ID", "Dest Checksum", "Row Values", "Restored At", "State",
+];
+const COL = Object.fromEntries(JOURNAL_HEADER.map((h, i) => [h, i]));
+const OPEN_STATES = new Set(["pending", "copied"]);
+
+/* =========================
+   Journal tab
+   ========================= */
+
+async function getJournalSheet(ctx) {
+  const { sheets, spreadsheetId, config } = ctx;
+  const title = config.journal.sheet;
+  const meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  const existing = meta.sheets?.find((s) => s.properties?.title === title);
+  if (existing) return existing;
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: { requests: [{ addSheet: { properties: { title, hidden: true } } }] },
+  });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: a1(title, "A1"),
+    valueInputOption: "RAW",
+    requestBody: { values: [JOURNAL_HEADER] },
+  });
+  const after = await getSpreadsheetMeta(sheets, spreadsheetId);
+  return after.sheets.find((s) => s.properties?.title === title);
+}
+
+// moves: [{ feature, sourceTab, sourceRow, dest, id, values }]. Call before the
+// copies are sent; sets m.journalRow on each move for setMoveStates.
+export async function journalPendingMoves(ctx, moves) {
+  const { sheets, spreadsheetId, plan } = ctx;
+  if (plan.dryRun || !moves.length) return;
+  const sheet = await getJournalSheet(ctx);
+  const at = new Date().toISOString();
+  const res = await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: a1(sheet.properties.title, "A1"),
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    requestBody: {
+      values: moves.map((m) => [
+        plan.runId, at, m.feature, m.sourceTab, m.sourceRow, m.dest,
+        m.id, "", JSON.stringify(m.values), "", "pending",
+      ]),
+    },
+  });
+  const first = Number((res.data.updates?.updatedRange || "").match(/!\$?[A-Z]+\$?(\d+)/)?.[1]);
+  if (!first) throw new Error("Journal append did not report which rows it wrote");
+  moves.forEach((m, i) => { m.journalRow = first + i; });
+}
+
+// updates: [{ journalRow, state, sourceRow?, destChecksum? }]
+export async function setMoveStates(ctx, updates) {
+  const { plan, config } = ctx;
+  if (plan.dryRun) return;
+  const data = [];
+  const cell = (row, name, value) => data.push({
+    range: a1(config.journal.sheet, `${indexToA1Col(COL[name] + 1)}${row}`),
+    values: [[value]],
+  });
+  for (const u of updates) {
+    if (!u.journalRow) continue;
+    cell(u.journalRow, "State", u.state);
+    if (u.sourceRow != null) cell(u.journalRow, "Source Row", u.sourceRow);
+    if (u.destChecksum != null) cell(u.journalRow, "Dest Checksum", u.destChecksum);
+  }
+  await sendValueWrites(ctx, data);
+}
+
+// A hand-edited or cut-off "Row Values" cell makes that one entry unreadable
+function parseRowValues(text) {
+  try {
+    const values = JSON.parse(text || "[]");
+    return Array.isArray(values) ? { values, unreadable: "" } : { values: [], unreadable: "Row Values is not a list" };
+  } catch (e) {
+    return { values: [], unreadable: `Row Values is not valid JSON (${e.message})` };
+  }
+}
+
+// Entries with `unreadable` set can't be reconciled or restored; callers skip them
+export async function readJournal(ctx, runId) {
+  const { sheets, spreadsheetId, config } = ctx;
+  const meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  if (!meta.sheets?.some((s) => s.properties?.title === config.journal.sheet)) return [];
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1(config.journal.sheet, `A2:${indexToA1Col(JOURNAL_HEADER.length)}`),
+  });
+  return (res.data.values || [])
+    .map((r, i) => ({
+      journalRow: i + 2,
+      runId: r[COL["Run ID"]] || "",
+      feature: r[COL["Feature"]] || "",
+      sourceTab: r[COL["Source Tab"]] || "",
+      sourceRow: Number(r[COL["Source Row"]]) || 0,
+      dest: r[COL["Destination"]] || "",
+      id: r[COL["Creator ID"]] || "",
+      destChecksum: r[COL["Dest Checksum"]] || "",
+      ...parseRowValues(r[COL["Row Values"]]),
+      restoredAt: r[COL["Restored At"]] || "",
+      // Rows from before states existed were only journaled once deleted
+      state: r[COL["State"]] || "deleted",
+    }))
+    .filter((e) => !runId || e.runId === runId);
+}
+
+/* =========================
+   Restore
+   ========================= */
+
+// (entry, title) → that tab's layout as the feature that moved the row sees it.
+// The tabs must be loaded in ctx.snapshot.
+function layoutsFor(ctx) {
+  const { config, snapshot } = ctx;
+  const layouts = createLayouts(config, snapshot);
+  const msn = createLayouts(config, snapshot, { headerRow: config.msn.headerRow, idCol: config.msn.idCol });
+  return (entry, title) => (entry.feature === "msn" ? msn : layouts).of(title);
+}
+
+export async function restoreRun(ctx, runId) {
+  const { sheets, spreadsheetId, plan, config } = ctx;
+  const entries = (await readJournal(ctx, runId)).filter((e) => e.state === "deleted" && !e.restoredAt);
+  if (!entries.length) throw new Error(`Nothing to restore for run ${runId}`);
+
+  let meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  const sheetByTitle = (t) => meta.sheets?.find((s) => s.properties?.title === t);
+  const parseDate = createDateParser(meta.properties?.locale);
+  const skip = (e, reason) => plan.add({
+    feature: "restore", action: "skip", sourceTab: e.sourceTab, sourceRow: e.sourceRow,
+    dest: e.dest, id: e.id, reason,
+  });
+
+  // 1) Decide which entries are safe: destination copy untouched, source free of the ID
+  await ctx.snapshot.load(entries.flatMap((e) => [e.sourceTab, e.dest]));
+  const layoutOf = layoutsFor(ctx);
+  const cache = new Map();
+  const lookup = async (title, idCol) => {
+    const key = `${title}␟${idCol}`;
+    if (!cache.has(key)) cache.set(key, await readRowsById(sheets, spreadsheetId, sheetByTitle(title), idCol));
+    return cache.get(key);
+  };
+  const ok = [];
+  for (const e of entries) {
+    if (e.unreadable) { skip(e, `journal row ${e.journalRow}: ${e.unreadable}`); continue; }
+    if (!sheetByTitle(e.sourceTab)) { skip(e, `source tab "${e.sourceTab}" no longer exists`); continue; }
+    if (!sheetByTitle(e.dest)) { skip(e, `destination tab "${e.dest}" no longer exists`); continue; }
+    const srcIdCol = layoutOf(e, e.sourceTab).cols.id;
+    const destIdCol = layoutOf(e, e.dest).cols.id;
+    if (!srcIdCol || !destIdCol) { skip(e, `no ID column in ${srcIdCol ? e.dest : e.sourceTab}`); continue; }
+    const copy = (await lookup(e.dest, destIdCol)).get(e.id);
+    if (!copy) { skip(e, `ID not found in ${e.dest}`); continue; }
+    if (simpleRowChecksum(copy.row) !== e.destChecksum) { skip(e, `copy in ${e.dest} was edited since the move`); continue; }
+    if ((await lookup(e.sourceTab, srcIdCol)).has(e.id)) { skip(e, `ID is already back in ${e.sourceTab}`); continue; }
+    ok.push(e);
+  }
+
+  // 2) Re-insert source rows at their original positions. Each feature phase
+  //    recorded rows in the frame left by the phase before it, so phases are
+  //    undone last-first and rows inside a phase ascending; values are pasted
+  //    right after each insert so later inserts shift them correctly.
+  const phases = [];
+  ok.forEach((e) => {
+    const last = phases[phases.length - 1];
+    if (last && last.feature === e.feature && last.runId === e.runId) last.list.push(e);
+    else phases.push({ feature: e.feature, runId: e.runId, list: [e] });
+  });
+  const rowCounts = new Map();
+  const inserts = [];
+  for (const phase of phases.reverse()) {
+    phase.list.sort((a, b) => a.sourceRow - b.sourceRow).forEach((e) => {
+      const values = e.values.slice();
+      let note = "";
+      if (e.feature === "msn") {
+        // Restored unchecked, otherwise the next run would move it straight back
+        const box = layoutOf(e, e.sourceTab).cols.msnCheckbox;
+        if (box) values[box - 1] = "FALSE";
+      } else {
+        const cols = layoutOf(e, e.sourceTab).cols;
+        const rule = matchRule(config.migrations.rules, values, { now: Date.now(), parseDate, cols, tab: e.sourceTab });
+        const target = rule && ruleTarget(rule, values, cols);
+        if (target && target !== e.sourceTab) note = `; status still matches rule ${rule.name}, change it before the next run`;
+      }
+      const s = sheetByTitle(e.sourceTab);
+      const sheetId = s.properties.sheetId;
+      const rowCount = rowCounts.get(sheetId) ?? s.properties.gridProperties.rowCount;
+      const at = Math.min(Math.max(e.sourceRow, 2), rowCount + 1);
+      rowCounts.set(sheetId, rowCount + 1);
+      inserts.push(
+        {
+          insertDimension: {
+            range: { sheetId, dimension: "ROWS", startIndex: at - 1, endIndex: at },
+            inheritFromBefore: true,
+          },
+        },
+        {
+          pasteData: {
+            data: Array.from(values, (v) => (v ?? "")).join("\t"),
+            type: "PASTE_VALUES",
+            delimiter: "\t",
+            coordinate: { sheetId, rowIndex: at - 1, columnIndex: 0 },
+          },
+        }
+      );
+      plan.add({
+        feature: "restore", action: "restore", sourceTab: e.sourceTab, sourceRow: at,
+        dest: e.dest, id: e.id, reason: `undo ${e.runId}${note}`,
+      });
+    });
+  }
+  await sendRequests(ctx, inserts);
+
+  // 3) Remove the destination copies by ID, re-checking them after the inserts
+  meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  cache.clear();
+  const deletesBySheet = new Map();
+  const restored = [];
+  for (const e of ok) {
+    const copy = (await lookup(e.dest, layoutOf(e, e.dest).cols.id)).get(e.id);
+    if (!copy || simpleRowChecksum(copy.row) !== e.destChecksum) {
+      skip(e, `copy in ${e.dest} changed during restore; kept it, so the row now exists in both tabs`);
+      continue;
+    }
+    const sheetId = sheetByTitle(e.dest).properties.sheetId;
+    if (!deletesBySheet.has(sheetId)) deletesBySheet.set(sheetId, []);
+    deletesBySheet.get(sheetId).push(copy.rowIdx1);
+    plan.add({ feature: "restore", action: "delete", sourceTab: e.dest, sourceRow: copy.rowIdx1, id: e.id, reason: `undo ${e.runId}` });
+    restored.push(e);
+  }
+  await sendRequests(ctx, [...deletesBySheet].flatMap(([sheetId, rows]) => deleteRowsRequests(sheetId, [...rows])));
+
+  // 4) Mark journal rows as restored so a second restore is a no-op
+  if (restored.length && !plan.dryRun) {
+    const at = new Date().toISOString();
+    const col = indexToA1Col(COL["Restored At"] + 1);
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: "RAW",
+        data: restored.map((e) => ({ range: a1(config.journal.sheet, `${col}${e.journalRow}`), values: [[at]] })),
+      },
+    });
+  }
+  return { restored: restored.length, skipped: entries.length - restored.length };
+}
+
+/* =========================
+   Reconcile interrupted moves
+   ========================= */
+
+// Finishes or undoes moves a crashed run left "pending" or "copied". Rows are
+// found by creator ID, so it doesn't matter if the tabs were re-sorted since.
+//   copy present, source unchanged → delete the source (finish the move)
+//   copy present, source changed   → delete the copy (roll back), keep the edit
+//   copy present, source gone      → the delete already happened
+//   no copy                        → the copy never landed; the next pass moves it again
+export async function reconcileMoves(ctx) {
+  const { plan, config, snapshot } = ctx;
+  const entries = (await readJournal(ctx)).filter((e) => OPEN_STATES.has(e.state));
+  const result = { finished: 0, rolledBack: 0, abandoned: 0, kept: 0 };
+  // Left open, so they show up again until the journal row is fixed or deleted
+  entries.filter((e) => e.unreadable).forEach((e) => plan.add({
+    feature: "reconcile", action: "skip", sourceTab: e.sourceTab, sourceRow: e.sourceRow, dest: e.dest, id: e.id,
+    reason: `journal row ${e.journalRow}: ${e.unreadable}; left open`,
+  }));
+  const open = entries.filter((e) => !e.unreadable);
+  if (!open.length) return result;
+
+  await snapshot.load(open.flatMap((e) => [e.sourceTab, e.dest]), Math.max(config.columns.id, config.msn.idCol));
+  const layoutOf = layoutsFor(ctx);
+  const deletesBySheet = new Map();
+  const updates = [];
+  const note = (action, e, fields) => plan.add({
+    feature: "reconcile", action, sourceTab: e.sourceTab, sourceRow: e.sourceRow, dest: e.dest, id: e.id, ...fields,
+  });
+  const byId = new Map();
+  const lookup = (title, idCol, firstRow) => {
+    const key = `${title}␟${idCol}␟${firstRow}`;
+    if (!byId.has(key)) byId.set(key, snapshot.rowsById(title, idCol, firstRow));
+    return byId.get(key);
+  };
+  const deleteRow = async (title, row) => {
+    const sheetId = (await snapshot.sheet(title)).properties.sheetId;
+    if (!deletesBySheet.has(sheetId)) deletesBySheet.set(sheetId, new Set());
+    deletesBySheet.get(sheetId).add(row);
+  };
+
+  for (const e of open) {
+    const srcLayout = layoutOf(e, e.sourceTab);
+    const destLayout = layoutOf(e, e.dest);
+    if (!srcLayout.cols.id || !destLayout.cols.id) {
+      note("skip", e, { reason: `interrupted move from ${e.runId}: no ID column in ${srcLayout.cols.id ? e.dest : e.sourceTab}, left open` });
+      continue;
+    }
+    const firstRow = e.feature === "msn" ? config.msn.headerRow + 1 : 2;
+    const source = lookup(e.sourceTab, srcLayout.cols.id, firstRow).get(e.id);
+    const copy = lookup(e.dest, destLayout.cols.id, firstRow).get(e.id);
+    const moved = simpleRowChecksum(e.values);
+    // What an untouched copy reads like (tabs with different headers get mapped
+    // values; a copy out of one of `tabs` records its origin)
+    const copied = mapRow(e.values, srcLayout, destLayout).values;
+    const origin = e.feature === "migrate" ? originCell(config, e.sourceTab, destLayout) : null;
+    if (origin) copied[origin.col - 1] = origin.value;
+    const asCopied = simpleRowChecksum(copied);
+
+    if (!copy) {
+      note("skip", e, { reason: `interrupted move from ${e.runId}: copy never reached ${e.dest}, source left in place` });
+      updates.push({ journalRow: e.journalRow, state: "abandoned" });
+      result.abandoned++;
+    } else if (!source) {
+      note("skip", e, { reason: `interrupted move from ${e.runId}: source row already deleted` });
+      updates.push({ journalRow: e.journalRow, state: "deleted", destChecksum: simpleRowChecksum(copy.row) });
+      result.finished++;
+    } else if (simpleRowChecksum(source.row) === moved) {
+      await deleteRow(e.sourceTab, source.rowIdx1);
+      note("delete", e, { sourceRow: source.rowIdx1, reason: `finish interrupted move from ${e.runId} to ${e.dest}` });
+      updates.push({
+        journalRow: e.journalRow, state: "deleted", sourceRow: source.rowIdx1, destChecksum: simpleRowChecksum(copy.row),
+      });
+      result.finished++;
+    } else if (simpleRowChecksum(copy.row) === asCopied) {
+      await deleteRow(e.dest, copy.rowIdx1);
+      note("rollback", e, { sourceRow: source.rowIdx1, destRow: copy.rowIdx1, reason: `source row changed after ${e.runId} copied it` });
+      updates.push({ journalRow: e.journalRow, state: "rolled-back" });
+      result.rolledBack++;
+    } else {
+      note("skip", e, { sourceRow: source.rowIdx1, reason: `interrupted move from ${e.runId}: source and copy both edited, kept both` });
+      updates.push({ journalRow: e.journalRow, state: "kept" });
+      result.kept++;
+    }
+  }
+
+  await sendRequests(ctx, [...deletesBySheet].flatMap(([sheetId, rows]) => deleteRowsRequests(sheetId, [...rows])));
+  if (!plan.dryRun) snapshot.invalidate(open.flatMap((e) => [e.sourceTab, e.dest]));
+  await setMoveStates(ctx, updates);
+  return result;
+}
@@ -0,0 +1,138 @@
+// lib/layout.js — Where each column is, per tab
+// By default the letters under `columns` (and `msn`) apply to every tab. With
+// `headers.enabled` each tab's header row is searched for the names under
+// `headers` instead (case, spaces and punctuation ignored; the first alias
+// found wins), so a column inserted in one tab shifts nothing. A tab missing a
+// column a feature needs is reported and skipped by that feature.
+//
+// Copies between tabs with different layouts go through mapRow(): values land
+// under the same field or the same header name in the destination.
+
+export function normalizeHeader(h) {
+  return (h ?? "").toString().toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/* =========================
+   Layouts
+   ========================= */
+
+// headerRow / idCol: the MSN feature keeps its own (config.msn); tabs must be
+// loaded in the snapshot before of() is called. `header` is the tab's header
+// row as text in both modes; `keys` is null in fixed mode.
+export function createLayouts(config, snapshot, { headerRow = 1, idCol = config.columns.id } = {}) {
+  const cache = new Map();
+  const fixed = {
+    youtube: config.columns.youtube,
+    date: config.columns.date,
+    id: idCol,
+    status: config.columns.status,
+    msnCheckbox: config.msn.checkboxCol,
+    origin: config.columns.origin,
+  };
+
+  const build = (title, header) => {
+    if (!config.headers.enabled) return { title, headerRow, cols: fixed, keys: null, header };
+    const norm = header.map(normalizeHeader);
+    const find = (aliases) => {
+      for (const a of aliases) {
+        const i = norm.indexOf(a);
+        if (i >= 0) return i + 1;
+      }
+      return null;
+    };
+    const { fields } = config.headers;
+    const cols = {
+      youtube: find(fields.youtube),
+      date: find(fields.date),
+      id: find(fields.id),
+      status: fields.status.map(find),
+      msnCheckbox: find(fields.msnCheckbox),
+      origin: find(fields.origin),
+    };
+    // What each column holds, for mapRow(): a field, else its header name
+    const keys = norm.map((h) => (h ? `h:${h}` : ""));
+    for (const f of ["youtube", "date", "id", "msnCheckbox", "origin"]) if (cols[f]) keys[cols[f] - 1] = `f:${f}`;
+    cols.status.forEach((c, i) => { if (c) keys[c - 1] = `f:status${i}`; });
+    return { title, headerRow, cols, keys, header };
+  };
+
+  return {
+    of(title) {
+      if (!cache.has(title)) {
+        const header = headerRow ? (snapshot.rows(title)[headerRow - 1] || []).map((v) => (v ?? "").toString()) : [];
+        cache.set(title, build(title, header));
+      }
+      return cache.get(title);
+    },
+
+    // A destination without a header row takes the source's (written by the caller).
+    adopt(title, from) {
+      const layout = { ...from, title, adopted: true };
+      cache.set(title, layout);
+      return layout;
+    },
+
+    // True when the tab has no header row yet: in header mode a blank header
+    // row, in fixed mode nothing in the tab at all (a fresh tab, whose first
+    // copy would otherwise land in the header row). False once adopted.
+    isBlank(title) {
+      const layout = this.of(title);
+      if (layout.adopted) return false;
+      if (config.headers.enabled) return !layout.header.some((h) => h.trim());
+      return !!headerRow && !snapshot.rows(title).some((r) => (r || []).some((v) => v != null && v !== ""));
+    },
+  };
+}
+
+// "" when the layout has every field listed, else a message naming what's missing.
+export function missingColumns(config, layout, fields) {
+  if (!layout.keys) return "";
+  const { labels } = config.headers;
+  const missing = [];
+  for (const f of fields) {
+    if (f === "status") {
+      layout.cols.status.forEach((c, i) => { if (!c) missing.push(labels.status[i].join(" / ")); });
+    } else if (!layout.cols[f]) {
+      missing.push(labels[f].join(" / "));
+    }
+  }
+  return missing.length ? `no ${missing.map((m) => `"${m}"`).join(", ")} column in header row ${layout.headerRow}` : "";
+}
+
+/* =========================
+   Copy between layouts
+   ========================= */
+
+export function sameLayout(a, b) {
+  if (!a.keys || !b.keys) return true;
+  return a.keys.length === b.keys.length && a.keys.every((k, i) => k === b.keys[i]);
+}
+
+// An unticked checkbox holds nothing worth keeping
+const isEmptyCell = (v) => v == null || v === "" || v === false || String(v).toUpperCase() === "FALSE";
+
+// values: a row in `from`'s layout. Returns { values, dropped } where `dropped`
+// names the source columns that hold something but have no place in `to`.
+export function mapRow(values, from, to) {
+  if (sameLayout(from, to)) return { values: values.slice(), dropped: [] };
+  const srcByKey = new Map();
+  from.keys.forEach((k, i) => { if (k && !srcByKey.has(k)) srcByKey.set(k, i); });
+  const out = to.keys.map((k) => (k && srcByKey.has(k) ? values[srcByKey.get(k)] ?? "" : ""));
+  // Trailing blanks dropped, like rows read back from the API
+  while (out.length && (out[out.length - 1] === "" || out[out.length - 1] == null)) out.pop();
+  const placed = new Set(to.keys.filter(Boolean));
+  const dropped = [];
+  values.forEach((v, i) => {
+    if (isEmptyCell(v) || placed.has(from.keys[i])) return;
+    dropped.push(from.header[i]?.trim() || `column ${i + 1}`);
+  });
+  return { values: out, dropped };
+}
+
+// A row copied out of one of `tabs` records that tab in the destination's
+// origin column, for `dest: $origin` rules. { col, value }, or null when the
+// destination has no origin column or the row leaves a destination tab (it
+// keeps the origin it has).
+export function originCell(config, sourceTab, to) {
+  return to.cols.origin && config.tabs.includes(sourceTab) ? { col: to.cols.origin, value: sourceTab } : null;
+}
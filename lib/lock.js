@@ -0,0 +1,151 @@
+// lib/lock.js — One run at a time per spreadsheet: a lease kept in a hidden tab
+// The workflow (workflow_dispatch, repository_dispatch) and the webhook's local
+// mode can start runs that overlap. A run takes the lock before it reads
+// anything and gives it back once the audit log is written.
+// The lock is the `lock.sheet` tab itself. Adding a sheet whose title exists
+// fails, so only one run can create it; its row 2 holds the lease (run ID,
+// holder, expiry). A lease past its expiry belongs to a run that died: the next
+// run deletes that tab and adds its own in one batchUpdate, which fails as a
+// whole if another run got there first. The holder renews the lease between
+// features; a run whose tab is gone has lost the lock and stops.
+// Dry runs write nothing and take no lock.
+
+import crypto from "node:crypto";
+import os from "node:os";
+import { a1, getSpreadsheetMeta } from "./helpers.js";
+import { statusOf } from "./retry.js";
+
+export const LOCK_HEADER = ["Run ID", "Holder", "Acquired", "Expires"];
+
+const POLL_MS = 5000;
+// A create or takeover that loses a race is looked at again; a 400 this often is something else
+const MAX_CONFLICTS = 3;
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* =========================
+   Lease
+   ========================= */
+
+const textRow = (values) => ({ values: values.map((v) => ({ userEnteredValue: { stringValue: String(v) } })) });
+
+function leaseRow(runId, holder, acquiredMs, expiresMs) {
+  return textRow([runId, holder, new Date(acquiredMs).toISOString(), new Date(expiresMs).toISOString()]);
+}
+
+async function readLease(ctx, title) {
+  const { sheets, spreadsheetId } = ctx;
+  const meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  const sheet = meta.sheets?.find((s) => s.properties?.title === title);
+  if (!sheet) return null;
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range: a1(title, "A2:D2") });
+  const [runId = "", holder = "", , expires = ""] = res.data.values?.[0] || [];
+  // A lease that can't be read (emptied by hand) counts as expired
+  return { sheetId: sheet.properties.sheetId, runId, holder, expires, expiresMs: Date.parse(expires) || 0 };
+}
+
+// Random, so a takeover never reuses the ID of the tab it replaces
+const newSheetId = () => crypto.randomInt(1, 2 ** 31 - 1);
+
+/* =========================
+   Acquire / renew / release
+   ========================= */
+
+// Returns the held lock ({ renew, release }), or null when there is nothing to
+// lock (dry run, lock.enabled off). Waits up to lock.waitMs for another run.
+export async function acquireLock(ctx, { sleep = defaultSleep, now = Date.now } = {}) {
+  const { sheets, spreadsheetId, plan, config } = ctx;
+  if (plan.dryRun || !config.lock.enabled) return null;
+  const { sheet: title, ttlMs, waitMs } = config.lock;
+  const holder = `${os.hostname()}:${process.pid}`;
+  const deadline = now() + waitMs;
+  let conflicts = 0;
+
+  for (;;) {
+    const current = await readLease(ctx, title);
+    if (current && current.expiresMs > now()) {
+      if (now() >= deadline) {
+        throw new Error(
+          `Another run holds the lock: ${current.runId || "?"} on ${current.holder || "?"} until ${current.expires}. ` +
+          `Try again later, or delete the hidden "${title}" tab if that run is gone.`,
+        );
+      }
+      await sleep(Math.min(POLL_MS, deadline - now()));
+      continue;
+    }
+
+    const sheetId = newSheetId();
+    const acquiredMs = now();
+    const requests = [
+      ...(current ? [{ deleteSheet: { sheetId: current.sheetId } }] : []),
+      { addSheet: { properties: { sheetId, title, hidden: true } } },
+      {
+        updateCells: {
+          start: { sheetId, rowIndex: 0, columnIndex: 0 },
+          rows: [textRow(LOCK_HEADER), leaseRow(plan.runId, holder, acquiredMs, acquiredMs + ttlMs)],
+          fields: "userEnteredValue",
+        },
+      },
+    ];
+    try {
+      await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+    } catch (e) {
+      // Another run created the tab or took it over first
+      if (statusOf(e) !== 400 || ++conflicts > MAX_CONFLICTS) throw e;
+      continue;
+    }
+    if (current) {
+      plan.add({
+        feature: "lock", action: "lock-takeover", dest: title,
+        reason: `lease of ${current.runId || "an unknown run"} (${current.holder || "?"}) expired ${current.expires || "(unreadable)"}`,
+      });
+    }
+    return createHeldLock(ctx, { title, sheetId, holder, acquiredMs, now });
+  }
+}
+
+function createHeldLock(ctx, { title, sheetId, holder, acquiredMs, now }) {
+  const { sheets, spreadsheetId, plan, config } = ctx;
+  const { ttlMs } = config.lock;
+  let renewedMs = acquiredMs;
+  let expiresMs = acquiredMs + ttlMs;
+
+  return {
+    title,
+    sheetId,
+    // Pushes the expiry out once a third of the lease has passed
+    async renew() {
+      if (now() - renewedMs < ttlMs / 3) return;
+      const at = now();
+      if (at >= expiresMs) throw new Error(`Lost the run lock: its lease expired at ${new Date(expiresMs).toISOString()}`);
+      try {
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId,
+          requestBody: {
+            requests: [{
+              updateCells: {
+                start: { sheetId, rowIndex: 1, columnIndex: 0 },
+                rows: [leaseRow(plan.runId, holder, acquiredMs, at + ttlMs)],
+                fields: "userEnteredValue",
+              },
+            }],
+          },
+        });
+      } catch (e) {
+        if (statusOf(e) === 400) throw new Error(`Lost the run lock: the "${title}" tab was taken over by another run`);
+        throw e;
+      }
+      renewedMs = at;
+      expiresMs = at + ttlMs;
+    },
+    // Never throws: a lock that isn't given back expires after lock.ttlMs
+    async release() {
+      try {
+        await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests: [{ deleteSheet: { sheetId } }] } });
+      } catch (e) {
+        const why = statusOf(e) === 400 ? "another run took it over" : e.message;
+        console.error(`Run lock not released (${why}); it expires at ${new Date(expiresMs).toISOString()}`);
+      }
+    },
+  };
+}
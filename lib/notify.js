@@ -0,0 +1,165 @@
+// lib/notify.js — Run summary posted to HTTP webhooks after every run
+// Each webhook (config `notify.webhooks`) gets the summary as JSON:
+//
+//   - name: team-slack
+//     urlEnv: SLACK_WEBHOOK_URL      # or url: https://… (keep secrets out of the file)
+//     format: slack                  # { text } for Slack incoming webhooks; json = the summary object
+//     when: changes                  # always | changes (something happened, or the run failed) | failure
+//
+// The summary counts rows moved and copied per destination, new duplicates,
+// near duplicates and blanks, lists skipped deletes with their reasons, and
+// carries the error of a failed run. A webhook that fails or times out is
+// reported on stderr and never fails the run. Dry runs send nothing.
+
+const FORMATS = ["slack", "json"];
+const WHEN = ["always", "changes", "failure"];
+const HOOK_KEYS = ["name", "url", "urlEnv", "format", "when"];
+const LISTED = 10;
+
+/* =========================
+   Compile
+   ========================= */
+
+// The URL is looked up in env now; a missing variable only skips that webhook.
+export function compileWebhooks(rawHooks, where, errors, env) {
+  if (!Array.isArray(rawHooks)) {
+    errors.push(`${where}: expected a list of webhooks`);
+    return [];
+  }
+  return rawHooks.map((h, i) => {
+    const at = `${where}[${i}]`;
+    if (h == null || typeof h !== "object" || Array.isArray(h)) {
+      errors.push(`${at}: expected a webhook object`);
+      return null;
+    }
+    for (const k of Object.keys(h)) if (!HOOK_KEYS.includes(k)) errors.push(`${at}.${k}: unknown key`);
+    if ((h.url === undefined) === (h.urlEnv === undefined)) errors.push(`${at}: needs exactly one of url, urlEnv`);
+    if (h.url !== undefined && !/^https?:\/\/\S+$/.test(String(h.url))) errors.push(`${at}.url: expected an http(s) URL`);
+    if (h.urlEnv !== undefined && (typeof h.urlEnv !== "string" || !h.urlEnv.trim())) errors.push(`${at}.urlEnv: expected an environment variable name`);
+    const format = h.format ?? "slack";
+    if (!FORMATS.includes(format)) errors.push(`${at}.format: expected one of ${FORMATS.join(", ")}`);
+    const when = h.when ?? "always";
+    if (!WHEN.includes(when)) errors.push(`${at}.when: expected one of ${WHEN.join(", ")}`);
+    return {
+      // Used in messages instead of the URL, which is a secret for Slack
+      name: h.name ?? (h.urlEnv ? h.urlEnv : `webhook ${i + 1}`),
+      url: h.url ?? env[h.urlEnv] ?? "",
+      urlEnv: h.urlEnv ?? null,
+      format,
+      when,
+    };
+  }).filter(Boolean);
+}
+
+/* =========================
+   Summary
+   ========================= */
+
+const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+export function runSummary(ctx, error) {
+  const { plan, config } = ctx;
+  const moved = new Map();
+  const copied = new Map();
+  const deleted = new Set(plan.entries.filter((e) => e.action === "delete").map((e) => `${e.sourceTab}|${e.id}`));
+  const skippedDeletes = [];
+  let skipped = 0;
+  for (const e of plan.entries) {
+    if (e.action === "delete" && e.dest) count(moved, e.dest);
+    // A copy whose source row stays: a `copy` rule, or a delete that was skipped
+    if (e.action === "copy" && !deleted.has(`${e.sourceTab}|${e.id}`)) count(copied, e.dest);
+    if (e.action === "skip") {
+      if (/^delete skipped/.test(e.reason || "")) {
+        skippedDeletes.push({ tab: e.sourceTab, row: e.sourceRow ?? null, id: e.id || "", dest: e.dest || "", reason: e.reason });
+      } else {
+        skipped++;
+      }
+    }
+  }
+  const tally = (action) => plan.entries.filter((e) => e.action === action).length;
+  return {
+    runId: plan.runId,
+    profile: config.name,
+    spreadsheetId: config.spreadsheetId,
+    ok: !error,
+    error: error ? String(error.message || error) : null,
+    actions: plan.entries.filter((e) => e.action !== "unchanged").length,
+    moved: Object.fromEntries(moved),
+    copied: Object.fromEntries(copied),
+    duplicates: tally("highlight-duplicate"),
+    nearDuplicates: tally("highlight-near"),
+    blanks: tally("highlight-blank"),
+    restored: tally("restore"),
+    skippedDeletes,
+    skipped,
+  };
+}
+
+function perDest(obj) {
+  return Object.entries(obj).map(([dest, n]) => `${dest} ${n}`).join(", ");
+}
+
+// Slack incoming webhooks take { text } with their own markdown
+export function slackMessage(s) {
+  const lines = [
+    s.ok
+      ? `:white_check_mark: Sheets automation run ${s.runId} (${s.profile}): ${s.actions} action(s)`
+      : `:x: Sheets automation run ${s.runId} (${s.profile}) failed: ${s.error}`,
+  ];
+  if (Object.keys(s.moved).length) lines.push(`*Moved:* ${perDest(s.moved)}`);
+  if (Object.keys(s.copied).length) lines.push(`*Copied:* ${perDest(s.copied)}`);
+  if (s.restored) lines.push(`*Restored:* ${s.restored} row(s)`);
+  if (s.duplicates || s.nearDuplicates) {
+    lines.push(`*New duplicates:* ${s.duplicates}${s.nearDuplicates ? ` (+${s.nearDuplicates} near)` : ""}`);
+  }
+  if (s.blanks) lines.push(`*New blank handles:* ${s.blanks}`);
+  if (s.skippedDeletes.length) {
+    lines.push(`*Skipped deletes:* ${s.skippedDeletes.length}`);
+    s.skippedDeletes.slice(0, LISTED).forEach((d) => {
+      lines.push(`• ${d.tab} row ${d.row}${d.dest ? ` → ${d.dest}` : ""}: ${d.reason}`);
+    });
+    if (s.skippedDeletes.length > LISTED) lines.push(`…and ${s.skippedDeletes.length - LISTED} more (see the Automation Log)`);
+  }
+  if (s.skipped) lines.push(`*Other skips:* ${s.skipped} (see the Automation Log)`);
+  return { text: lines.join("\n") };
+}
+
+/* =========================
+   Send
+   ========================= */
+
+function wanted(hook, s) {
+  if (hook.when === "failure") return !s.ok;
+  if (hook.when === "changes") return !s.ok || s.actions > 0;
+  return true;
+}
+
+async function post(url, body, timeoutMs) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+}
+
+// Never throws: a notification problem is printed and the run's outcome stands.
+export async function notifyRun(ctx, error) {
+  const { plan, config } = ctx;
+  const { webhooks, timeoutMs } = config.notify;
+  if (!webhooks.length || plan.dryRun) return;
+  const summary = runSummary(ctx, error);
+  for (const hook of webhooks) {
+    if (!wanted(hook, summary)) continue;
+    if (!hook.url) {
+      console.error(`Notify: ${hook.name} skipped, ${hook.urlEnv} is not set`);
+      continue;
+    }
+    try {
+      await post(hook.url, hook.format === "slack" ? slackMessage(summary) : summary, timeoutMs);
+    } catch (e) {
+      console.error(`Notify: ${hook.name} failed: ${e.name === "TimeoutError" ? `no answer within ${timeoutMs} ms` : e.message}`);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+// lib/plan.js — Run plan: every copy, ID write, highlight and delete a run makes
+// A plan is filled in by the features as they build their request lists.
+// In dry-run mode nothing is sent to the sheet and the plan is the only output;
+// otherwise it becomes the run's audit trail (lib/audit.js).
+
+/* =========================
+   Recorder
+   ========================= */
+
+export function createPlan({ dryRun = false, runId = "" } = {}) {
+  const entries = [];
+  return {
+    dryRun,
+    runId,
+    entries,
+    // Returns the stored entry, for fields only known later (e.g. where an append landed)
+    add(entry) {
+      const stored = { at: new Date().toISOString(), ...entry };
+      entries.push(stored);
+      return stored;
+    },
+  };
+}
+
+/* =========================
+   Output
+   ========================= */
+
+function where(tab, row) {
+  if (!tab) return "";
+  return row ? `${tab} row ${row}` : tab;
+}
+
+function describe(e) {
+  switch (e.action) {
+    case "create-sheet":
+      return `create sheet "${e.dest}"`;
+    case "highlight-blank":
+      return `blank C at ${where(e.sourceTab, e.sourceRow)}`;
+    case "highlight-duplicate":
+      return `duplicate C at ${where(e.sourceTab, e.sourceRow)} (first seen ${where(e.dest, e.destRow)})`;
+    case "highlight-near":
+      return `near duplicate C at ${where(e.sourceTab, e.sourceRow)} (like ${where(e.dest, e.destRow)}, ${e.reason})`;
+    case "highlight-bad-date":
+      return `unreadable date at ${where(e.sourceTab, e.sourceRow)} (${e.reason})`;
+    case "flag-invalid":
+      return `invalid value at ${where(e.sourceTab, e.sourceRow)} (check ${e.rule}, ${e.reason})`;
+    case "highlight-reset":
+      return `clear highlight at ${where(e.sourceTab, e.sourceRow)} (${e.reason})`;
+    case "report":
+      return `rewrite "${e.dest}" (${e.reason})`;
+    case "write-header":
+      return `write header row into "${e.dest}" (${e.reason})`;
+    case "write-id":
+      return `write ID ${e.id} at ${where(e.sourceTab, e.sourceRow)}${e.reason ? ` (${e.reason})` : ""}`;
+    case "copy":
+      return `copy ${where(e.sourceTab, e.sourceRow)} → ${where(e.dest, e.destRow)} [${e.id}]${e.rule ? ` (rule ${e.rule})` : ""}`;
+    case "delete":
+      return `delete ${where(e.sourceTab, e.sourceRow)} [${e.id}]${e.dest ? ` (moved to ${e.dest})` : ""}${e.reason ? ` (${e.reason})` : ""}`;
+    case "rollback":
+      return `roll back copy ${where(e.dest, e.destRow)} [${e.id}] (${e.reason})`;
+    case "restore":
+      return `restore [${e.id}] into ${where(e.sourceTab, e.sourceRow)} from ${e.dest} (${e.reason})`;
+    case "unchanged":
+      return `skip unchanged tabs: ${e.reason}`;
+    case "lock-takeover":
+      return `take over the run lock (${e.reason})`;
+    case "skip":
+      return `skip ${where(e.sourceTab, e.sourceRow)}${e.id ? ` [${e.id}]` : ""}: ${e.reason}`;
+    default:
+      return `${e.action} ${where(e.sourceTab, e.sourceRow)}`;
+  }
+}
+
+export function formatPlan(plan) {
+  const lines = [];
+  const header = `${plan.dryRun ? "Plan (dry run, nothing was written)" : "Plan"}${plan.runId ? ` ${plan.runId}` : ""}`;
+  lines.push(`${header}: ${plan.entries.length} action(s)`);
+
+  const byFeature = new Map();
+  for (const e of plan.entries) {
+    if (!byFeature.has(e.feature)) byFeature.set(e.feature, []);
+    byFeature.get(e.feature).push(e);
+  }
+  for (const [feature, list] of byFeature) {
+    lines.push("", `[${feature}]`);
+    list.forEach((e) => lines.push(`  ${describe(e)}`));
+  }
+  return lines.join("\n");
+}
+
+// `error`: the run failed after these entries
+export function planToJSON(plan, error) {
+  return JSON.stringify({
+    runId: plan.runId, dryRun: plan.dryRun, ok: !error, error: error ? error.message : null, entries: plan.entries,
+  }, null, 2);
+}
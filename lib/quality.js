@@ -0,0 +1,329 @@
+// lib/quality.js — Per-column validation and the "Data Quality" tab
+// Each check (config `validation.checks`) names one column and what it must hold:
+//
+//   - name: email
+//     header: [Email, E-mail]        # or column: D, or field: status | date | youtube | id | msnCheckbox
+//     regex: "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$"
+//     color: "#EA9999"
+//
+// Kinds, combined with AND: required, regex (+ caseSensitive), enum (case and
+// surrounding spaces ignored), number: { min, max } (the cell must hold a
+// number, not text that looks like one), boolean (a checkbox value) and
+// urlHost: [youtube.com, youtu.be] (subdomains allowed). Empty cells only fail
+// `required`. A tab without a check's column skips that check.
+//
+// A failing cell gets its first failing check's color and loses it once it
+// passes. Cells showing a highlight color (blank, duplicate, …) keep it, so the
+// two features never repaint each other. Every violation is summarized on the
+// "Data Quality" tab by tab, owner (`validation.owner`) and check.
+
+import { parseColumn } from "./config.js";
+import { normalizeHeader, createLayouts } from "./layout.js";
+import {
+  a1, indexToA1Col, hexToRgb01, rgb01ToHex, getCellBackgrounds, isTargeted, sendRequests, sendValueWrites,
+} from "./helpers.js";
+
+export const QUALITY_HEADER = ["Tab", "Owner", "Check", "Column", "Violations", "Rows", "Example"];
+
+const REF_FIELDS = ["youtube", "date", "id", "status", "msnCheckbox"];
+const KINDS = ["required", "regex", "enum", "number", "boolean", "urlHost"];
+const CHECK_KEYS = ["name", "column", "field", "header", "caseSensitive", "color", ...KINDS];
+const DEFAULT_COLOR = "#F4CCCC";
+const ROWS_LISTED = 20;
+
+/* =========================
+   Compile (validate once, evaluate many)
+   ========================= */
+
+// { column | field | header } → { label, colsOf(layout) → [col] }; [] when the tab lacks it.
+export function compileColumnRef(raw, where, errors) {
+  const given = ["column", "field", "header"].filter((k) => raw?.[k] !== undefined);
+  if (given.length !== 1) {
+    errors.push(`${where}: needs exactly one of column, field, header`);
+    return { label: "?", colsOf: () => [] };
+  }
+  if (given[0] === "column") {
+    const col = parseColumn(raw.column, `${where}.column`, errors);
+    return { label: col ? indexToA1Col(col) : "?", colsOf: () => (col ? [col] : []) };
+  }
+  if (given[0] === "field") {
+    if (!REF_FIELDS.includes(raw.field)) errors.push(`${where}.field: expected one of ${REF_FIELDS.join(", ")}`);
+    return { label: raw.field, colsOf: (layout) => [].concat(layout.cols[raw.field] ?? []).filter(Boolean) };
+  }
+  const aliases = (Array.isArray(raw.header) ? raw.header : [raw.header]).map((h) => normalizeHeader(h));
+  if (!aliases.length || aliases.some((h) => !h)) errors.push(`${where}.header: expected a header name or a list of them`);
+  return {
+    label: String([].concat(raw.header)[0]),
+    colsOf: (layout) => {
+      const norm = layout.header.map(normalizeHeader);
+      for (const h of aliases) {
+        const i = norm.indexOf(h);
+        if (i >= 0) return [i + 1];
+      }
+      return [];
+    },
+  };
+}
+
+const shorten = (s) => (s.length > 40 ? `${s.slice(0, 39)}…` : s);
+
+// Hostname of a link, with or without its scheme; "" when it isn't one
+function hostOf(text) {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+// Each test: (text, raw) → problem or "" — text as shown, raw unformatted
+function compileTests(c, at, errors) {
+  const tests = [];
+  if (c.required !== undefined && typeof c.required !== "boolean") errors.push(`${at}.required: expected true or false`);
+  if (c.regex !== undefined) {
+    try {
+      const re = new RegExp(c.regex, c.caseSensitive === true ? "" : "i");
+      tests.push((t) => (re.test(t) ? "" : `"${shorten(t)}" does not match ${re}`));
+    } catch (e) {
+      errors.push(`${at}.regex: ${e.message}`);
+    }
+  }
+  if (c.enum !== undefined) {
+    if (!Array.isArray(c.enum) || !c.enum.length) errors.push(`${at}.enum: expected a non-empty list of values`);
+    const values = [].concat(c.enum ?? []).map((x) => String(x).trim());
+    const allowed = new Set(values.map((x) => x.toLowerCase()));
+    const shown = values.slice(0, 5).join(", ") + (values.length > 5 ? ", …" : "");
+    tests.push((t) => (allowed.has(t.toLowerCase()) ? "" : `"${shorten(t)}" is not one of ${shown}`));
+  }
+  if (c.number !== undefined) {
+    const range = c.number === true ? {} : c.number;
+    if (range == null || typeof range !== "object" || Array.isArray(range)) {
+      errors.push(`${at}.number: expected true or { min, max }`);
+    } else {
+      for (const k of Object.keys(range)) {
+        if (k !== "min" && k !== "max") errors.push(`${at}.number.${k}: unknown key`);
+        else if (typeof range[k] !== "number") errors.push(`${at}.number.${k}: expected a number`);
+      }
+      tests.push((t, raw) => {
+        if (typeof raw !== "number") {
+          const looksNumeric = /^[-+]?[\d,.\s]+$/.test(t) && /\d/.test(t);
+          return looksNumeric ? `"${shorten(t)}" is stored as text, not a number` : `"${shorten(t)}" is not a number`;
+        }
+        if (range.min != null && raw < range.min) return `${raw} is below ${range.min}`;
+        if (range.max != null && raw > range.max) return `${raw} is above ${range.max}`;
+        return "";
+      });
+    }
+  }
+  if (c.boolean !== undefined) {
+    if (c.boolean !== true) errors.push(`${at}.boolean: expected true`);
+    tests.push((t, raw) => (typeof raw === "boolean" ? "" : `"${shorten(t)}" is not TRUE or FALSE`));
+  }
+  if (c.urlHost !== undefined) {
+    const hosts = [].concat(c.urlHost).map((h) => String(h).trim().toLowerCase().replace(/^www\./, ""));
+    if (!hosts.length || hosts.some((h) => !h)) errors.push(`${at}.urlHost: expected a host name or a list of them`);
+    tests.push((t) => {
+      const host = hostOf(t);
+      return hosts.some((h) => host === h || host.endsWith(`.${h}`)) ? "" : `"${shorten(t)}" is not a ${hosts.join(" / ")} link`;
+    });
+  }
+  return tests;
+}
+
+export function compileChecks(rawChecks, where, errors) {
+  if (!Array.isArray(rawChecks)) {
+    errors.push(`${where}: expected a list of checks`);
+    return [];
+  }
+  const names = new Set();
+  return rawChecks.map((c, i) => {
+    const at = `${where}[${i}]`;
+    if (c == null || typeof c !== "object" || Array.isArray(c)) {
+      errors.push(`${at}: expected a check object`);
+      return null;
+    }
+    for (const k of Object.keys(c)) if (!CHECK_KEYS.includes(k)) errors.push(`${at}.${k}: unknown key`);
+    const name = c.name ?? `check-${i + 1}`;
+    if (names.has(name)) errors.push(`${at}.name: duplicate check name "${name}"`);
+    names.add(name);
+    const color = c.color ?? DEFAULT_COLOR;
+    if (typeof color !== "string" || !/^#?[0-9a-fA-F]{6}$/.test(color)) errors.push(`${at}.color: expected a hex color like "#FF0000"`);
+    const ref = compileColumnRef(c, at, errors);
+    const tests = compileTests(c, at, errors);
+    const required = c.required === true;
+    if (!KINDS.some((k) => c[k] !== undefined)) errors.push(`${at}: needs at least one of ${KINDS.join(", ")}`);
+    return {
+      name,
+      ref,
+      color: /^#?[0-9a-fA-F]{6}$/.test(color) ? rgb01ToHex(hexToRgb01(color)) : "",
+      // number / boolean look at the unformatted value
+      needsRaw: c.number !== undefined || c.boolean !== undefined,
+      test(text, raw) {
+        if (!text) return required ? "empty" : "";
+        for (const t of tests) {
+          const problem = t(text, raw);
+          if (problem) return problem;
+        }
+        return "";
+      },
+    };
+  }).filter(Boolean);
+}
+
+/* =========================
+   Run
+   ========================= */
+
+// Violations in row order: [{ title, row, col, check, problem, owner }]
+function findViolations(ctx, layouts, tabs) {
+  const { snapshot, config } = ctx;
+  const { checks, owner } = config.validation;
+  const out = [];
+  for (const title of tabs) {
+    const layout = layouts.of(title);
+    const targets = checks.map((check) => ({ check, cols: check.ref.colsOf(layout) })).filter((x) => x.cols.length);
+    const ownerCol = owner ? owner.colsOf(layout)[0] : null;
+    const rows = snapshot.rows(title);
+    for (let i = layout.headerRow; i < rows.length; i++) {
+      const r = rows[i] || [];
+      if (!r.some((v) => (v ?? "").toString().trim())) continue;
+      const rowOwner = owner ? (r[ownerCol - 1] ?? "").toString().trim() || "(unassigned)" : "";
+      for (const { check, cols } of targets) {
+        for (const col of cols) {
+          const text = (r[col - 1] ?? "").toString().trim();
+          const raw = check.needsRaw ? snapshot.unformatted(title, col)[i] ?? "" : text;
+          const problem = check.test(text, raw);
+          if (problem) out.push({ title, row: i + 1, col, check, problem, owner: rowOwner });
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// One line per tab / owner / check, in tab and check order
+export function qualityRows(violations, checks, tabs) {
+  const groups = new Map();
+  for (const v of violations) {
+    const key = JSON.stringify([v.title, v.owner, v.check.name]);
+    if (!groups.has(key)) groups.set(key, { ...v, list: [] });
+    groups.get(key).list.push(v);
+  }
+  const tabIdx = (t) => tabs.indexOf(t);
+  const checkIdx = (c) => checks.indexOf(c);
+  return [...groups.values()]
+    .sort((a, b) => tabIdx(a.title) - tabIdx(b.title) || a.owner.localeCompare(b.owner) || checkIdx(a.check) - checkIdx(b.check))
+    .map((g) => {
+      const cols = [...new Set(g.list.map((v) => indexToA1Col(v.col)))].join(", ");
+      const rowNums = g.list.slice(0, ROWS_LISTED).map((v) => v.row).join(", ");
+      const more = g.list.length > ROWS_LISTED ? ` (+${g.list.length - ROWS_LISTED} more)` : "";
+      return [g.title, g.owner, g.check.name, cols, g.list.length, rowNums + more, g.list[0].problem];
+    });
+}
+
+async function writeQualityTab(ctx, rows) {
+  const { plan, config, snapshot } = ctx;
+  const title = config.validation.sheet;
+  await snapshot.ensureSheet(title, plan);
+  await snapshot.load([title]);
+  const current = snapshot.rows(title);
+  const wanted = [QUALITY_HEADER, ...rows];
+  const same = current.length === wanted.length && wanted.every((row, i) =>
+    row.every((v, j) => String(v ?? "") === String(current[i]?.[j] ?? "")));
+  if (same) return;
+
+  // Blank out whatever is left of a longer previous summary
+  const values = wanted.concat(Array.from({ length: Math.max(0, current.length - wanted.length) }, () => QUALITY_HEADER.map(() => "")));
+  const violations = rows.reduce((n, r) => n + r[4], 0);
+  plan.add({ feature: "validate", action: "report", dest: title, reason: `${violations} violation(s) in ${rows.length} group(s)` });
+  await sendValueWrites(ctx, [{ range: a1(title, `A1:${indexToA1Col(QUALITY_HEADER.length)}${values.length}`), values }]);
+  if (!plan.dryRun) snapshot.invalidate([title]);
+}
+
+export async function validateTabs(ctx) {
+  const { sheets, spreadsheetId, snapshot, plan, config } = ctx;
+  const { validation } = config;
+  if (!validation.enabled) return;
+  const meta = await snapshot.meta();
+  const tabs = validation.tabs.filter((t) => meta.sheets?.some((x) => x.properties?.title === t));
+  await snapshot.load(tabs);
+  const layouts = createLayouts(config, snapshot);
+
+  // Columns per tab: all checked ones, and those a number / boolean check reads unformatted
+  const colsByTab = new Map();
+  const rawColsByTab = new Map();
+  for (const title of tabs) {
+    const cols = new Set();
+    const rawCols = new Set();
+    for (const check of validation.checks) {
+      const found = check.ref.colsOf(layouts.of(title));
+      if (!found.length) {
+        plan.add({ feature: "validate", action: "skip", sourceTab: title, rule: check.name, reason: `check ${check.name}: no ${check.ref.label} column` });
+      }
+      found.forEach((c) => { cols.add(c); if (check.needsRaw) rawCols.add(c); });
+    }
+    colsByTab.set(title, [...cols]);
+    rawColsByTab.set(title, [...rawCols]);
+  }
+  // One read per column position, since loadUnformatted() takes one column per tab
+  const widest = Math.max(0, ...[...rawColsByTab.values()].map((c) => c.length));
+  for (let k = 0; k < widest; k++) {
+    const withK = tabs.filter((t) => rawColsByTab.get(t).length > k);
+    await snapshot.loadUnformatted(withK, (t) => rawColsByTab.get(t)[k]);
+  }
+
+  const violations = findViolations(ctx, layouts, tabs);
+
+  // Only cells whose color changes are painted (and logged). The summary
+  // covers every tab; with --tabs only those are painted.
+  const painted = tabs.filter((t) => isTargeted(ctx, t));
+  const ranges = painted.flatMap((t) => {
+    const s = meta.sheets.find((x) => x.properties?.title === t);
+    const lastRow = Math.max(s.properties.gridProperties?.rowCount || 0, snapshot.rows(t).length, 2);
+    const firstRow = layouts.of(t).headerRow + 1;
+    return colsByTab.get(t).map((c) => a1(t, `${indexToA1Col(c)}${firstRow}:${indexToA1Col(c)}${lastRow}`));
+  });
+  const currentBg = await getCellBackgrounds(sheets, spreadsheetId, ranges);
+  const ours = new Set(validation.checks.map((c) => c.color));
+  const highlightColors = new Set(Object.values(config.colors).map((h) => rgb01ToHex(hexToRgb01(h))));
+
+  const requests = [];
+  for (const title of painted) {
+    const sheetId = meta.sheets.find((x) => x.properties?.title === title).properties.sheetId;
+    const bgNow = currentBg.get(title) || new Map();
+    const bgOf = (col, row) => bgNow.get(col)?.get(row) ?? "";
+    // hex null = clear the fill
+    const paint = (row, col, hex) => requests.push({
+      repeatCell: {
+        range: { sheetId, startRowIndex: row - 1, endRowIndex: row, startColumnIndex: col - 1, endColumnIndex: col },
+        cell: { userEnteredFormat: hex ? { backgroundColor: hexToRgb01(hex) } : {} },
+        fields: "userEnteredFormat.backgroundColor",
+      },
+    });
+
+    // First failing check per cell decides its color
+    const flagged = new Map();
+    for (const v of violations) {
+      if (v.title === title && !flagged.has(`${v.col}:${v.row}`)) flagged.set(`${v.col}:${v.row}`, v);
+    }
+    for (const v of flagged.values()) {
+      const bg = bgOf(v.col, v.row);
+      if (bg === v.check.color || highlightColors.has(bg)) continue;
+      plan.add({
+        feature: "validate", action: "flag-invalid", sourceTab: title, sourceRow: v.row, rule: v.check.name,
+        reason: `${indexToA1Col(v.col)}: ${v.problem}`,
+      });
+      paint(v.row, v.col, v.check.color);
+    }
+    for (const [col, byRow] of bgNow) {
+      for (const [row, hex] of byRow) {
+        if (!ours.has(hex) || flagged.has(`${col}:${row}`)) continue;
+        plan.add({ feature: "validate", action: "highlight-reset", sourceTab: title, sourceRow: row, reason: `${indexToA1Col(col)} passes its checks now` });
+        paint(row, col, null);
+      }
+    }
+  }
+
+  await sendRequests(ctx, requests);
+  await writeQualityTab(ctx, qualityRows(violations, validation.checks, tabs));
+}
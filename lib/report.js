@@ -0,0 +1,110 @@
+// lib/report.js — "Duplicates Report" tab
+// Rebuilt from the highlight pass on every run: one block per channel that
+// appears more than once, canonical (earliest) row first, then each duplicate
+// with its tab, row, date, status, a link to its YouTube cell and a merge
+// suggestion. Near-duplicate clusters (lib/fuzzy.js) follow as their own
+// blocks, each similar row with its score. The tab is only rewritten when its
+// content changes.
+
+import { indexToA1Col, sendRequests } from "./helpers.js";
+
+export const REPORT_HEADER = ["Group", "Handle", "Role", "Score", "Tab", "Row", "Date", "Status", "Link", "Suggestion"];
+
+/* =========================
+   Rows
+   ========================= */
+
+// rec.ytCol: where that tab keeps YouTube links (tabs can differ, lib/layout.js)
+function linkLabel(rec, ytCol) {
+  return `${rec.sheetTitle}!${rec.ytCol || ytCol}${rec.row}`;
+}
+
+function suggestionFor(rec, first) {
+  if (rec === first) return "keep (earliest)";
+  const merge = `merge into ${first.sheetTitle} row ${first.row}`;
+  // A later row often carries the newer status; say so instead of losing it
+  if (rec.status && rec.status !== first.status) return `${merge}; carry over status "${rec.status}"`;
+  return merge;
+}
+
+function nearSuggestionFor(rec, match) {
+  if (!match) return "keep (earliest)";
+  return `check against ${match.other.sheetTitle} row ${match.other.row} (similar ${match.field}); merge if the same creator`;
+}
+
+// groups: [{ handle, list: [{ sheetTitle, sheetId, row, date, status }] }], canonical first
+// nearGroups: the same plus scores: Map(rec → { score, field, other })
+export function reportRows(groups, nearGroups, ytCol) {
+  const rows = [];
+  const push = (g, handle, rec, role, score, suggestion) => rows.push({
+    rec,
+    values: [g, handle, role, score, rec.sheetTitle, rec.row, rec.date, rec.status, linkLabel(rec, ytCol), suggestion],
+  });
+  groups.forEach(({ handle, list }, g) => {
+    const first = list[0];
+    list.forEach((rec) => push(g + 1, handle, rec, rec === first ? "canonical" : "duplicate", "", suggestionFor(rec, first)));
+  });
+  nearGroups.forEach(({ handle, list, scores }, g) => {
+    list.forEach((rec) => {
+      const match = scores.get(rec);
+      push(groups.length + g + 1, handle, rec, match ? "similar" : "canonical",
+        match ? Math.round(match.score * 100) / 100 : "", nearSuggestionFor(rec, match));
+    });
+  });
+  return rows;
+}
+
+function valueCell(v) {
+  return typeof v === "number" ? { userEnteredValue: { numberValue: v } } : { userEnteredValue: { stringValue: String(v ?? "") } };
+}
+
+function linkCell(rec, ytCol) {
+  const label = linkLabel(rec, ytCol).replace(/"/g, '""');
+  return { userEnteredValue: { formulaValue: `=HYPERLINK("#gid=${rec.sheetId}&range=${rec.ytCol || ytCol}${rec.row}","${label}")` } };
+}
+
+/* =========================
+   Write
+   ========================= */
+
+export async function writeDuplicatesReport(ctx, groups, nearGroups = []) {
+  const { plan, config, snapshot } = ctx;
+  if (!config.duplicatesReport.enabled) return;
+  const title = config.duplicatesReport.sheet;
+  const ytCol = indexToA1Col(config.columns.youtube);
+  const rows = reportRows(groups, nearGroups, ytCol);
+
+  const sheet = await snapshot.ensureSheet(title, plan);
+  await snapshot.load([title]);
+  const current = snapshot.rows(title);
+  const wanted = [REPORT_HEADER, ...rows.map((r) => r.values)];
+  // The Link column follows from Tab and Row, so it is left out of the comparison
+  const linkIdx = REPORT_HEADER.indexOf("Link");
+  const same = current.length === wanted.length && wanted.every((row, i) =>
+    row.every((v, j) => j === linkIdx || String(v ?? "") === String(current[i]?.[j] ?? "")));
+  if (same) return;
+
+  const cellRows = [
+    { values: REPORT_HEADER.map(valueCell) },
+    ...rows.map(({ rec, values }) => ({
+      values: values.map((v, j) => (j === linkIdx ? linkCell(rec, ytCol) : valueCell(v))),
+    })),
+  ];
+  // Blank out whatever is left of a longer previous report
+  for (let i = cellRows.length; i < current.length; i++) {
+    cellRows.push({ values: REPORT_HEADER.map(() => ({})) });
+  }
+
+  plan.add({
+    feature: "highlight", action: "report", dest: title,
+    reason: `${groups.length} duplicate group(s), ${nearGroups.length} near-duplicate group(s), ${rows.length} row(s)`,
+  });
+  await sendRequests(ctx, [{
+    updateCells: {
+      start: { sheetId: sheet?.properties.sheetId ?? null, rowIndex: 0, columnIndex: 0 },
+      rows: cellRows,
+      fields: "userEnteredValue",
+    },
+  }]);
+  if (!plan.dryRun) snapshot.invalidate([title]);
+}
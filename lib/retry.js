@@ -0,0 +1,121 @@
+// lib/retry.js — Retries, backoff and throttling around the Sheets client
+// withRetries() returns a client with the same methods index.js and lib/ use.
+// Every call waits for a free slot (maxConcurrent) and keeps it until it is
+// done, retry waits included, so no more than that many are ever under way. A
+// 429/5xx/network error is retried with jittered exponential backoff,
+// honouring Retry-After. A 429 pauses all callers, not just the one that hit it.
+//
+// Writes that aren't safe to repeat (row inserts/deletes, appends, added or deleted sheets)
+// are retried on 429 only: a 5xx there may mean the write already landed.
+
+const RETRY_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRY_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED", "EPIPE"]);
+const NOT_REPEATABLE = ["deleteDimension", "insertDimension", "appendCells", "addSheet", "deleteSheet", "duplicateSheet"];
+
+/* =========================
+   Error classification
+   ========================= */
+
+export function statusOf(e) {
+  const s = e?.response?.status ?? e?.status ?? e?.code;
+  return typeof s === "number" ? s : Number(s) || 0;
+}
+
+function isRetryable(e, repeatable) {
+  const status = statusOf(e);
+  if (status === 429) return true;
+  if (!repeatable) return false;
+  return RETRY_STATUS.has(status) || RETRY_CODES.has(e?.code);
+}
+
+// Retry-After is either seconds or an HTTP date; returns ms or null.
+export function retryAfterMs(e, now = Date.now()) {
+  const headers = e?.response?.headers || {};
+  const raw = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+  if (raw == null || raw === "") return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function isRepeatable(method, args) {
+  if (method === "values.append") return false;
+  if (method !== "spreadsheets.batchUpdate") return true;
+  return !(args?.requestBody?.requests || []).some((r) => NOT_REPEATABLE.some((k) => k in r));
+}
+
+/* =========================
+   Wrapper
+   ========================= */
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// stats.feature names whoever is calling now; index.js sets it before each feature.
+export function withRetries(sheets, {
+  maxRetries = 5, baseDelayMs = 500, maxDelayMs = 32000, maxConcurrent = 4,
+  sleep = defaultSleep, random = Math.random,
+} = {}) {
+  const stats = { feature: "", retries: 0, byFeature: {} };
+  let active = 0;
+  const waiting = [];
+  let pausedUntil = 0;
+
+  // A freed slot goes straight to the next waiter, so nobody can take it in between
+  async function acquire() {
+    if (active < maxConcurrent) {
+      active++;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+  }
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  async function call(method, fn, args) {
+    const repeatable = isRepeatable(method, args);
+    await acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const pause = pausedUntil - Date.now();
+        if (pause > 0) await sleep(pause);
+        try {
+          return await fn(args);
+        } catch (e) {
+          if (attempt >= maxRetries || !isRetryable(e, repeatable)) throw e;
+          // Full jitter, but never sooner than the server asked for
+          const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * random();
+          const delay = Math.max(backoff, retryAfterMs(e) ?? 0);
+          if (statusOf(e) === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+          stats.retries++;
+          const feature = stats.feature || "run";
+          stats.byFeature[feature] = (stats.byFeature[feature] || 0) + 1;
+          await sleep(delay);
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  const wrap = (method, fn) => (args) => call(method, fn, args);
+  const s = sheets.spreadsheets;
+  const v = s.values;
+  return {
+    stats,
+    spreadsheets: {
+      get: wrap("spreadsheets.get", (a) => s.get(a)),
+      batchUpdate: wrap("spreadsheets.batchUpdate", (a) => s.batchUpdate(a)),
+      values: {
+        get: wrap("values.get", (a) => v.get(a)),
+        batchGet: wrap("values.batchGet", (a) => v.batchGet(a)),
+        batchUpdate: wrap("values.batchUpdate", (a) => v.batchUpdate(a)),
+        update: wrap("values.update", (a) => v.update(a)),
+        append: wrap("values.append", (a) => v.append(a)),
+      },
+    },
+  };
+}
@@ -0,0 +1,240 @@
+// lib/rules.js — Status routing rules for runMigrations
+// Each rule matches a row and names a destination tab. Rules are tried by
+// priority (higher first, then config order); the first match wins.
+//
+//   - name: meeting-set
+//     priority: 20
+//     when: { field: status, contains: meeting set }
+//     dest: Meeting Set
+//     mode: move            # or copy (source row is kept)
+//
+// Rules also run on the destination tabs, so a status changed there moves the
+// row on or back. `from` limits a rule to rows in the listed tabs, and
+// `dest: $origin` sends a row back to the tab its origin column names (see
+// columns.origin in lib/config.js):
+//
+//   - name: back-to-niche
+//     from: [Interested, Meeting Set]
+//     when: { field: status, contains: not interested }
+//     dest: $origin
+//
+// Conditions:
+//   { column | field, equals | contains | regex [, caseSensitive] }
+//   { column | field, before | after: "2025-01-31" }  { ..., olderThanDays | newerThanDays: 30 }
+//   { all: [...] }  { any: [...] }  { not: {...} }
+// `column` is a letter, a number, or a list whose cells are joined with spaces.
+// `field: status | date | youtube | id` instead reads that tab's configured
+// column(s), found by header name when `headers.enabled` (lib/layout.js).
+// Date conditions compare days, not text: a single cell the caller read
+// unformatted (env.raw) is a serial number whatever its display format; other
+// cells are parsed with lib/dates.js, in the spreadsheet's locale when the
+// caller passes env.parseDate. before / after take a date written year first
+// or with a month name.
+// The built-in rules (lib/config.js) reproduce the original H/K behavior.
+
+import { parseColumn } from "./config.js";
+import { parseSheetDate } from "./dates.js";
+
+const TEXT_OPS = ["equals", "contains", "regex"];
+const DATE_OPS = ["before", "after", "olderThanDays", "newerThanDays"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RULE_FIELDS = ["status", "date", "youtube", "id"];
+// `dest` of a rule that sends rows back where they came from
+export const ORIGIN = "$origin";
+
+/* =========================
+   Compile (validate once, evaluate many)
+   ========================= */
+
+// reads: collects what the condition looks at — layout fields, lettered
+// columns, the columns date conditions compare (as env → [col]), and whether
+// it compares against today (olderThanDays / newerThanDays)
+function compileCondition(raw, where, errors, reads) {
+  if (raw == null || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push(`${where}: expected a condition object`);
+    return () => false;
+  }
+  if ("all" in raw || "any" in raw) {
+    const key = "all" in raw ? "all" : "any";
+    if (!Array.isArray(raw[key]) || !raw[key].length) {
+      errors.push(`${where}.${key}: expected a non-empty list of conditions`);
+      return () => false;
+    }
+    const parts = raw[key].map((c, i) => compileCondition(c, `${where}.${key}[${i}]`, errors, reads));
+    return key === "all"
+      ? (row, env) => parts.every((p) => p(row, env))
+      : (row, env) => parts.some((p) => p(row, env));
+  }
+  if ("not" in raw) {
+    const inner = compileCondition(raw.not, `${where}.not`, errors, reads);
+    return (row, env) => !inner(row, env);
+  }
+
+  const ops = [...TEXT_OPS, ...DATE_OPS].filter((k) => k in raw);
+  if (ops.length !== 1) {
+    errors.push(`${where}: needs exactly one of ${[...TEXT_OPS, ...DATE_OPS].join(", ")}`);
+    return () => false;
+  }
+  const op = ops[0];
+  let colsOf;
+  if ("field" in raw) {
+    if ("column" in raw) errors.push(`${where}: use either column or field, not both`);
+    if (!RULE_FIELDS.includes(raw.field)) errors.push(`${where}.field: expected one of ${RULE_FIELDS.join(", ")}`);
+    reads.fields.add(raw.field);
+    // Resolved per tab: env.cols is that tab's layout (lib/layout.js)
+    colsOf = (env) => [].concat(env.cols?.[raw.field] ?? []);
+  } else {
+    const specs = Array.isArray(raw.column) ? raw.column : [raw.column];
+    const cols = specs.map((c, i) => parseColumn(c, `${where}.column${specs.length > 1 ? `[${i}]` : ""}`, errors));
+    cols.forEach((c) => reads.columns.add(c));
+    colsOf = () => cols;
+  }
+  const cellText = (row, env) => colsOf(env).map((c) => (row[c - 1] ?? "").toString()).join(" ");
+  const cs = raw.caseSensitive === true;
+  const fold = (s) => (cs ? s : s.toLowerCase());
+
+  switch (op) {
+    case "equals": {
+      const want = fold(String(raw.equals).trim());
+      return (row, env) => fold(cellText(row, env).trim()) === want;
+    }
+    case "contains": {
+      const want = fold(String(raw.contains));
+      return (row, env) => fold(cellText(row, env)).includes(want);
+    }
+    case "regex": {
+      let re;
+      try {
+        re = new RegExp(raw.regex, cs ? "" : "i");
+      } catch (e) {
+        errors.push(`${where}.regex: ${e.message}`);
+        return () => false;
+      }
+      return (row, env) => re.test(cellText(row, env));
+    }
+    default: {
+      const arg = raw[op];
+      let cmp;
+      if (op === "before" || op === "after") {
+        // 01/02/2025 reads differently per locale; year first or a month name doesn't
+        const text = String(arg ?? "").trim();
+        const t = /^\d{1,2}[-/.]\d{1,2}[-/.]\d+$/.test(text) ? null : parseSheetDate(text);
+        if (t == null) {
+          errors.push(`${where}.${op}: "${arg}" is not a date like 2025-01-31`);
+          return () => false;
+        }
+        cmp = op === "before" ? (d) => d < t : (d) => d > t;
+      } else {
+        reads.now = true;
+        if (typeof arg !== "number" || arg < 0) {
+          errors.push(`${where}.${op}: expected a number of days`);
+          return () => false;
+        }
+        cmp = op === "olderThanDays"
+          ? (d, now) => now - d > arg * DAY_MS
+          : (d, now) => now - d <= arg * DAY_MS;
+      }
+      reads.dates.push(colsOf);
+      // Unparseable or empty dates never match
+      return (row, env) => {
+        const cols = colsOf(env);
+        const raw = cols.length === 1 ? env.raw?.(cols[0]) : undefined;
+        const d = (env.parseDate || parseSheetDate)(raw ?? cellText(row, env).trim());
+        return d != null && cmp(d, env.now);
+      };
+    }
+  }
+}
+
+export function compileRules(rawRules, where, errors) {
+  if (!Array.isArray(rawRules) || !rawRules.length) {
+    errors.push(`${where}: expected a non-empty list of rules`);
+    return [];
+  }
+  const names = new Set();
+  const rules = rawRules.map((r, i) => {
+    const at = `${where}[${i}]`;
+    if (r == null || typeof r !== "object") {
+      errors.push(`${at}: expected a rule object`);
+      return null;
+    }
+    for (const k of Object.keys(r)) {
+      if (!["name", "priority", "when", "from", "dest", "mode"].includes(k)) errors.push(`${at}.${k}: unknown key`);
+    }
+    const name = r.name ?? `rule-${i + 1}`;
+    if (names.has(name)) errors.push(`${at}.name: duplicate rule name "${name}"`);
+    names.add(name);
+    if (typeof r.dest !== "string" || !r.dest.trim()) errors.push(`${at}.dest: expected a tab name or "${ORIGIN}"`);
+    const from = r.from ?? null;
+    if (from !== null && (!Array.isArray(from) || !from.length || from.some((t) => typeof t !== "string" || !t.trim()))) {
+      errors.push(`${at}.from: expected a non-empty list of tab names`);
+    }
+    const mode = r.mode ?? "move";
+    if (mode !== "move" && mode !== "copy") errors.push(`${at}.mode: expected "move" or "copy"`);
+    const priority = r.priority ?? 0;
+    if (typeof priority !== "number") errors.push(`${at}.priority: expected a number`);
+    const reads = { fields: new Set(), columns: new Set(), dates: [], now: false };
+    const test = compileCondition(r.when, `${at}.when`, errors, reads);
+    return {
+      name, priority, dest: r.dest, from: Array.isArray(from) ? from : null, mode, order: i,
+      fields: [...reads.fields], columns: [...reads.columns].filter(Boolean), dates: reads.dates, usesNow: reads.now, test,
+    };
+  });
+  return rules
+    .filter(Boolean)
+    .sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/* =========================
+   Evaluate
+   ========================= */
+
+// Returns the winning rule for a row (values array, A = index 0) or null.
+// env: { now, cols, tab, parseDate?, raw? } — cols from lib/layout.js, tab the
+// row's tab (for `from`), parseDate from lib/dates.js, raw(col) the row's
+// unformatted value in one of ruleDateColumns()
+export function matchRule(rules, row, env = { now: Date.now() }) {
+  for (const rule of rules) {
+    if (rule.from && !rule.from.includes(env.tab)) continue;
+    if (rule.test(row || [], env)) return rule;
+  }
+  return null;
+}
+
+// The tab a matched rule sends the row to. For `$origin` that is the row's
+// origin column, "" when the tab has no such column or the cell is empty.
+export function ruleTarget(rule, row, cols) {
+  if (rule.dest !== ORIGIN) return rule.dest;
+  return cols.origin ? String(row?.[cols.origin - 1] ?? "").trim() : "";
+}
+
+// Layout fields any rule reads; a tab without them can't be routed
+export function ruleFields(rules) {
+  return [...new Set(rules.flatMap((r) => r.fields))];
+}
+
+// Lettered columns any rule reads
+export function ruleColumns(rules) {
+  return [...new Set(rules.flatMap((r) => r.columns))];
+}
+
+// Columns date conditions compare, for one tab's layout; read them unformatted
+// and pass them to matchRule() as env.raw
+export function ruleDateColumns(rules, cols) {
+  const out = rules.flatMap((r) => r.dates.map((colsOf) => colsOf({ cols }))).filter((c) => c.length === 1);
+  return [...new Set(out.flat())].filter(Boolean);
+}
+
+// True when a rule's result can change with the date alone
+export function rulesUseNow(rules) {
+  return rules.some((r) => r.usesNow);
+}
+
+// Fixed destinations; `$origin` rules send rows back to tabs under `tabs`
+export function ruleDestinations(rules) {
+  return [...new Set(rules.map((r) => r.dest).filter((d) => d !== ORIGIN))];
+}
+
+export function rulesUseOrigin(rules) {
+  return rules.some((r) => r.dest === ORIGIN);
+}
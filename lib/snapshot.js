@@ -0,0 +1,105 @@
+// lib/snapshot.js — One read of each tab per run, shared by all features
+// Tabs are fetched whole with values.batchGet (open-ended ranges, so the API
+// trims to the last row with data instead of gridProperties.rowCount) and kept
+// until a feature writes to them. Row 1 is rows(title)[0].
+// Single columns can also be read unformatted (dates as serial numbers, see
+// lib/dates.js) with loadUnformatted() / unformatted().
+
+import { a1, indexToA1Col, getSpreadsheetMeta, getOrCreateSheet } from "./helpers.js";
+
+const RANGES_PER_CALL = 40;
+
+export function createSnapshot(sheets, spreadsheetId) {
+  let meta = null;
+  const rowsByTitle = new Map();
+  const rawByTitle = new Map(); // title → Map(col → [value per row])
+
+  const sheetOf = (title) => meta?.sheets?.find((s) => s.properties?.title === title) || null;
+
+  return {
+    async meta() {
+      if (!meta) meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+      return meta;
+    },
+
+    async sheet(title) {
+      await this.meta();
+      return sheetOf(title);
+    },
+
+    // getOrCreateSheet against the cached metadata; null only in a dry run.
+    async ensureSheet(title, plan) {
+      const res = await getOrCreateSheet(sheets, spreadsheetId, title, await this.meta(), plan);
+      meta = res.meta;
+      return res.sheet;
+    },
+
+    // Fetches every listed tab that isn't cached yet, RANGES_PER_CALL tabs per call.
+    // minCols widens the read for tabs whose grid is narrower than a column we need.
+    async load(titles, minCols = 1) {
+      await this.meta();
+      const wanted = [...new Set(titles)].filter((t) => !rowsByTitle.has(t) && sheetOf(t));
+      for (let i = 0; i < wanted.length; i += RANGES_PER_CALL) {
+        const chunk = wanted.slice(i, i + RANGES_PER_CALL);
+        const ranges = chunk.map((t) => {
+          const cols = Math.max(sheetOf(t).properties.gridProperties?.columnCount || 26, minCols);
+          return a1(t, `A1:${indexToA1Col(cols)}`);
+        });
+        const res = await sheets.spreadsheets.values.batchGet({ spreadsheetId, ranges });
+        (res.data.valueRanges || []).forEach((vr, j) => rowsByTitle.set(chunk[j], vr.values || []));
+      }
+    },
+
+    // Like load(), for one column with valueRenderOption UNFORMATTED_VALUE.
+    // col is a column number, or title → column number when tabs differ.
+    async loadUnformatted(titles, col) {
+      await this.meta();
+      const colOf = typeof col === "function" ? col : () => col;
+      const wanted = [...new Set(titles)].filter((t) => sheetOf(t) && !rawByTitle.get(t)?.has(colOf(t)));
+      for (let i = 0; i < wanted.length; i += RANGES_PER_CALL) {
+        const chunk = wanted.slice(i, i + RANGES_PER_CALL);
+        const res = await sheets.spreadsheets.values.batchGet({
+          spreadsheetId,
+          ranges: chunk.map((t) => a1(t, `${indexToA1Col(colOf(t))}1:${indexToA1Col(colOf(t))}`)),
+          valueRenderOption: "UNFORMATTED_VALUE",
+          dateTimeRenderOption: "SERIAL_NUMBER",
+        });
+        (res.data.valueRanges || []).forEach((vr, j) => {
+          if (!rawByTitle.has(chunk[j])) rawByTitle.set(chunk[j], new Map());
+          rawByTitle.get(chunk[j]).set(colOf(chunk[j]), (vr.values || []).map((r) => r?.[0] ?? ""));
+        });
+      }
+    },
+
+    // Unformatted values of a loaded column, row 1 first; [] for a tab that doesn't exist.
+    unformatted(title, col) {
+      const byCol = rawByTitle.get(title);
+      if (!byCol?.has(col) && sheetOf(title)) throw new Error(`Snapshot: column ${indexToA1Col(col)} of "${title}" was not loaded`);
+      return byCol?.get(col) || [];
+    },
+
+    // Rows of a loaded tab; [] for a tab that doesn't exist.
+    rows(title) {
+      if (!rowsByTitle.has(title) && sheetOf(title)) throw new Error(`Snapshot: "${title}" was not loaded`);
+      return rowsByTitle.get(title) || [];
+    },
+
+    // id → { rowIdx1, row }. First occurrence wins.
+    rowsById(title, idCol, firstRow = 2) {
+      const out = new Map();
+      this.rows(title).slice(firstRow - 1).forEach((row, i) => {
+        const id = String(row?.[idCol - 1] ?? "");
+        if (id && !out.has(id)) out.set(id, { rowIdx1: firstRow + i, row: row || [] });
+      });
+      return out;
+    },
+
+    // Drop tabs a feature wrote to; the next load() re-reads them.
+    invalidate(titles) {
+      for (const t of titles) {
+        rowsByTitle.delete(t);
+        rawByTitle.delete(t);
+      }
+    },
+  };
+}
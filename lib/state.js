@@ -0,0 +1,175 @@
+// lib/state.js — Incremental runs: what each tab looked like after the last run
+// With `incremental.enabled` a hidden tab keeps, per tab, a fingerprint (row
+// count + a hash of the header and of the columns the features read) and the
+// highlight pass's duplicate index for it. A tab whose fingerprint hasn't
+// changed since the last run is skipped by migrations and the MSN copy, and
+// the highlight pass takes its rows from the index instead of re-reading its
+// colors, so duplicates are still found across every tab. Values are still
+// read once per run to fingerprint the tabs.
+// A tab is only remembered when the run left it as it found it and logged no
+// skip for it, other than rows whose ID is already in their destination;
+// anything else is looked at again next run. A config change,
+// or a new day when rules compare dates against today, starts over, and so
+// does `--full`.
+
+import crypto from "node:crypto";
+import { a1, getSpreadsheetMeta, sendValueWrites } from "./helpers.js";
+import { createLayouts } from "./layout.js";
+import { ruleColumns, rulesUseNow } from "./rules.js";
+
+export const STATE_HEADER = ["Kind", "Tab", "Value", "Data"];
+
+// Fields of a highlight record kept in the index; the rest is rebuilt on load
+const RECORD_FIELDS = ["row", "key", "handle", "matchName", "extra", "date", "dateMs", "status", "ytCol", "flag"];
+
+/* =========================
+   Fingerprints
+   ========================= */
+
+// Every tab a feature reads rows from
+function candidateTabs(config, meta) {
+  const titles = (meta.sheets || []).map((s) => s.properties?.title).filter(Boolean);
+  const { skip, sourceWhitelist } = config.msn;
+  const msnSources = titles.filter((t) => !skip.has(t) && (!sourceWhitelist.length || sourceWhitelist.includes(t)));
+  return [...new Set([...config.tabs, ...config.statusSheets, ...msnSources])].filter((t) => titles.includes(t));
+}
+
+export function tabFingerprint(rows, cols, headerRows) {
+  const h = crypto.createHash("sha1");
+  rows.forEach((r, i) => {
+    h.update(JSON.stringify(i < headerRows ? r || [] : cols.map((c) => r?.[c - 1] ?? "")));
+    h.update("\n");
+  });
+  return `${rows.length}:${h.digest("hex").slice(0, 20)}`;
+}
+
+function createFingerprinter(config, snapshot) {
+  const layouts = createLayouts(config, snapshot);
+  const msnLayouts = createLayouts(config, snapshot, { headerRow: config.msn.headerRow, idCol: config.msn.idCol });
+  const extra = [...ruleColumns(config.migrations.rules), ...(config.nearDuplicates.enabled ? config.nearDuplicates.columns : [])];
+  const headerRows = Math.max(1, config.msn.headerRow);
+  return (title) => {
+    const { cols } = layouts.of(title);
+    const msnCols = msnLayouts.of(title).cols;
+    const read = new Set([cols.youtube, cols.date, cols.id, ...cols.status, cols.origin, msnCols.id, msnCols.msnCheckbox, ...extra]);
+    return tabFingerprint(snapshot.rows(title), [...read].filter(Boolean).sort((a, b) => a - b), headerRows);
+  };
+}
+
+// Config hash, plus today's date (UTC) when a rule's outcome can change with it
+function runKey(config) {
+  const day = rulesUseNow(config.migrations.rules) ? new Date().toISOString().slice(0, 10) : "";
+  return day ? `${config.hash}@${day}` : config.hash;
+}
+
+/* =========================
+   State tab
+   ========================= */
+
+function parseState(rows) {
+  const out = { key: "", tabs: new Map() };
+  for (const [kind, tab, value, data] of rows.slice(1)) {
+    if (kind === "run") out.key = value || "";
+    else if (kind === "tab") out.tabs.set(tab, { fingerprint: value, records: [] });
+    else if (kind === "rec" && out.tabs.has(tab)) {
+      try {
+        const values = JSON.parse(data);
+        out.tabs.get(tab).records.push(Object.fromEntries(RECORD_FIELDS.map((f, i) => [f, values[i] ?? null])));
+      } catch {
+        out.tabs.delete(tab); // unreadable: the tab counts as changed
+      }
+    }
+  }
+  return out;
+}
+
+async function getStateSheet(ctx) {
+  const { sheets, spreadsheetId, config } = ctx;
+  const title = config.incremental.sheet;
+  const meta = await getSpreadsheetMeta(sheets, spreadsheetId);
+  if (meta.sheets?.some((s) => s.properties?.title === title)) return;
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: { requests: [{ addSheet: { properties: { title, hidden: true } } }] },
+  });
+}
+
+/* =========================
+   Run hooks
+   ========================= */
+
+// Runs before the features; sets ctx.state, which they ask isUnchanged(title)
+// and records(title). Without incremental.enabled ctx.state stays null.
+export async function loadRunState(ctx) {
+  const { snapshot, plan, config } = ctx;
+  ctx.state = null;
+  if (!config.incremental.enabled) return;
+  const meta = await snapshot.meta();
+  const titles = candidateTabs(config, meta);
+  await snapshot.load([...titles, config.incremental.sheet], Math.max(config.columns.id, config.msn.idCol));
+  const fingerprint = createFingerprinter(config, snapshot);
+  const before = new Map(titles.map((t) => [t, fingerprint(t)]));
+
+  const stored = parseState(snapshot.rows(config.incremental.sheet));
+  const key = runKey(config);
+  const usable = !ctx.full && stored.key === key;
+  const unchanged = new Set(usable ? titles.filter((t) => stored.tabs.get(t)?.fingerprint === before.get(t)) : []);
+  const handedOver = new Map();
+
+  ctx.state = {
+    key,
+    titles,
+    before,
+    handedOver,
+    isUnchanged: (title) => unchanged.has(title),
+    // The stored highlight records of an unchanged tab; null for any other tab
+    records: (title) => (unchanged.has(title) ? stored.tabs.get(title).records : null),
+    // The highlight pass hands over every tab's records, flags included
+    setRecords: (title, list) => handedOver.set(title, list),
+  };
+  if (unchanged.size) {
+    plan.add({
+      feature: "incremental",
+      action: "unchanged",
+      reason: `${unchanged.size} of ${titles.length} tab(s) unchanged since the last run`,
+    });
+  }
+}
+
+// Runs after the features. Tabs a feature wrote to or logged a skip for are
+// left out, so the next run looks at them again. "ID already in <dest>" skips
+// don't count: they repeat every run while the row stays as it is. Should the
+// copy leave the destination, the row moves once its tab changes or on --full.
+export async function saveRunState(ctx) {
+  const { snapshot, plan, config, state } = ctx;
+  if (!state || plan.dryRun) return;
+  await snapshot.load(state.titles, Math.max(config.columns.id, config.msn.idCol));
+  const fingerprint = createFingerprinter(config, snapshot);
+  const features = new Set(["highlight", "migrate", "msn"]);
+  const settled = (e) => e.reason === `ID already in ${e.dest}`;
+  const retry = new Set(plan.entries
+    .filter((e) => e.action === "skip" && features.has(e.feature) && !settled(e))
+    .map((e) => e.sourceTab));
+
+  const rows = [STATE_HEADER, ["run", "", state.key, ""]];
+  for (const title of state.titles) {
+    const now = fingerprint(title);
+    if (now !== state.before.get(title) || retry.has(title)) continue;
+    rows.push(["tab", title, now, ""]);
+    for (const rec of state.handedOver.get(title) || []) {
+      rows.push(["rec", title, rec.row, JSON.stringify(RECORD_FIELDS.map((f) => rec[f] ?? null))]);
+    }
+  }
+
+  const title = config.incremental.sheet;
+  const current = snapshot.rows(title);
+  const same = current.length === rows.length
+    && rows.every((r, i) => r.every((v, j) => String(v) === String(current[i]?.[j] ?? "")));
+  if (same) return;
+  await getStateSheet(ctx);
+  const values = rows.map((r) => r.map(String));
+  // Rows left over from a longer state are blanked
+  for (let i = rows.length; i < current.length; i++) values.push(["", "", "", ""]);
+  await sendValueWrites(ctx, [{ range: a1(title, `A1:D${values.length}`), values }]);
+  snapshot.invalidate([title]);
+}
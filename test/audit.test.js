@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAutomations } from "../index.js";
+import { AUDIT_HEADER } from "../lib/audit.js";
+import { setup, row, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [HEADER, row({ A: "9/30/2025", C: "@alpha", H: "Interested" })],
+  "Travel": [HEADER],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+});
+
+test("every action of a run is appended to the log, under one header", async () => {
+  const { fake, context } = setup(tabs());
+  const first = context();
+  await runAutomations(first);
+  fake.setValue("Gaming", "C3", "@beta");
+  fake.setValue("Gaming", "H3", "Interested");
+  await runAutomations(context());
+
+  const [header, ...rows] = fake.rows("Automation Log");
+  assert.deepEqual(header, AUDIT_HEADER);
+  assert.ok(!rows.some((r) => r[0] === "Timestamp"));
+  const moved = rows.filter((r) => r[3] === "delete").map((r) => [r[4], r[9]]);
+  assert.deepEqual(moved, [["Gaming", "moved to Interested"], ["Gaming", "moved to Interested"]]);
+  assert.ok(rows.some((r) => r[1] === first.plan.runId));
+});
+
+test("a log tab renamed with a comma and an apostrophe still gets the rows", async () => {
+  const { fake, context } = setup(tabs(), { auditLog: { sheet: "Log, Bob's" } });
+  await runAutomations(context());
+  const [header, ...rows] = fake.rows("Log, Bob's");
+  assert.deepEqual(header, AUDIT_HEADER);
+  assert.ok(rows.some((r) => r[3] === "copy" && r[6] === "Interested row 2"));
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { run } from "../index.js";
+import { parseCli, EXIT } from "../lib/cli.js";
+import { createFakeSheets } from "./fake-sheets.js";
+import { writeConfigFile, row, column, background, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "@alpha", F: true }),
+    row({ A: "10/1/2025", C: "", H: "Interested" }),
+  ],
+  "Travel": [HEADER, row({ A: "10/2/2025", C: "@alpha", F: true })],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+  "MSN Creators": [HEADER],
+});
+
+// Runs the command line against a fake; output is captured, not printed
+async function cli(t, argv, fake = createFakeSheets({ tabs: tabs() })) {
+  const file = writeConfigFile();
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  const log = t.mock.method(console, "log", () => {});
+  const err = t.mock.method(console, "error", () => {});
+  const code = await run([...argv, "--config", file, "--spreadsheet", "test-sheet"], { sheets: fake.sheets });
+  const out = (m) => m.mock.calls.map((c) => c.arguments.join(" ")).join("\n");
+  return { code, fake, stdout: out(log), stderr: out(err) };
+}
+
+test("parses commands, tabs and flags", () => {
+  const opts = parseCli(["msn", "--tabs", "Gaming, Travel", "--tabs", "Gaming", "--dry-run"], {});
+  assert.equal(opts.command, "msn");
+  assert.deepEqual(opts.tabs, ["Gaming", "Travel"]);
+  assert.equal(opts.dryRun, true);
+  assert.equal(opts.profile, "default");
+  assert.equal(parseCli([], { SHEETS_PROFILE: "second" }).command, "run");
+  assert.equal(parseCli([], { SHEETS_PROFILE: "second" }).profile, "second");
+  assert.equal(parseCli(["restore", "run-1"], {}).runId, "run-1");
+
+  assert.throws(() => parseCli(["dedupe"], {}), /Unknown command "dedupe"/);
+  assert.throws(() => parseCli(["--tab", "Gaming"], {}), /--tab/);
+  assert.throws(() => parseCli(["restore"], {}), /needs a run ID/);
+  assert.throws(() => parseCli(["fix-ids", "--tabs", "Gaming"], {}), /doesn't apply to fix-ids/);
+  assert.throws(() => parseCli(["msn", "--full"], {}), /only applies to run/);
+  assert.throws(() => parseCli(["migrate", "Gaming"], {}), /Unexpected argument "Gaming"/);
+});
+
+test("a bad command line exits 2 and touches nothing", async (t) => {
+  const { code, fake, stderr } = await cli(t, ["msn", "--tabz", "Gaming"]);
+  assert.equal(code, EXIT.usage);
+  assert.match(stderr, /Usage: sheets-auto/);
+  assert.equal(fake.calls.length, 0);
+});
+
+test("one feature on one tab leaves the rest alone", async (t) => {
+  const { code, fake, stdout } = await cli(t, ["msn", "--tabs", "Gaming", "--json"]);
+  assert.equal(code, EXIT.ok);
+  const out = JSON.parse(stdout);
+  assert.equal(out.ok, true);
+  assert.deepEqual(out.entries.filter((e) => e.action === "copy").map((e) => e.sourceTab), ["Gaming"]);
+  assert.deepEqual(column(fake, "MSN Creators", "C"), ["@alpha"]);
+  assert.deepEqual(column(fake, "Travel", "C"), ["@alpha"]);
+  // No migration and no highlighting
+  assert.deepEqual(column(fake, "Gaming", "H"), ["Interested"]);
+  assert.equal(background(fake, "Gaming", "C2"), "");
+  assert.ok(!fake.state.sheets.some((s) => s.properties.title === "Duplicates Report"));
+});
+
+test("highlight --tabs compares every tab but paints only the named ones", async (t) => {
+  const { code, fake, stdout } = await cli(t, ["highlight", "--tabs", "Travel"]);
+  assert.equal(code, EXIT.ok);
+  assert.match(stdout, /Done \(run-.*\): duplicates highlighted in Travel\./);
+  assert.notEqual(background(fake, "Travel", "C2"), "");
+  // Gaming's blank stays unpainted
+  assert.equal(background(fake, "Gaming", "C3"), "");
+  assert.equal(fake.rows("Duplicates Report").length, 3);
+});
+
+test("report rebuilds the Duplicates Report without painting", async (t) => {
+  const { code, fake } = await cli(t, ["report"]);
+  assert.equal(code, EXIT.ok);
+  assert.deepEqual(fake.rows("Duplicates Report").slice(1).map((r) => r[4]), ["Gaming", "Travel"]);
+  assert.equal(background(fake, "Travel", "C2"), "");
+  assert.equal(background(fake, "Gaming", "C3"), "");
+});
+
+test("a failed run exits 1 and still prints JSON", async (t) => {
+  const { code, stdout, stderr } = await cli(t, ["migrate", "--tabs", "Gamming", "--json"]);
+  assert.equal(code, EXIT.failed);
+  const out = JSON.parse(stdout);
+  assert.equal(out.ok, false);
+  assert.equal(out.error, '--tabs: no tab named "Gamming"');
+  assert.equal(stderr, 'Error: --tabs: no tab named "Gamming"');
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import YAML from "yaml";
+import { loadConfig, validateAgainstSpreadsheet } from "../lib/config.js";
+import { createFakeSheets } from "./fake-sheets.js";
+import { makeConfig, HEADER } from "./fixtures.js";
+
+// Loads `doc` as a config file for the given profile
+function load(doc, profile) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sheets-config-"));
+  const file = path.join(dir, "sheets.config.yaml");
+  try {
+    fs.writeFileSync(file, YAML.stringify(doc));
+    return loadConfig({ file, profile, env: { SPREADSHEET_ID: "from-env" } });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function metaOf(tabs) {
+  const fake = createFakeSheets({ tabs });
+  return (await fake.sheets.spreadsheets.get({ spreadsheetId: "test-sheet" })).data;
+}
+
+test("a profile overrides the defaults and names its own spreadsheet", () => {
+  const doc = {
+    defaults: { tabs: ["Gaming", "Travel"], colors: { blank: "#000000" } },
+    profiles: {
+      default: {},
+      "second-workbook": { spreadsheetId: "sheet-2", tabs: ["Food & Cooking"], columns: { id: "U" } },
+    },
+  };
+  const first = load(doc, "default");
+  assert.equal(first.spreadsheetId, "from-env");
+  assert.deepEqual(first.tabs, ["Gaming", "Travel"]);
+  assert.equal(first.columns.id, 20);
+
+  const second = load(doc, "second-workbook");
+  assert.equal(second.name, "second-workbook");
+  assert.equal(second.spreadsheetId, "sheet-2");
+  assert.deepEqual(second.tabs, ["Food & Cooking"]);
+  assert.equal(second.columns.id, 21);
+  // What the profile leaves out comes from the defaults, then the built-in profile
+  assert.equal(second.colors.blank, "#000000");
+  assert.equal(second.colors.duplicate, "#FF0000");
+});
+
+test("an unknown profile is refused with the ones that exist", () => {
+  const doc = { profiles: { default: {}, "second-workbook": {} } };
+  assert.throws(() => load(doc, "secnd-workbook"), {
+    message: 'Unknown config profile "secnd-workbook". Known profiles: default, second-workbook',
+  });
+});
+
+test("unknown keys and bad column letters are listed together", () => {
+  assert.throws(() => makeConfig({ colours: {}, columns: { id: "T1", date: 0 } }), (e) => {
+    assert.match(e.message, /^Invalid config:/);
+    assert.match(e.message, /profiles\.default\.colours: unknown key/);
+    assert.match(e.message, /profiles\.default\.columns\.id: "T1" is not a column/);
+    assert.match(e.message, /profiles\.default\.columns\.date: "0" is not a column/);
+    return true;
+  });
+  assert.throws(() => load({ default: {} }), /config\.default: unknown key/);
+});
+
+test("tabs missing from the spreadsheet and columns past a tab's grid stop the run", async () => {
+  const meta = await metaOf({ "Gaming": [HEADER] });
+  const config = makeConfig({ columns: { id: "AB" } });
+  assert.throws(() => validateAgainstSpreadsheet(config, meta), (e) => {
+    assert.match(e.message, /^Config profile "default" does not match the spreadsheet:/);
+    assert.match(e.message, /tabs: column id \(#28\) is past the last column \(#26\) of "Gaming"/);
+    assert.match(e.message, /tabs: tab "Travel" does not exist in the spreadsheet/);
+    return true;
+  });
+
+  validateAgainstSpreadsheet(makeConfig(), await metaOf({ "Gaming": [HEADER], "Travel": [HEADER] }));
+});
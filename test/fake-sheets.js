@@ -0,0 +1,423 @@
+// test/fake-sheets.js — In-memory stand-in for the googleapis Sheets v4 client
+// Implements only what index.js and lib/ call. Cells hold user-entered values
+// (strings, numbers, booleans); reads return them formatted the way the API does.
+// A batchUpdate is applied whole or not at all, like the real one. Tests edit
+// cells with setValue() / insertRow() / deleteRow() and see every call in `calls`.
+
+/* =========================
+   A1 helpers
+   ========================= */
+
+function colToIndex(col) {
+  let n = 0;
+  for (let i = 0; i < col.length; i++) n = n * 26 + (col.charCodeAt(i) - 64);
+  return n;
+}
+
+export function parseA1(range) {
+  const bang = range.lastIndexOf("!");
+  let title = bang >= 0 ? range.slice(0, bang) : range;
+  const ref = bang >= 0 ? range.slice(bang + 1) : "";
+  if (title.startsWith("'") && title.endsWith("'")) title = title.slice(1, -1).replace(/''/g, "'");
+  // Like the API: a title with quotes or commas only parses quoted (helpers a1())
+  else if (/[',]/.test(title)) throw apiError(400, `Unable to parse range: ${range}`);
+  if (!ref) return { title, r1: 1, c1: 1, r2: Infinity, c2: Infinity };
+  const [a, b = a] = ref.split(":");
+  const pa = a.match(/^([A-Z]*)(\d*)$/);
+  const pb = b.match(/^([A-Z]*)(\d*)$/);
+  if (!pa || !pb) throw new Error(`Unable to parse range: ${range}`);
+  return {
+    title,
+    c1: pa[1] ? colToIndex(pa[1]) : 1,
+    r1: pa[2] ? Number(pa[2]) : 1,
+    c2: pb[1] ? colToIndex(pb[1]) : Infinity,
+    r2: pb[2] ? Number(pb[2]) : Infinity,
+  };
+}
+
+const quoted = (title) => `'${title.replace(/'/g, "''")}'`;
+
+function apiError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  e.response = { status: code, headers: {} };
+  return e;
+}
+
+function formatted(v) {
+  if (v === true) return "TRUE";
+  if (v === false) return "FALSE";
+  if (v == null) return "";
+  return String(v);
+}
+
+function parseUserEntered(v) {
+  if (typeof v !== "string") return v;
+  if (v === "TRUE" || v === "true") return true;
+  if (v === "FALSE" || v === "false") return false;
+  if (v !== "" && /^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+/* =========================
+   Fake
+   ========================= */
+
+export function createFakeSheets({ tabs = {}, locale = "en_US", timeZone = "Etc/GMT" } = {}) {
+  let nextSheetId = 100;
+  const state = {
+    properties: { title: "Fake", locale, timeZone },
+    sheets: [],
+    developerMetadata: [],
+  };
+  const calls = [];
+  const hooks = [];
+
+  function addSheet(title, rows = [], props = {}) {
+    const sheetId = props.sheetId ?? nextSheetId++;
+    const cells = rows.map((r) => r.map((v) => ({ value: v ?? "" })));
+    state.sheets.push({
+      properties: {
+        sheetId,
+        title,
+        index: state.sheets.length,
+        hidden: props.hidden ?? false,
+        gridProperties: {
+          rowCount: Math.max(props.rowCount ?? 0, rows.length + 10, 20),
+          columnCount: props.columnCount ?? 26,
+        },
+      },
+      cells,
+    });
+    return sheetId;
+  }
+  for (const [title, rows] of Object.entries(tabs)) addSheet(title, rows);
+
+  function sheetByTitle(title) {
+    const s = state.sheets.find((x) => x.properties.title === title);
+    if (!s) throw apiError(400, `Unable to parse range: ${title}`);
+    return s;
+  }
+  function sheetById(id) {
+    const s = state.sheets.find((x) => x.properties.sheetId === id);
+    if (!s) throw apiError(400, `No grid with id: ${id}`);
+    return s;
+  }
+  function ensureSize(s, r, c) {
+    const g = s.properties.gridProperties;
+    if (r > g.rowCount) g.rowCount = r;
+    if (c > g.columnCount) g.columnCount = c;
+  }
+  function getCell(s, r, c) {
+    return s.cells[r - 1]?.[c - 1];
+  }
+  function setCell(s, r, c, patch) {
+    ensureSize(s, r, c);
+    while (s.cells.length < r) s.cells.push([]);
+    const row = s.cells[r - 1];
+    while (row.length < c) row.push({ value: "" });
+    row[c - 1] = { ...(row[c - 1] || { value: "" }), ...patch };
+  }
+  function lastDataRow(s) {
+    for (let r = s.cells.length; r >= 1; r--) {
+      if ((s.cells[r - 1] || []).some((cell) => cell && cell.value !== "" && cell.value != null)) return r;
+    }
+    return 0;
+  }
+
+  function readValues(range, render) {
+    const { title, r1, c1, r2, c2 } = parseA1(range);
+    const s = sheetByTitle(title);
+    const lastR = Math.min(r2, lastDataRow(s));
+    const out = [];
+    for (let r = r1; r <= lastR; r++) {
+      const row = [];
+      const cellsRow = s.cells[r - 1] || [];
+      const lastC = Math.min(c2, cellsRow.length);
+      for (let c = c1; c <= lastC; c++) {
+        const v = cellsRow[c - 1]?.value ?? "";
+        row.push(render === "UNFORMATTED_VALUE" ? v : formatted(v));
+      }
+      while (row.length && (row[row.length - 1] === "" || row[row.length - 1] == null)) row.pop();
+      out.push(row);
+    }
+    while (out.length && out[out.length - 1].length === 0) out.pop();
+    return out;
+  }
+
+  function writeValues(range, values, inputOption) {
+    const { title, r1, c1 } = parseA1(range);
+    const s = sheetByTitle(title);
+    values.forEach((row, i) =>
+      row.forEach((v, j) => {
+        const val = inputOption === "USER_ENTERED" ? parseUserEntered(v) : v;
+        setCell(s, r1 + i, c1 + j, { value: val ?? "" });
+      })
+    );
+  }
+
+  function cellDataValue(v) {
+    if (v === "" || v == null) return undefined;
+    if (typeof v === "boolean") return { boolValue: v };
+    if (typeof v === "number") return { numberValue: v };
+    if (String(v).startsWith("=")) return { formulaValue: v };
+    return { stringValue: String(v) };
+  }
+
+  function cellValueFromCellData(cd) {
+    const u = cd?.userEnteredValue;
+    if (!u) return "";
+    if ("boolValue" in u) return u.boolValue;
+    if ("numberValue" in u) return u.numberValue;
+    if ("formulaValue" in u) return u.formulaValue;
+    return u.stringValue ?? "";
+  }
+
+  function applyRequest(req, replies) {
+    const [type] = Object.keys(req);
+    const body = req[type];
+    switch (type) {
+      case "addSheet": {
+        const p = body.properties || {};
+        if (state.sheets.some((x) => x.properties.title === p.title)) {
+          throw apiError(400, `A sheet with the name "${p.title}" already exists.`);
+        }
+        const sheetId = addSheet(p.title, [], { hidden: p.hidden, sheetId: p.sheetId });
+        replies.push({ addSheet: { properties: { ...sheetById(sheetId).properties } } });
+        return;
+      }
+      case "copyPaste": {
+        const src = sheetById(body.source.sheetId);
+        const dst = sheetById(body.destination.sheetId);
+        const { startRowIndex: sr, endRowIndex: er, startColumnIndex: sc, endColumnIndex: ec } = body.source;
+        const snapshot = [];
+        for (let r = sr; r < er; r++) {
+          const row = [];
+          for (let c = sc; c < ec; c++) row.push({ ...(getCell(src, r + 1, c + 1) || { value: "" }) });
+          snapshot.push(row);
+        }
+        snapshot.forEach((row, i) =>
+          row.forEach((cell, j) =>
+            setCell(dst, body.destination.startRowIndex + i + 1, body.destination.startColumnIndex + j + 1, cell)
+          )
+        );
+        break;
+      }
+      case "pasteData": {
+        const s = sheetById(body.coordinate.sheetId);
+        const lines = body.data.split("\n");
+        lines.forEach((line, i) =>
+          line.split(body.delimiter || "\t").forEach((v, j) =>
+            setCell(s, body.coordinate.rowIndex + i + 1, body.coordinate.columnIndex + j + 1, {
+              value: parseUserEntered(v),
+            })
+          )
+        );
+        break;
+      }
+      case "updateCells": {
+        const s = sheetById(body.range?.sheetId ?? body.start?.sheetId);
+        const r0 = body.range ? body.range.startRowIndex : body.start.rowIndex;
+        const c0 = body.range ? body.range.startColumnIndex : body.start.columnIndex;
+        body.rows.forEach((row, i) =>
+          (row.values || []).forEach((cd, j) => {
+            const patch = {};
+            if (body.fields.includes("userEnteredValue")) patch.value = cellValueFromCellData(cd);
+            if (body.fields.includes("userEnteredFormat")) patch.format = cd.userEnteredFormat;
+            setCell(s, r0 + i + 1, c0 + j + 1, patch);
+          })
+        );
+        break;
+      }
+      case "appendCells": {
+        const s = sheetById(body.sheetId);
+        const start = lastDataRow(s);
+        body.rows.forEach((row, i) =>
+          (row.values || []).forEach((cd, j) => {
+            const patch = { value: cellValueFromCellData(cd) };
+            if (body.fields.includes("userEnteredFormat")) patch.format = cd.userEnteredFormat;
+            setCell(s, start + i + 1, j + 1, patch);
+          })
+        );
+        break;
+      }
+      case "deleteSheet": {
+        const s = sheetById(body.sheetId);
+        state.sheets.splice(state.sheets.indexOf(s), 1);
+        break;
+      }
+      case "repeatCell": {
+        const s = sheetById(body.range.sheetId);
+        const { startRowIndex, endRowIndex, startColumnIndex, endColumnIndex } = body.range;
+        for (let r = startRowIndex; r < endRowIndex; r++) {
+          for (let c = startColumnIndex; c < endColumnIndex; c++) {
+            const bg = body.cell?.userEnteredFormat?.backgroundColor;
+            const cur = getCell(s, r + 1, c + 1) || { value: "" };
+            setCell(s, r + 1, c + 1, { format: { ...(cur.format || {}), backgroundColor: bg } });
+          }
+        }
+        break;
+      }
+      case "deleteDimension": {
+        const s = sheetById(body.range.sheetId);
+        if (body.range.dimension !== "ROWS") throw apiError(400, "Only ROWS supported by the fake");
+        const { startIndex, endIndex } = body.range;
+        s.cells.splice(startIndex, endIndex - startIndex);
+        s.properties.gridProperties.rowCount -= endIndex - startIndex;
+        break;
+      }
+      case "insertDimension": {
+        const s = sheetById(body.range.sheetId);
+        const { startIndex, endIndex } = body.range;
+        while (s.cells.length < startIndex) s.cells.push([]);
+        s.cells.splice(startIndex, 0, ...Array.from({ length: endIndex - startIndex }, () => []));
+        s.properties.gridProperties.rowCount += endIndex - startIndex;
+        break;
+      }
+      case "updateSheetProperties": {
+        const s = sheetById(body.properties.sheetId);
+        for (const f of body.fields.split(",")) {
+          if (f === "hidden") s.properties.hidden = body.properties.hidden;
+          if (f === "title") s.properties.title = body.properties.title;
+        }
+        break;
+      }
+      default:
+        throw apiError(400, `Fake does not implement request type: ${type}`);
+    }
+    replies.push({});
+  }
+
+  async function call(method, args, fn) {
+    calls.push({ method, args });
+    for (const h of hooks.slice()) await h(method, args);
+    return fn();
+  }
+
+  const sheets = {
+    spreadsheets: {
+      get: (args = {}) =>
+        call("spreadsheets.get", args, () => {
+          const data = {
+            spreadsheetId: args.spreadsheetId,
+            properties: { ...state.properties },
+            sheets: state.sheets.map((s) => ({
+              properties: JSON.parse(JSON.stringify(s.properties)),
+            })),
+          };
+          if (args.includeGridData) {
+            const wanted = (args.ranges || []).map(parseA1);
+            data.sheets = data.sheets.map((sh) => {
+              const mine = wanted.filter((x) => x.title === sh.properties.title);
+              if (!mine.length) return sh;
+              const s = sheetByTitle(sh.properties.title);
+              const blocks = mine.map((w) => {
+                const rowData = [];
+                const lastR = Math.min(w.r2, s.cells.length);
+                for (let r = w.r1; r <= lastR; r++) {
+                  const values = [];
+                  const lastC = Math.min(w.c2, (s.cells[r - 1] || []).length);
+                  for (let c = w.c1; c <= lastC; c++) {
+                    const cell = getCell(s, r, c);
+                    const cd = {};
+                    if (cellDataValue(cell?.value)) cd.userEnteredValue = cellDataValue(cell.value);
+                    if (cell?.format) cd.userEnteredFormat = cell.format;
+                    values.push(cd);
+                  }
+                  rowData.push({ values });
+                }
+                return { startRow: w.r1 - 1, startColumn: w.c1 - 1, rowData };
+              });
+              return { ...sh, data: blocks };
+            });
+          }
+          return { data };
+        }),
+      batchUpdate: (args) =>
+        call("spreadsheets.batchUpdate", args, () => {
+          const backup = JSON.stringify(state);
+          const replies = [];
+          try {
+            for (const req of args.requestBody.requests) applyRequest(req, replies);
+          } catch (e) {
+            Object.assign(state, JSON.parse(backup));
+            throw e;
+          }
+          return { data: { spreadsheetId: args.spreadsheetId, replies } };
+        }),
+      values: {
+        get: (args) =>
+          call("values.get", args, () => ({
+            data: { range: args.range, values: readValues(args.range, args.valueRenderOption) },
+          })),
+        batchGet: (args) =>
+          call("values.batchGet", args, () => ({
+            data: {
+              valueRanges: args.ranges.map((range) => ({
+                range,
+                values: readValues(range, args.valueRenderOption),
+              })),
+            },
+          })),
+        batchUpdate: (args) =>
+          call("values.batchUpdate", args, () => {
+            for (const d of args.requestBody.data) writeValues(d.range, d.values, args.requestBody.valueInputOption);
+            return { data: { totalUpdatedCells: args.requestBody.data.length } };
+          }),
+        update: (args) =>
+          call("values.update", args, () => {
+            writeValues(args.range, args.requestBody.values, args.valueInputOption);
+            return { data: {} };
+          }),
+        append: (args) =>
+          call("values.append", args, () => {
+            const { title } = parseA1(args.range);
+            const s = sheetByTitle(title);
+            const start = lastDataRow(s) + 1;
+            args.requestBody.values.forEach((row, i) =>
+              row.forEach((v, j) =>
+                setCell(s, start + i, j + 1, {
+                  value: args.valueInputOption === "USER_ENTERED" ? parseUserEntered(v) : v ?? "",
+                })
+              )
+            );
+            return { data: { updates: { updatedRange: `${title}!A${start}` } } };
+          }),
+      },
+    },
+  };
+
+  return {
+    sheets,
+    calls,
+    // Runs fn(method, args) before every API call; used to simulate users editing mid-run
+    onCall(fn) {
+      hooks.push(fn);
+    },
+    addSheet,
+    // Current values of a tab as the API would format them, row 1 first
+    rows(title) {
+      return readValues(quoted(title));
+    },
+    cell(title, a1) {
+      const { r1, c1 } = parseA1(`${quoted(title)}!${a1}`);
+      return getCell(sheetByTitle(title), r1, c1);
+    },
+    setValue(title, a1, value) {
+      const { r1, c1 } = parseA1(`${quoted(title)}!${a1}`);
+      setCell(sheetByTitle(title), r1, c1, { value });
+    },
+    insertRow(title, rowIdx1, values = []) {
+      const s = sheetByTitle(title);
+      while (s.cells.length < rowIdx1 - 1) s.cells.push([]);
+      s.cells.splice(rowIdx1 - 1, 0, values.map((v) => ({ value: v })));
+      s.properties.gridProperties.rowCount++;
+    },
+    deleteRow(title, rowIdx1) {
+      const s = sheetByTitle(title);
+      s.cells.splice(rowIdx1 - 1, 1);
+      s.properties.gridProperties.rowCount--;
+    },
+    state,
+  };
+}
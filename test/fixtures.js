@@ -0,0 +1,67 @@
+// test/fixtures.js — Tabs, config and run contexts on the fake Sheets client
+// Rows are 20 columns wide (A–T) like the real tabs: dates in A, channel in C,
+// MSN checkbox in F, statuses in H and K, creator ID in T.
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import YAML from "yaml";
+import { loadConfig } from "../lib/config.js";
+import { rgb01ToHex } from "../lib/helpers.js";
+import { createContext } from "../index.js";
+import { createFakeSheets } from "./fake-sheets.js";
+
+export const HEADER = [
+  "Date", "Name", "YouTube", "Email", "E", "MSN", "G", "Status", "I", "J",
+  "Status2", "L", "M", "N", "O", "P", "Q", "R", "S", "ID",
+];
+
+// row({ C: "@foo", H: "Interested" }) → a header-wide row with those cells filled
+export function row(cells = {}) {
+  const out = Array(HEADER.length).fill("");
+  for (const [col, v] of Object.entries(cells)) out[col.charCodeAt(0) - 65] = v;
+  return out;
+}
+
+// `defaults` of a config file; goes through loadConfig so it is validated like a real one
+export function makeConfig(defaults = {}) {
+  const file = writeConfigFile(defaults);
+  try {
+    return loadConfig({ file, env: { SPREADSHEET_ID: "test-sheet" } });
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+// The same config as a file in a temp directory of its own (remove it when done)
+export function writeConfigFile(defaults = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sheets-test-"));
+  const file = path.join(dir, "sheets.config.yaml");
+  fs.writeFileSync(file, YAML.stringify({ defaults: { tabs: ["Gaming", "Travel"], ...defaults }, profiles: { default: {} } }));
+  return file;
+}
+
+// A fake workbook plus a context factory: every run() gets a fresh plan and snapshot.
+export function setup(tabs, defaults) {
+  const fake = createFakeSheets({ tabs });
+  const config = makeConfig(defaults);
+  return {
+    fake,
+    config,
+    context: (opts = {}) => createContext(config, { sheets: fake.sheets, ...opts }),
+  };
+}
+
+// Values of one column below the header, e.g. column(fake, "Gaming", "C")
+export function column(fake, title, letter) {
+  return fake.rows(title).slice(1).map((r) => r[letter.charCodeAt(0) - 65] ?? "");
+}
+
+export function background(fake, title, a1) {
+  const bg = fake.cell(title, a1)?.format?.backgroundColor;
+  return bg ? rgb01ToHex(bg) : "";
+}
+
+export function actions(plan, action) {
+  return plan.entries.filter((e) => e.action === action);
+}
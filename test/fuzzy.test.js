@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { highlightDuplicatesAndBlanksOnC } from "../index.js";
+import { compactForMatch, levenshtein, similarity, findNearDuplicates } from "../lib/fuzzy.js";
+import { hexToRgb01, rgb01ToHex } from "../lib/helpers.js";
+import { setup, row, background, actions, makeConfig, HEADER } from "./fixtures.js";
+
+const hex = (color) => rgb01ToHex(hexToRgb01(color));
+const opts = { ignoreWords: ["official", "channel", "tv"], minLength: 5 };
+
+// Names in input order → clusters as lists of names
+function clusters(names, threshold = 0.7) {
+  const items = names.map((n) => ({ name: n, fields: { handle: compactForMatch(n, opts) } }));
+  return findNearDuplicates(items, { threshold }).map((c) => c.list.map((it) => it.name));
+}
+
+test("values are compacted before they're compared", () => {
+  assert.equal(compactForMatch("@Tech.With_Tim Official TV", opts), "techwithtim");
+  assert.equal(compactForMatch("Café Crème", opts), "cafecreme");
+  // Never down to nothing, and too short to compare is ""
+  assert.equal(compactForMatch("official", opts), "official");
+  assert.equal(compactForMatch("@abc", opts), "");
+  assert.equal(levenshtein("techwithtim", "techwtim"), 3);
+  assert.equal(levenshtein("abcdef", "uvwxyz", 2), 3);
+  assert.equal(similarity("techwithtim", "techwithtim"), 1);
+  assert.equal(similarity("", "techwithtim"), 0);
+});
+
+test("near misses are grouped, canonical first", () => {
+  assert.deepEqual(clusters(["@TechWithTim", "@gammaray", "@techwtim", "@TechWithTimOfficial"]), [
+    ["@TechWithTim", "@techwtim", "@TechWithTimOfficial"],
+  ]);
+  // A typo in the first letters is still caught by the shared ending
+  assert.deepEqual(clusters(["@techwithtim", "@rechwithtim"]), [["@techwithtim", "@rechwithtim"]]);
+  // …and one at the end by the shared start
+  assert.deepEqual(clusters(["@techwithtim", "@techwithtum"]), [["@techwithtim", "@techwithtum"]]);
+});
+
+test("different creators aren't matched", () => {
+  assert.deepEqual(clusters(["@techwithtim", "@cookingwithanna", "@timtechreviews", "@alphagaming", "@betagaming"]), []);
+  // Names that differ at both ends are never compared
+  assert.deepEqual(clusters(["@xtechwithtimx", "@techwithtim"], 0.5), []);
+  // A stricter threshold drops a looser match
+  assert.deepEqual(clusters(["@techwithtim", "@techwtim"], 0.95), []);
+});
+
+test("every field is compared, and the best match of each item is kept", () => {
+  const items = [
+    { fields: { handle: "alphaplays", "column B": "janedoe" } },
+    { fields: { handle: "zzzunrelated", "column B": "janedoe" } },
+    { fields: { handle: "alphaplayz", "column B": "" } },
+  ];
+  const [cluster] = findNearDuplicates(items, { threshold: 0.8 });
+  assert.deepEqual(cluster.list, items);
+  assert.equal(cluster.best.get(items[1]).field, "column B");
+  assert.equal(cluster.best.get(items[1]).other, items[0]);
+  assert.equal(cluster.best.get(items[2]).field, "handle");
+});
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "https://www.youtube.com/@TechWithTim" }),
+    row({ A: "10/1/2025", C: "@gammaray" }),
+  ],
+  "Travel": [
+    HEADER,
+    row({ A: "10/2/2025", C: "@techwtim" }),
+    row({ A: "10/3/2025", C: "youtube.com/channel/UCabcdefghijklmnopqrstuv" }),
+  ],
+});
+
+test("the later of two near-duplicate channels is painted and reported", async () => {
+  const { fake, config, context } = setup(tabs(), { nearDuplicates: { enabled: true } });
+  const ctx = context();
+  await highlightDuplicatesAndBlanksOnC(ctx);
+
+  const [near] = actions(ctx.plan, "highlight-near");
+  assert.deepEqual([near.sourceTab, near.sourceRow, near.dest, near.destRow], ["Travel", 2, "Gaming", 2]);
+  assert.match(near.reason, /^similar handle, score 0\.\d\d$/);
+  assert.equal(background(fake, "Travel", "C2"), hex(config.colors.nearDuplicate));
+  assert.equal(background(fake, "Gaming", "C2"), "");
+  assert.deepEqual(fake.rows("Duplicates Report").slice(1).map((r) => [r[2], r[4], r[5]]), [
+    ["canonical", "Gaming", "2"],
+    ["similar", "Travel", "2"],
+  ]);
+
+  // Once renamed apart, the color is taken off again
+  fake.setValue("Travel", "C2", "@cookingwithanna");
+  const again = context();
+  await highlightDuplicatesAndBlanksOnC(again);
+  assert.equal(background(fake, "Travel", "C2"), "");
+  assert.equal(actions(again.plan, "highlight-reset")[0].reason, "no longer a near duplicate");
+});
+
+test("with the fuzzy pass off, or a bad threshold, nothing is fuzzy-matched", async () => {
+  const { context } = setup(tabs());
+  const ctx = context();
+  await highlightDuplicatesAndBlanksOnC(ctx);
+  assert.deepEqual(actions(ctx.plan, "highlight-near"), []);
+
+  assert.throws(
+    () => makeConfig({ nearDuplicates: { enabled: true, threshold: 1.5 } }),
+    /nearDuplicates\.threshold: expected a number between 0 and 1/,
+  );
+  assert.throws(() => makeConfig({ nearDuplicates: { enabled: true, columns: ["??"] } }), /nearDuplicates\.columns\[0\]/);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { highlightDuplicatesAndBlanksOnC } from "../index.js";
+import { hexToRgb01, rgb01ToHex } from "../lib/helpers.js";
+import { setup, row, background, actions, HEADER } from "./fixtures.js";
+
+const hex = (color) => rgb01ToHex(hexToRgb01(color));
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "https://www.youtube.com/@Alpha" }),
+    row({ A: "10/1/2025", C: "" }),
+    row({ A: "not a date", C: "@beta" }),
+  ],
+  "Travel": [HEADER, row({ A: "9/1/2025", C: "youtube.com/@beta" }), row({ A: "10/2/2025", C: "@alpha" })],
+});
+
+test("flags later copies of a channel across tabs, blanks and unreadable dates", async () => {
+  const { fake, config, context } = setup(tabs());
+  const ctx = context();
+  await highlightDuplicatesAndBlanksOnC(ctx);
+
+  // The earliest row of each channel is the original, whatever tab it's in
+  assert.equal(background(fake, "Gaming", "C2"), "");
+  assert.equal(background(fake, "Travel", "C3"), hex(config.colors.duplicate));
+  assert.equal(background(fake, "Travel", "C2"), "");
+  assert.equal(background(fake, "Gaming", "C4"), hex(config.colors.duplicate));
+  assert.equal(background(fake, "Gaming", "C3"), hex(config.colors.blank));
+  assert.equal(background(fake, "Gaming", "A4"), hex(config.colors.badDate));
+  assert.equal(fake.rows("Duplicates Report").length, 5);
+});
+
+test("a second run changes nothing, and fixed rows are cleared", async () => {
+  const { fake, context } = setup(tabs());
+  await highlightDuplicatesAndBlanksOnC(context());
+
+  const again = context();
+  await highlightDuplicatesAndBlanksOnC(again);
+  assert.deepEqual(again.plan.entries.filter((e) => e.action !== "report"), []);
+
+  fake.setValue("Travel", "C3", "@someone-else");
+  fake.setValue("Gaming", "C3", "@filled-in");
+  const fixed = context();
+  await highlightDuplicatesAndBlanksOnC(fixed);
+  assert.deepEqual(actions(fixed.plan, "highlight-reset").map((e) => `${e.sourceTab}!${e.sourceRow}`).sort(), ["Gaming!3", "Travel!3"]);
+  assert.equal(background(fake, "Travel", "C3"), "");
+  assert.equal(background(fake, "Gaming", "C3"), "");
+});
+
+test("fills the highlight doesn't own are left alone", async () => {
+  const { fake, context } = setup(tabs());
+  await highlightDuplicatesAndBlanksOnC(context());
+  // A user paints a cell by hand
+  await fake.sheets.spreadsheets.batchUpdate({
+    spreadsheetId: "test-sheet",
+    requestBody: {
+      requests: [{
+        repeatCell: {
+          range: { sheetId: fake.state.sheets[0].properties.sheetId, startRowIndex: 1, endRowIndex: 2, startColumnIndex: 2, endColumnIndex: 3 },
+          cell: { userEnteredFormat: { backgroundColor: hexToRgb01("#00FF00") } },
+          fields: "userEnteredFormat.backgroundColor",
+        },
+      }],
+    },
+  });
+  const ctx = context();
+  await highlightDuplicatesAndBlanksOnC(ctx);
+  assert.equal(actions(ctx.plan, "highlight-reset").length, 0);
+  assert.equal(background(fake, "Gaming", "C2"), hex("#00FF00"));
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { highlightDuplicatesAndBlanksOnC } from "../index.js";
+import { parseChannelIdentity, identityKey, compileAliases, createIdentityResolver } from "../lib/identity.js";
+import { setup, row, makeConfig, actions, HEADER } from "./fixtures.js";
+
+const UC = "UCabcdefghijklmnopqrstuv";
+const key = (raw) => identityKey(parseChannelIdentity(raw));
+
+test("every way of pasting a handle gives the same key", () => {
+  for (const raw of [
+    "@TechWithTim",
+    "techwithtim",
+    "https://www.youtube.com/@TechWithTim",
+    "http://m.youtube.com/@techwithtim/videos",
+    "youtube.com/@TechWithTim?si=abc#about",
+    "  music.youtube.com/@TECHWITHTIM  ",
+  ]) {
+    assert.equal(key(raw), "handle:techwithtim", raw);
+  }
+  assert.equal(parseChannelIdentity("youtube.com/@TechWithTim").display, "@techwithtim");
+});
+
+test("channel IDs, usernames, custom URLs and videos", () => {
+  assert.equal(key(`https://www.youtube.com/channel/${UC}`), `channel:${UC}`);
+  assert.equal(key(UC), `channel:${UC}`);
+  // Channel IDs are case-sensitive; the others aren't
+  assert.notEqual(key(UC.toUpperCase()), key(UC));
+  assert.equal(key("youtube.com/user/OldName"), "user:oldname");
+  assert.equal(key("youtube.com/c/Vanity"), "custom:vanity");
+  assert.equal(key("https://youtube.com/Vanity"), "custom:vanity");
+  assert.equal(key("https://youtu.be/dQw4w9WgXcQ?t=3"), "video:dQw4w9WgXcQ");
+  assert.equal(key("youtube.com/watch?v=dQw4w9WgXcQ&list=x"), "video:dQw4w9WgXcQ");
+  assert.equal(key("youtube.com/shorts/AbC123"), "video:AbC123");
+  assert.equal(parseChannelIdentity("   "), null);
+  assert.equal(identityKey(null), "");
+});
+
+test("look-alike hosts and site pages aren't channels", () => {
+  assert.deepEqual(parseChannelIdentity("youtube.com.evil.example/@alpha"), {
+    type: "text", id: "youtube.com.evil.example/@alpha", display: "youtube.com.evil.example/@alpha",
+  });
+  assert.equal(parseChannelIdentity("notyoutube.com/@alpha").type, "text");
+  assert.equal(parseChannelIdentity("https://www.youtube.com/results?search_query=alpha").type, "text");
+  assert.equal(parseChannelIdentity("youtube.com/watch").type, "text");
+  // Too short or with spaces, a bare name isn't a handle
+  assert.equal(parseChannelIdentity("ab").type, "text");
+  assert.equal(key("Tech With Tim"), "text:tech with tim");
+  assert.notEqual(key("@alpha"), key("@alpha2"));
+});
+
+test("aliases map a channel ID or URL to a handle, and bad entries are reported", () => {
+  const errors = [];
+  const aliases = compileAliases({
+    [UC]: "@alpha",
+    "youtube.com/c/AlphaVlogs": "@Alpha",
+    "just some text": "@alpha",
+    "youtube.com/user/beta": "not a handle!",
+  }, "identity.aliases", errors);
+  assert.deepEqual(errors, [
+    'identity.aliases["just some text"]: not a channel ID, username or custom URL',
+    'identity.aliases["youtube.com/user/beta"]: "not a handle!" is not a handle like "@name"',
+  ]);
+
+  const resolve = createIdentityResolver(aliases);
+  assert.equal(resolve(`youtube.com/channel/${UC}`).key, "handle:alpha");
+  assert.equal(resolve("https://www.youtube.com/c/alphavlogs").display, "@alpha");
+  assert.equal(resolve("@beta").key, "handle:beta");
+  assert.equal(resolve(""), null);
+});
+
+test("the same channel pasted differently in two tabs is flagged as a duplicate", async () => {
+  const tabs = {
+    "Gaming": [HEADER, row({ A: "9/30/2025", C: "https://www.youtube.com/@Alpha" }), row({ A: "10/1/2025", C: "@gamma" })],
+    "Travel": [HEADER, row({ A: "10/2/2025", C: `youtube.com/channel/${UC}` }), row({ A: "10/3/2025", C: "youtube.com.evil.example/@gamma" })],
+  };
+  const { context } = setup(tabs, { identity: { aliases: { [UC]: "@alpha" } } });
+  const ctx = context();
+  await highlightDuplicatesAndBlanksOnC(ctx);
+
+  const dups = actions(ctx.plan, "highlight-duplicate");
+  assert.deepEqual(dups.map((e) => [e.sourceTab, e.sourceRow]), [["Travel", 2]]);
+});
+
+test("a bad alias stops the config from loading", () => {
+  assert.throws(() => makeConfig({ identity: { aliases: { [UC]: "alpha beta" } } }), /is not a handle like "@name"/);
+});
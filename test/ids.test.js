@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixDuplicateIds } from "../lib/ids.js";
+import { setup, row, column, actions, HEADER } from "./fixtures.js";
+
+test("rows sharing an ID by mistake get their own; one creator's rows share one", async () => {
+  const tabs = {
+    "Gaming": [HEADER, row({ C: "@alpha", T: "id-1" }), row({ C: "@beta", T: "id-1" }), row({ C: "@alpha", T: "id-1" })],
+    "Travel": [HEADER, row({ C: "youtube.com/@Alpha", T: "id-1" }), row({ C: "@beta", T: "id-1" }), row({ C: "@gamma", T: "id-2" })],
+  };
+  const { fake, context } = setup(tabs);
+  const ctx = context();
+  const result = await fixDuplicateIds(ctx);
+
+  const [a1, b1, a2] = column(fake, "Gaming", "T");
+  const [a3, b2, g] = column(fake, "Travel", "T");
+  // @alpha keeps the ID in both tabs; its second row in Gaming gets one of its own
+  assert.equal(a1, "id-1");
+  assert.equal(a3, "id-1");
+  assert.match(a2, /^id-[0-9A-Z]{26}$/);
+  // @beta gets one new ID, the same in both tabs
+  assert.match(b1, /^id-[0-9A-Z]{26}$/);
+  assert.equal(b2, b1);
+  assert.equal(g, "id-2");
+  assert.equal(new Set([a1, a2, b1]).size, 3);
+  assert.deepEqual(result, { scanned: 2, reassigned: 3 });
+  assert.equal(actions(ctx.plan, "write-id")[0].reason, "replaces id-1, also used by Gaming row 2");
+});
+
+test("rows without a channel aren't taken for the same creator", async () => {
+  const tabs = {
+    "Gaming": [HEADER, row({ B: "Ann", T: "id-1" }), row({ B: "Bob", T: "id-1" })],
+    "Travel": [HEADER, row({ B: "Cy", T: "id-1" }), row({ C: "@delta", T: "id-2" }), row({ B: "Dee", T: "id-2" })],
+  };
+  const { fake, context } = setup(tabs);
+  const result = await fixDuplicateIds(context());
+
+  const travel = column(fake, "Travel", "T");
+  const ids = [...column(fake, "Gaming", "T"), travel[0]];
+  assert.equal(ids[0], "id-1");
+  assert.equal(new Set(ids).size, 3);
+  // The row with a channel keeps its ID; the one without gets its own
+  assert.equal(travel[1], "id-2");
+  assert.notEqual(travel[2], "id-2");
+  assert.equal(result.reassigned, 3);
+});
+
+test("a dry run plans the new IDs and writes nothing", async () => {
+  const tabs = { "Gaming": [HEADER, row({ C: "@a", T: "id-1" })], "Travel": [HEADER, row({ C: "@b", T: "id-1" })] };
+  const { fake, context } = setup(tabs);
+  const ctx = context({ dryRun: true });
+  assert.deepEqual(await fixDuplicateIds(ctx), { scanned: 1, reassigned: 1 });
+  assert.equal(actions(ctx.plan, "write-id")[0].sourceTab, "Travel");
+  assert.deepEqual(column(fake, "Travel", "T"), ["id-1"]);
+});
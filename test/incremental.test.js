@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAutomations } from "../index.js";
+import { setup, row, column, background, actions, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [HEADER, row({ A: "9/30/2025", C: "@alpha", T: "id-1" }), row({ A: "10/1/2025", C: "@beta", T: "id-2" })],
+  "Travel": [HEADER, row({ A: "10/2/2025", C: "@alpha", T: "id-3" }), row({ A: "10/3/2025", C: "@gamma", T: "id-4" })],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+  "MSN Creators": [HEADER],
+});
+const unchangedNote = (plan) => actions(plan, "unchanged")[0]?.reason ?? "";
+
+test("a run after a quiet period skips every tab", async () => {
+  // Without the run lock, whose tab is added and deleted by every run
+  const { fake, context } = setup(tabs(), { incremental: { enabled: true }, lock: { enabled: false } });
+  await runAutomations(context());
+  assert.equal(fake.state.sheets.find((s) => s.properties.title === "Automation State").properties.hidden, true);
+
+  const before = fake.calls.length;
+  const quiet = context();
+  await runAutomations(quiet);
+  assert.equal(unchangedNote(quiet.plan), "4 of 4 tab(s) unchanged since the last run");
+  assert.deepEqual(quiet.plan.entries.map((e) => e.action), ["unchanged"]);
+  // No color reads and no writes; only the audit log gets its line
+  assert.ok(!fake.calls.slice(before).some((c) => c.args.includeGridData || /update/i.test(c.method)));
+});
+
+test("only edited tabs are processed, and duplicates still span every tab", async () => {
+  const { fake, context } = setup(tabs(), { incremental: { enabled: true } });
+  await runAutomations(context());
+  assert.notEqual(background(fake, "Travel", "C2"), "");
+
+  // The first @alpha goes away: the Travel copy isn't a duplicate any more,
+  // although Travel itself wasn't touched
+  fake.setValue("Gaming", "C2", "@delta");
+  fake.setValue("Gaming", "H3", "Interested");
+  const ctx = context();
+  await runAutomations(ctx);
+  assert.match(unchangedNote(ctx.plan), /^3 of 4/);
+  assert.deepEqual(actions(ctx.plan, "highlight-reset").map((e) => `${e.sourceTab}!${e.sourceRow}`), ["Travel!2"]);
+  assert.equal(background(fake, "Travel", "C2"), "");
+  assert.deepEqual(column(fake, "Interested", "C"), ["@beta"]);
+});
+
+test("--full looks at every tab again", async () => {
+  const { context } = setup(tabs(), { incremental: { enabled: true } });
+  await runAutomations(context());
+  const full = context({ full: true });
+  await runAutomations(full);
+  assert.equal(unchangedNote(full.plan), "");
+});
+
+test("rows whose ID is already in the destination don't bring their tab back", async () => {
+  const t = tabs();
+  // Moved by hand earlier: the copy is in Interested, the source row stayed
+  t.Gaming.push(row({ A: "10/4/2025", C: "@delta", H: "Interested", T: "id-5" }));
+  t.Interested.push(row({ C: "@delta", H: "Interested", T: "id-5" }));
+  t.Travel.push(row({ A: "10/5/2025", C: "@echo", K: "Meeting set" }));
+  const { fake, context } = setup(t, {
+    incremental: { enabled: true },
+    lock: { enabled: false },
+    migrations: {
+      rules: [
+        { name: "interested", when: { field: "status", contains: "interested" }, dest: "Interested" },
+        { name: "meeting", when: { field: "status", contains: "meeting set" }, dest: "Meeting Set", mode: "copy" },
+      ],
+    },
+  });
+  const logged = (plan) => fake.rows("Automation Log").filter((r) => r[1] === plan.runId).map((r) => r[3]);
+
+  const first = context();
+  await runAutomations(first);
+  assert.deepEqual(actions(first.plan, "skip").map((e) => e.reason), ["ID already in Interested"]);
+  assert.deepEqual(column(fake, "Meeting Set", "C"), ["@echo"]);
+
+  // Travel got an ID written, so it is read once more; the copy rule finds
+  // its ID in Meeting Set and logs nothing for it
+  const second = context();
+  await runAutomations(second);
+  assert.deepEqual(actions(second.plan, "skip"), []);
+
+  const third = context();
+  await runAutomations(third);
+  assert.equal(unchangedNote(third.plan), "4 of 4 tab(s) unchanged since the last run");
+  assert.deepEqual(logged(third.plan), ["unchanged"]);
+});
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAutomations, runMigrations, runMsnCheckboxCopy } from "../index.js";
+import { JOURNAL_HEADER, reconcileMoves, restoreRun } from "../lib/journal.js";
+import { setup, row, column, actions, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "@alpha", H: "Interested", T: "id-alpha" }),
+    row({ A: "10/1/2025", C: "@beta" }),
+    row({ A: "10/2/2025", C: "@gamma", K: "Meeting set", T: "id-gamma" }),
+  ],
+  "Travel": [HEADER],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+});
+
+// The run dies when it sends its deletes: copies landed, sources still there
+function crashAtDeletes(fake) {
+  let armed = true;
+  fake.onCall((method, args) => {
+    if (armed && method === "spreadsheets.batchUpdate" && args.requestBody.requests.some((r) => r.deleteDimension)) {
+      armed = false;
+      throw new Error("killed");
+    }
+  });
+}
+
+const states = (fake) => fake.rows("Automation Journal").slice(1).map((r) => `${r[6]} ${r[10]}`).sort();
+
+test("the next run finishes moves an interrupted run left open", async () => {
+  const { fake, context } = setup(tabs());
+  crashAtDeletes(fake);
+  await assert.rejects(runMigrations(context()), /killed/);
+  assert.deepEqual(states(fake), ["id-alpha copied", "id-gamma copied"]);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha", "@beta", "@gamma"]);
+
+  // A row inserted at the top in between doesn't matter: rows are found by ID
+  fake.insertRow("Gaming", 2, row({ C: "@new" }));
+  const ctx = context();
+  const result = await reconcileMoves(ctx);
+  assert.deepEqual(result, { finished: 2, rolledBack: 0, abandoned: 0, kept: 0 });
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@new", "@beta"]);
+  assert.deepEqual(states(fake), ["id-alpha deleted", "id-gamma deleted"]);
+});
+
+test("an interrupted move whose source was edited is rolled back", async () => {
+  const { fake, context } = setup(tabs());
+  crashAtDeletes(fake);
+  await assert.rejects(runMigrations(context()), /killed/);
+  fake.setValue("Gaming", "B2", "edited");
+
+  const ctx = context();
+  await reconcileMoves(ctx);
+  assert.equal(actions(ctx.plan, "rollback").length, 1);
+  assert.deepEqual(column(fake, "Interested", "C"), []);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha", "@beta"]);
+});
+
+test("restore puts moved rows back and refuses copies edited since", async () => {
+  const { fake, context } = setup(tabs());
+  const run = context();
+  await runMigrations(run);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@beta"]);
+  fake.setValue("Meeting Set", "B2", "notes added later");
+
+  const ctx = context();
+  const result = await restoreRun(ctx, run.plan.runId);
+  assert.deepEqual(result, { restored: 1, skipped: 1 });
+  assert.deepEqual(column(fake, "Gaming", "C").sort(), ["@alpha", "@beta"]);
+  assert.deepEqual(column(fake, "Interested", "C"), []);
+  assert.deepEqual(column(fake, "Meeting Set", "C"), ["@gamma"]);
+});
+
+test("a journal tab renamed with a comma and an apostrophe still works", async () => {
+  const { fake, context } = setup(tabs(), { journal: { sheet: "Moves, Bob's" } });
+  crashAtDeletes(fake);
+  await assert.rejects(runMigrations(context()), /killed/);
+  assert.deepEqual(await reconcileMoves(context()), { finished: 2, rolledBack: 0, abandoned: 0, kept: 0 });
+  const runId = fake.rows("Moves, Bob's")[1][0];
+  assert.deepEqual(await restoreRun(context(), runId), { restored: 2, skipped: 0 });
+  assert.ok(fake.rows("Moves, Bob's").slice(1).every((r) => r[9]));
+});
+
+test("restore reads niche tabs whose names need quoting", async () => {
+  const niche = "Bob's Retro, Gaming";
+  const t = tabs();
+  t[niche] = t.Gaming;
+  delete t.Gaming;
+  const { fake, context } = setup(t, { tabs: [niche, "Travel"] });
+  const run = context();
+  await runMigrations(run);
+  assert.deepEqual(column(fake, niche, "C"), ["@beta"]);
+
+  assert.deepEqual(await restoreRun(context(), run.plan.runId), { restored: 2, skipped: 0 });
+  assert.deepEqual(column(fake, niche, "C"), ["@alpha", "@beta", "@gamma"]);
+});
+
+test("a journal row that can't be read is skipped and logged, and runs go on", async () => {
+  const t = tabs();
+  const cutOff = '["9/30/2025","","@alp';
+  t["Automation Journal"] = [
+    JOURNAL_HEADER,
+    ["run-old", "2025-10-01T00:00:00.000Z", "migrate", "Gaming", "2", "Interested", "id-alpha", "", cutOff, "", "copied"],
+    ["run-old", "2025-10-01T00:00:00.000Z", "migrate", "Travel", "2", "Interested", "id-delta", "abc", "{}", "", "deleted"],
+  ];
+  const { fake, context } = setup(t);
+  const ctx = context();
+  await runAutomations(ctx);
+
+  const [skip] = actions(ctx.plan, "skip").filter((e) => e.feature === "reconcile");
+  assert.match(skip.reason, /^journal row 2: Row Values is not valid JSON \(.+\); left open$/);
+  assert.ok(fake.rows("Automation Log").some((r) => r[2] === "reconcile" && r[9] === skip.reason));
+  // The rest of the run went ahead
+  assert.deepEqual(column(fake, "Interested", "C"), ["@alpha"]);
+
+  const restore = context();
+  const result = await restoreRun(restore, "run-old");
+  assert.deepEqual(result, { restored: 0, skipped: 1 });
+  assert.equal(actions(restore.plan, "skip")[0].reason, "journal row 3: Row Values is not a list");
+});
+
+test("restoring an MSN move unticks the checkbox where the tab's header puts it", async () => {
+  const header = ["Date", "Name", "YouTube", "MSN", "Status", "Status 2", "ID"];
+  const { fake, context } = setup({
+    "Gaming": [header, ["9/30/2025", "Alpha", "@alpha", true, "", "waiting", ""]],
+    "Travel": [header],
+    "Interested": [header],
+    "Meeting Set": [header],
+    "MSN Creators": [header],
+  }, { headers: { enabled: true } });
+  const run = context();
+  await runMsnCheckboxCopy(run);
+  assert.deepEqual(fake.rows("Gaming").slice(1), []);
+
+  assert.deepEqual(await restoreRun(context(), run.plan.runId), { restored: 1, skipped: 0 });
+  const [restored] = fake.rows("Gaming").slice(1);
+  assert.deepEqual(restored.slice(0, 6), ["9/30/2025", "Alpha", "@alpha", "FALSE", "", "waiting"]);
+  assert.deepEqual(fake.rows("MSN Creators").slice(1), []);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runMigrations, runMsnCheckboxCopy } from "../index.js";
+import { mapRow } from "../lib/layout.js";
+import { setup, actions } from "./fixtures.js";
+
+// Each tab orders its columns its own way; "Reviewed" is a checkbox only the niche tabs have
+const GAMING = ["Date", "Name", "YouTube", "MSN", "Status", "Status 2", "ID", "Reviewed"];
+const INTERESTED = ["Creator ID", "Channel", "Date Contacted", "Status", "Follow Up Status", "Name"];
+const MSN = ["ID", "YouTube", "Name", "Date", "Status", "Status 2", "MSN"];
+const byHeaders = { headers: { enabled: true } };
+
+const tabs = () => ({
+  "Gaming": [
+    GAMING,
+    ["9/30/2025", "Alpha", "@alpha", false, "Interested", "", "", false],
+    ["10/1/2025", "Beta", "@beta", false, "", "interested", "", true],
+  ],
+  "Travel": [["Date", "YouTube", "ID"], ["10/2/2025", "@gamma", ""]],
+  "Interested": [INTERESTED],
+  "Meeting Set": [INTERESTED],
+  "MSN Creators": [MSN],
+});
+
+test("copies land under the same field or header name in the destination", async () => {
+  const { fake, context } = setup(tabs(), byHeaders);
+  const ctx = context();
+  await runMigrations(ctx);
+
+  const [copied] = fake.rows("Interested").slice(1);
+  const id = copied[0];
+  assert.match(id, /^id-/);
+  assert.deepEqual(copied, [id, "@alpha", "9/30/2025", "Interested", "", "Alpha"]);
+  // The source's unticked checkboxes had nowhere to go and didn't stop the move
+  assert.deepEqual(fake.rows("Gaming").slice(1).map((r) => r[2]), ["@beta"]);
+});
+
+test("a ticked checkbox the destination has no column for blocks the move", async () => {
+  const { fake, context } = setup(tabs(), byHeaders);
+  const ctx = context();
+  await runMigrations(ctx);
+
+  const skip = actions(ctx.plan, "skip").find((e) => e.sourceTab === "Gaming");
+  assert.equal(skip.handle, "@beta");
+  assert.equal(skip.reason, "Interested has no column for Reviewed");
+  assert.equal(fake.rows("Interested").length, 2);
+});
+
+test("a tab whose headers don't match is reported and left alone", async () => {
+  const { fake, context } = setup(tabs(), byHeaders);
+  const ctx = context();
+  await runMigrations(ctx);
+
+  const skip = actions(ctx.plan, "skip").find((e) => e.sourceTab === "Travel");
+  assert.equal(skip.reason, 'no "Status", "Status 2 / Follow Up Status" column in header row 1');
+  assert.deepEqual(fake.rows("Travel"), [["Date", "YouTube", "ID"], ["10/2/2025", "@gamma"]]);
+});
+
+test("MSN moves ignore unticked checkboxes the destination lacks", async () => {
+  const t = tabs();
+  t.Gaming[1][3] = true;
+  const { fake, context } = setup(t, byHeaders);
+  await runMsnCheckboxCopy(context());
+
+  const [moved] = fake.rows("MSN Creators").slice(1);
+  assert.deepEqual(moved.slice(1), ["@alpha", "Alpha", "9/30/2025", "Interested", "", "TRUE"]);
+  assert.deepEqual(fake.rows("Gaming").slice(1).map((r) => r[2]), ["@beta"]);
+});
+
+test("mapRow treats blanks and unticked checkboxes as empty", () => {
+  const from = { keys: ["f:id", "h:reviewed", "h:notes"], header: ["ID", "Reviewed", "Notes"] };
+  const to = { keys: ["f:id"], header: ["ID"] };
+  assert.deepEqual(mapRow(["id-1", "FALSE", ""], from, to), { values: ["id-1"], dropped: [] });
+  assert.deepEqual(mapRow(["id-1", false, "hi"], from, to).dropped, ["Notes"]);
+  assert.deepEqual(mapRow(["id-1", "TRUE", ""], from, to).dropped, ["Reviewed"]);
+});
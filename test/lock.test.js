@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAutomations } from "../index.js";
+import { acquireLock, LOCK_HEADER } from "../lib/lock.js";
+import { setup, row, column, actions, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [HEADER, row({ A: "9/30/2025", C: "@alpha", H: "Interested" })],
+  "Travel": [HEADER],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+  "MSN Creators": [HEADER],
+});
+const lease = (runId, expires) => [LOCK_HEADER, [runId, "other-host:42", "2025-10-01T00:00:00.000Z", expires]];
+const lockTab = (fake) => fake.state.sheets.find((s) => s.properties.title === "Automation Lock");
+
+test("a run holds the lock while it works and gives it back", async () => {
+  const { fake, context } = setup(tabs());
+  let heldDuringRun = false;
+  fake.onCall((method) => {
+    if (method === "values.batchGet") heldDuringRun ||= Boolean(lockTab(fake)?.properties.hidden);
+  });
+  const ctx = context();
+  await runAutomations(ctx);
+  assert.ok(heldDuringRun);
+  assert.equal(lockTab(fake), undefined);
+  assert.deepEqual(column(fake, "Interested", "C"), ["@alpha"]);
+});
+
+test("a second run gives up while the lease is live, and changes nothing", async () => {
+  const { fake, context } = setup(tabs(), { lock: { waitMs: 0 } });
+  const until = new Date(Date.now() + 60000).toISOString();
+  fake.addSheet("Automation Lock", lease("run-other", until), { hidden: true });
+
+  await assert.rejects(runAutomations(context()), /Another run holds the lock: run-other on other-host:42/);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha"]);
+  assert.deepEqual(column(fake, "Interested", "C"), []);
+  // Still theirs
+  assert.equal(fake.rows("Automation Lock")[1][0], "run-other");
+});
+
+test("an expired lease is taken over", async () => {
+  const { fake, context } = setup(tabs(), { lock: { waitMs: 0 } });
+  fake.addSheet("Automation Lock", lease("run-crashed", "2025-10-01T00:10:00.000Z"), { hidden: true });
+  const ctx = context();
+  await runAutomations(ctx);
+
+  const [takeover] = actions(ctx.plan, "lock-takeover");
+  assert.match(takeover.reason, /lease of run-crashed \(other-host:42\) expired 2025-10-01T00:10:00.000Z/);
+  assert.deepEqual(column(fake, "Interested", "C"), ["@alpha"]);
+  assert.equal(lockTab(fake), undefined);
+});
+
+test("waits for the holder to finish", async () => {
+  const { fake, context } = setup(tabs());
+  fake.addSheet("Automation Lock", lease("run-other", new Date(Date.now() + 60000).toISOString()), { hidden: true });
+  const ctx = context();
+  const waits = [];
+  // The other run finishes while this one sleeps
+  const sleep = async (ms) => {
+    waits.push(ms);
+    fake.state.sheets.splice(fake.state.sheets.indexOf(lockTab(fake)), 1);
+  };
+  const lock = await acquireLock(ctx, { sleep });
+  assert.deepEqual(waits, [5000]);
+  assert.equal(fake.rows("Automation Lock")[1][0], ctx.plan.runId);
+  await lock.release();
+  assert.equal(lockTab(fake), undefined);
+});
+
+test("a run whose lock was taken over stops at its next renewal", async () => {
+  const { fake, context } = setup(tabs());
+  let t = Date.now();
+  const ctx = context();
+  const lock = await acquireLock(ctx, { now: () => t });
+  await lock.renew();
+
+  // Another run decided the lease was stale and replaced the tab
+  fake.state.sheets.splice(fake.state.sheets.indexOf(lockTab(fake)), 1);
+  fake.addSheet("Automation Lock", lease("run-other", new Date(t + 600000).toISOString()), { hidden: true });
+  t += 300000;
+  await assert.rejects(lock.renew(), /Lost the run lock: the "Automation Lock" tab was taken over/);
+});
+
+test("renewing pushes the expiry out", async () => {
+  const { fake, context } = setup(tabs());
+  let t = Date.parse("2025-10-01T00:00:00.000Z");
+  const lock = await acquireLock(context(), { now: () => t });
+  assert.equal(fake.rows("Automation Lock")[1][3], "2025-10-01T00:10:00.000Z");
+  t += 60000;
+  await lock.renew();
+  assert.equal(fake.rows("Automation Lock")[1][3], "2025-10-01T00:10:00.000Z");
+  t += 240000;
+  await lock.renew();
+  assert.equal(fake.rows("Automation Lock")[1][3], "2025-10-01T00:15:00.000Z");
+});
+
+test("dry runs take no lock", async () => {
+  const { fake, context } = setup(tabs());
+  await runAutomations(context({ dryRun: true }));
+  assert.ok(!fake.calls.some((c) => c.method === "spreadsheets.batchUpdate"));
+});
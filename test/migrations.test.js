@@ -0,0 +1,268 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runMigrations } from "../index.js";
+import { formatPlan, planToJSON } from "../lib/plan.js";
+import { setup, row, column, actions, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "@alpha", H: "Interested" }),
+    row({ A: "10/1/2025", C: "@beta", K: "meeting set" }),
+    row({ A: "10/2/2025", C: "@gamma", H: "Not interested" }),
+  ],
+  "Travel": [HEADER],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+});
+
+// Runs fn once, on the first values.batchGet after the copies went out: the
+// moment between copying and the re-read that verifies the deletes.
+function afterCopies(fake, fn) {
+  let copied = false;
+  let done = false;
+  fake.onCall((method, args) => {
+    if (method === "spreadsheets.batchUpdate" && args.requestBody.requests.some((r) => r.appendCells)) copied = true;
+    if (method === "values.batchGet" && copied && !done) {
+      done = true;
+      fn();
+    }
+  });
+}
+
+test("moves rows to their rule's destination and deletes the source rows", async () => {
+  const { fake, context } = setup(tabs());
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@gamma"]);
+  assert.deepEqual(column(fake, "Interested", "C"), ["@alpha"]);
+  assert.deepEqual(column(fake, "Meeting Set", "C"), ["@beta"]);
+  // The copy carries the ID written into the source row
+  assert.match(column(fake, "Interested", "T")[0], /^id-[0-9A-Z]{26}$/);
+  assert.equal(actions(ctx.plan, "delete").length, 2);
+  assert.equal(actions(ctx.plan, "skip").length, 0);
+});
+
+test("a row whose ID is already in the destination is neither copied nor deleted", async () => {
+  const t = tabs();
+  t.Gaming[1] = row({ A: "9/30/2025", C: "@alpha", H: "Interested", T: "id-alpha" });
+  t.Interested.push(row({ C: "@alpha", H: "Interested", T: "id-alpha" }));
+  const { fake, context } = setup(t);
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Interested", "T"), ["id-alpha"]);
+  assert.ok(column(fake, "Gaming", "C").includes("@alpha"));
+  const [skip] = actions(ctx.plan, "skip");
+  assert.equal(skip.reason, "ID already in Interested");
+  assert.equal(skip.sourceRow, 2);
+});
+
+test("copy rules keep the source row", async () => {
+  const { fake, context } = setup(tabs(), {
+    migrations: { rules: [{ name: "interested", when: { field: "status", contains: "interested" }, dest: "Interested", mode: "copy" }] },
+  });
+  await runMigrations(context());
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha", "@beta", "@gamma"]);
+  assert.deepEqual(column(fake, "Interested", "C"), ["@alpha", "@gamma"]);
+  // A second run finds the IDs in the destination: nothing is copied, and
+  // the rows the rule keeps on purpose aren't reported as skipped
+  const again = context();
+  await runMigrations(again);
+  assert.equal(actions(again.plan, "copy").length, 0);
+  assert.deepEqual(actions(again.plan, "skip"), []);
+});
+
+test("a source row edited after its copy is kept (checksum mismatch)", async () => {
+  const { fake, context } = setup(tabs());
+  afterCopies(fake, () => fake.setValue("Gaming", "B2", "edited by a user"));
+  const ctx = context();
+  await runMigrations(ctx);
+
+  const skips = actions(ctx.plan, "skip");
+  assert.equal(skips.length, 1);
+  assert.equal(skips[0].reason, "delete skipped: source row changed");
+  assert.equal(skips[0].sourceRow, 2);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha", "@gamma"]);
+  assert.deepEqual(column(fake, "Gaming", "B"), ["edited by a user", ""]);
+  // The copy stays too; the journal marks the move as kept
+  assert.deepEqual(column(fake, "Interested", "C"), ["@alpha"]);
+  const journal = fake.rows("Automation Journal").slice(1);
+  assert.deepEqual(journal.map((r) => r[10]).sort(), ["deleted", "kept"]);
+});
+
+test("rows that shifted mid-run are found by their ID and deleted there", async () => {
+  const { fake, context } = setup(tabs());
+  afterCopies(fake, () => fake.insertRow("Gaming", 2, row({ A: "10/5/2025", C: "@inserted" })));
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@inserted", "@gamma"]);
+  assert.deepEqual(actions(ctx.plan, "delete").map((e) => [e.sourceRow, e.reason]), [
+    [3, "was row 2 when read"],
+    [4, "was row 3 when read"],
+  ]);
+  assert.equal(actions(ctx.plan, "skip").length, 0);
+  // The journal records where the rows really were
+  const journal = fake.rows("Automation Journal").slice(1);
+  assert.deepEqual(journal.map((r) => r[4]).sort(), ["3", "4"]);
+});
+
+test("a sort mid-run still deletes the moved rows, in one request per run of rows", async () => {
+  const { fake, context } = setup(tabs());
+  // Sorted Z→A by handle: @gamma, @beta, @alpha
+  afterCopies(fake, () => {
+    const gaming = fake.state.sheets.find((s) => s.properties.title === "Gaming");
+    gaming.cells = [gaming.cells[0], ...gaming.cells.slice(1).reverse()];
+  });
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@gamma"]);
+  const deletes = fake.calls
+    .filter((c) => c.method === "spreadsheets.batchUpdate")
+    .flatMap((c) => c.args.requestBody.requests)
+    .filter((r) => r.deleteDimension);
+  assert.deepEqual(deletes.map((r) => [r.deleteDimension.range.startIndex, r.deleteDimension.range.endIndex]), [[2, 4]]);
+});
+
+test("a moved row deleted by hand mid-run is reported, and nothing else goes", async () => {
+  const { fake, context } = setup(tabs());
+  afterCopies(fake, () => fake.deleteRow("Gaming", 2));
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@gamma"]);
+  const [skip] = actions(ctx.plan, "skip");
+  assert.equal(skip.reason, "delete skipped: no row with this ID in Gaming any more");
+  assert.equal(skip.dest, "Interested");
+  assert.deepEqual(actions(ctx.plan, "delete").map((e) => e.sourceRow), [2]);
+});
+
+test("a copy that didn't land in the destination blocks the delete", async () => {
+  const { fake, context } = setup(tabs());
+  afterCopies(fake, () => fake.setValue("Interested", "T2", ""));
+  const ctx = context();
+  await runMigrations(ctx);
+
+  const [skip] = actions(ctx.plan, "skip");
+  assert.equal(skip.reason, "delete skipped: ID not found in Interested");
+  assert.ok(column(fake, "Gaming", "C").includes("@alpha"));
+});
+
+test("rows added to a destination meanwhile are appended after, not written over", async () => {
+  const { fake, context } = setup(tabs());
+  fake.onCall((method, args) => {
+    if (method === "spreadsheets.batchUpdate" && args.requestBody.requests.some((r) => r.appendCells)) {
+      fake.setValue("Interested", "C2", "@typed-by-hand");
+    }
+  });
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Interested", "C"), ["@typed-by-hand", "@alpha"]);
+  // The plan says where the copy landed, not where it was expected
+  assert.equal(actions(ctx.plan, "copy").find((e) => e.dest === "Interested").destRow, 3);
+  assert.equal(actions(ctx.plan, "delete").length, 2);
+});
+
+test("a destination tab created by the run gets the header before its first row", async () => {
+  const t = tabs();
+  delete t["Meeting Set"];
+  const { fake, context } = setup(t);
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(fake.rows("Meeting Set")[0], HEADER);
+  assert.deepEqual(column(fake, "Meeting Set", "C"), ["@beta"]);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@gamma"]);
+  assert.equal(actions(ctx.plan, "write-header")[0].dest, "Meeting Set");
+
+  // The next run finds nothing left to move
+  const again = context();
+  await runMigrations(again);
+  assert.deepEqual(column(fake, "Meeting Set", "C"), ["@beta"]);
+  assert.equal(actions(again.plan, "copy").length, 0);
+});
+
+test("a dry run plans the moves and writes nothing", async () => {
+  const { fake, context } = setup(tabs());
+  const ctx = context({ dryRun: true });
+  await runMigrations(ctx);
+
+  assert.equal(actions(ctx.plan, "copy").length, 2);
+  assert.equal(actions(ctx.plan, "delete").length, 2);
+  assert.ok(fake.calls.every((c) => !/batchUpdate|update|append/.test(c.method)));
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha", "@beta", "@gamma"]);
+  assert.match(formatPlan(ctx.plan), /^Plan \(dry run, nothing was written\) \S+: 6 action\(s\)/);
+  assert.deepEqual(JSON.parse(planToJSON(ctx.plan)), { runId: ctx.plan.runId, dryRun: true, ok: true, error: null, entries: ctx.plan.entries });
+});
+
+/* Two-way status sync */
+
+const twoWay = {
+  columns: { origin: "U" },
+  migrations: {
+    rules: [
+      { name: "meeting-set", priority: 20, when: { field: "status", contains: "meeting set" }, dest: "Meeting Set" },
+      {
+        name: "interested", priority: 10, dest: "Interested",
+        when: { all: [{ field: "status", contains: "interested" }, { not: { field: "status", contains: "not interested" } }] },
+      },
+      { name: "back-to-niche", from: ["Interested", "Meeting Set"], when: { field: "status", contains: "not interested" }, dest: "$origin" },
+    ],
+  },
+};
+
+test("a status set back in a destination moves the row on or home to its origin tab", async () => {
+  const { fake, context } = setup(tabs(), twoWay);
+  await runMigrations(context());
+  assert.deepEqual(column(fake, "Interested", "U"), ["Gaming"]);
+  assert.deepEqual(column(fake, "Meeting Set", "U"), ["Gaming"]);
+  const [alphaId, betaId] = [column(fake, "Interested", "T")[0], column(fake, "Meeting Set", "T")[0]];
+
+  // Meeting Set → Interested keeps the origin; Interested → its origin tab
+  fake.setValue("Meeting Set", "K2", "interested");
+  fake.setValue("Interested", "H2", "Not interested");
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@gamma", "@alpha"]);
+  assert.equal(column(fake, "Gaming", "T")[1], alphaId);
+  assert.deepEqual(column(fake, "Interested", "C"), ["@beta"]);
+  assert.deepEqual(column(fake, "Interested", "T"), [betaId]);
+  assert.deepEqual(column(fake, "Interested", "U"), ["Gaming"]);
+  assert.deepEqual(column(fake, "Meeting Set", "C"), []);
+  assert.deepEqual(actions(ctx.plan, "copy").map((e) => [e.sourceTab, e.dest, e.rule]), [
+    ["Meeting Set", "Interested", "interested"],
+    ["Interested", "Gaming", "back-to-niche"],
+  ]);
+  assert.equal(actions(ctx.plan, "delete").length, 2);
+
+  // Home again: the origin rule leaves it there
+  const again = context();
+  await runMigrations(again);
+  assert.equal(again.plan.entries.length, 0);
+});
+
+test("rows that can't go back to their origin stay and are reported", async () => {
+  const t = tabs();
+  t.Gaming.push(row({ C: "@delta", H: "Not interested", T: "id-delta" }));
+  t.Interested.push(
+    row({ C: "@nowhere", H: "Not interested", T: "id-nowhere" }),
+    row({ C: "@delta", H: "Not interested", T: "id-delta", U: "Gaming" }),
+    row({ C: "@gone", H: "Not interested", T: "id-gone", U: "Old Niche" }),
+  );
+  const { fake, context } = setup(t, twoWay);
+  const ctx = context();
+  await runMigrations(ctx);
+
+  assert.deepEqual(column(fake, "Interested", "C"), ["@nowhere", "@delta", "@gone", "@alpha"]);
+  assert.deepEqual(actions(ctx.plan, "skip").map((e) => [e.sourceTab, e.handle, e.reason]), [
+    ["Interested", "@nowhere", "no origin tab recorded; move it back by hand"],
+    ["Interested", "@delta", "ID already in Gaming"],
+    ["Interested", "@gone", 'origin "Old Niche" is not one of the tabs'],
+  ]);
+});
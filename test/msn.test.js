@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runMsnCheckboxCopy } from "../index.js";
+import { setup, row, column, actions, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "@alpha", F: true }),
+    row({ A: "10/1/2025", C: "@beta", F: false }),
+  ],
+  "Travel": [HEADER, row({ A: "10/2/2025", C: "@gamma", F: true, T: "id-gamma" })],
+  // Checkboxes run further down than the data; those rows count as empty
+  "MSN Creators": [HEADER, row({ C: "@old", F: true, T: "id-old" }), row({ F: false }), row({ F: false })],
+});
+
+test("moves checked rows below the destination's last real row", async () => {
+  const { fake, context } = setup(tabs());
+  const ctx = context();
+  await runMsnCheckboxCopy(ctx);
+
+  // Rows are inserted there: the unchecked ones kept ready below move down
+  assert.deepEqual(column(fake, "MSN Creators", "C"), ["@old", "@alpha", "@gamma", "", ""]);
+  assert.deepEqual(column(fake, "MSN Creators", "F"), ["TRUE", "TRUE", "TRUE", "FALSE", "FALSE"]);
+  assert.equal(column(fake, "MSN Creators", "T")[2], "id-gamma");
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@beta"]);
+  assert.deepEqual(column(fake, "Travel", "C"), []);
+  assert.deepEqual(actions(ctx.plan, "copy").map((e) => e.destRow), [3, 4]);
+});
+
+test("a checked row whose ID is already in MSN Creators stays", async () => {
+  const t = tabs();
+  t.Travel[1] = row({ C: "@old", F: true, T: "id-old" });
+  const { fake, context } = setup(t);
+  const ctx = context();
+  await runMsnCheckboxCopy(ctx);
+
+  assert.deepEqual(column(fake, "Travel", "C"), ["@old"]);
+  assert.deepEqual(column(fake, "MSN Creators", "T").filter(Boolean).length, 2);
+  assert.equal(actions(ctx.plan, "skip")[0].reason, "ID already in MSN Creators");
+});
+
+test("with asMove off the source row is kept", async () => {
+  const { fake, context } = setup(tabs(), { msn: { asMove: false } });
+  await runMsnCheckboxCopy(context());
+
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@alpha", "@beta"]);
+  assert.deepEqual(column(fake, "MSN Creators", "C").filter(Boolean), ["@old", "@alpha", "@gamma"]);
+});
+
+test("a source row edited between copy and delete is kept", async () => {
+  const { fake, context } = setup(tabs());
+  let copied = false;
+  fake.onCall((method, args) => {
+    if (method === "spreadsheets.batchUpdate" && args.requestBody.requests.some((r) => r.pasteData)) copied = true;
+    else if (copied && method === "values.batchGet") {
+      copied = false;
+      fake.setValue("Travel", "D2", "new email");
+    }
+  });
+  const ctx = context();
+  await runMsnCheckboxCopy(ctx);
+
+  assert.deepEqual(column(fake, "Travel", "C"), ["@gamma"]);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@beta"]);
+  assert.deepEqual(actions(ctx.plan, "skip").map((e) => [e.sourceTab, e.reason]), [["Travel", "delete skipped: source row changed"]]);
+});
+
+test("a source row pushed down between copy and delete is still deleted", async () => {
+  const { fake, context } = setup(tabs());
+  let copied = false;
+  fake.onCall((method, args) => {
+    if (method === "spreadsheets.batchUpdate" && args.requestBody.requests.some((r) => r.pasteData)) copied = true;
+    else if (copied && method === "values.batchGet") {
+      copied = false;
+      fake.insertRow("Travel", 2, row({ C: "@new", F: false }));
+    }
+  });
+  const ctx = context();
+  await runMsnCheckboxCopy(ctx);
+
+  assert.deepEqual(column(fake, "Travel", "C"), ["@new"]);
+  const moved = actions(ctx.plan, "delete").find((e) => e.sourceTab === "Travel");
+  assert.equal(moved.sourceRow, 3);
+  assert.equal(moved.reason, "was row 2 when read");
+});
+
+test("a row typed into MSN Creators meanwhile moves down instead of being written over", async () => {
+  const { fake, context } = setup(tabs());
+  fake.onCall((method, args) => {
+    if (method === "spreadsheets.batchUpdate" && args.requestBody.requests.some((r) => r.insertDimension)) {
+      fake.setValue("MSN Creators", "C3", "@typed-by-hand");
+    }
+  });
+  await runMsnCheckboxCopy(context());
+
+  assert.deepEqual(column(fake, "MSN Creators", "C"), ["@old", "@alpha", "@gamma", "@typed-by-hand", ""]);
+});
+
+test("a fresh MSN Creators tab gets the header before its first row", async () => {
+  const t = tabs();
+  delete t["MSN Creators"];
+  const { fake, context } = setup(t);
+  const ctx = context();
+  await runMsnCheckboxCopy(ctx);
+
+  assert.deepEqual(fake.rows("MSN Creators")[0], HEADER);
+  assert.deepEqual(column(fake, "MSN Creators", "C"), ["@alpha", "@gamma"]);
+  assert.deepEqual(actions(ctx.plan, "copy").map((e) => e.destRow), [2, 3]);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@beta"]);
+  assert.deepEqual(column(fake, "Travel", "C"), []);
+});
+
+test("the copies go below a row typed into MSN Creators after the first read", async () => {
+  const { fake, context } = setup(tabs());
+  let typed = false;
+  // The ID written into Gaming's row comes after MSN Creators was first read
+  fake.onCall((method) => {
+    if (method === "values.batchUpdate" && !typed) {
+      typed = true;
+      fake.setValue("MSN Creators", "C3", "@typed-by-hand");
+    }
+  });
+  const ctx = context();
+  await runMsnCheckboxCopy(ctx);
+
+  assert.deepEqual(column(fake, "MSN Creators", "C"), ["@old", "@typed-by-hand", "@alpha", "@gamma", ""]);
+  assert.deepEqual(actions(ctx.plan, "copy").map((e) => e.destRow), [4, 5]);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@beta"]);
+});
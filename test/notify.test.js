@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { runAutomations } from "../index.js";
+import { setup, row, HEADER } from "./fixtures.js";
+
+// Local stand-in for Slack and friends: records every POST; /fail answers 500
+const received = [];
+let server;
+let base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.statusCode = req.url === "/fail" ? 500 : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const tabs = () => ({
+  "Gaming": [
+    HEADER,
+    row({ A: "9/30/2025", C: "@alpha", H: "Interested" }),
+    row({ A: "10/1/2025", C: "" }),
+    row({ A: "10/2/2025", C: "@beta", F: true }),
+  ],
+  "Travel": [HEADER, row({ A: "10/3/2025", C: "@alpha" })],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+  "MSN Creators": [HEADER],
+});
+
+test("posts a Slack message and a JSON summary of the run", async () => {
+  received.length = 0;
+  const { context } = setup(tabs(), {
+    notify: { webhooks: [{ url: `${base}/slack` }, { url: `${base}/json`, format: "json" }, { url: `${base}/fail` }] },
+  });
+  const ctx = context();
+  await runAutomations(ctx);
+
+  const json = received.find((r) => r.path === "/json").body;
+  assert.equal(json.runId, ctx.plan.runId);
+  assert.equal(json.ok, true);
+  assert.deepEqual(json.moved, { "Interested": 1, "MSN Creators": 1 });
+  assert.equal(json.duplicates, 1);
+  assert.equal(json.blanks, 1);
+  assert.deepEqual(json.skippedDeletes, []);
+  const { text } = received.find((r) => r.path === "/slack").body;
+  assert.match(text, /\*Moved:\* Interested 1, MSN Creators 1/);
+  assert.match(text, /\*New duplicates:\* 1/);
+  // A failing webhook doesn't fail the run
+  assert.ok(received.some((r) => r.path === "/fail"));
+});
+
+test("failed runs are reported; `changes` and `failure` hooks stay quiet otherwise", async () => {
+  received.length = 0;
+  const { fake, context } = setup(tabs(), {
+    notify: { webhooks: [{ url: `${base}/changes`, when: "changes" }, { url: `${base}/failure`, format: "json", when: "failure" }] },
+  });
+  // The second run clears the duplicate whose original moved away; the third has nothing to do
+  for (let i = 0; i < 3; i++) await runAutomations(context());
+  assert.deepEqual(received.map((r) => r.path), ["/changes", "/changes"]);
+
+  received.length = 0;
+  fake.onCall((method) => {
+    if (method === "values.batchGet") throw new Error("quota exceeded for good");
+  });
+  await assert.rejects(runAutomations(context()), /quota/);
+  assert.deepEqual(received.map((r) => r.path).sort(), ["/changes", "/failure"]);
+  assert.equal(received.find((r) => r.path === "/failure").body.error, "quota exceeded for good");
+});
+
+test("dry runs send nothing", async () => {
+  received.length = 0;
+  const { context } = setup(tabs(), { notify: { webhooks: [{ url: `${base}/slack` }] } });
+  await runAutomations(context({ dryRun: true }));
+  assert.equal(received.length, 0);
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateTabs, QUALITY_HEADER } from "../lib/quality.js";
+import { hexToRgb01, rgb01ToHex } from "../lib/helpers.js";
+import { setup, row, background, actions, makeConfig, HEADER } from "./fixtures.js";
+
+const hex = (color) => rgb01ToHex(hexToRgb01(color));
+
+// Column E holds who looks after the row
+const OWNED = HEADER.map((h, i) => (i === 4 ? "Owner" : h));
+
+// Dates come back unformatted as serial numbers; one typed as text isn't a date
+const tabs = () => ({
+  "Gaming": [
+    OWNED,
+    row({ A: 45930, C: "https://www.youtube.com/@alpha", E: "Ana", T: "id-alpha" }),
+    row({ A: "next week", C: "https://twitch.tv/beta", E: "Ana", T: "id-beta" }),
+    row({ A: 45932, C: "youtu.be/xyz", E: "Ben" }),
+  ],
+  "Travel": [HEADER, row({ A: "10/2/2025", C: "@gamma", T: "id-gamma" })],
+});
+
+const validation = (more = {}) => ({
+  validation: {
+    enabled: true,
+    owner: { header: "Owner" },
+    checks: [
+      { name: "youtube-link", field: "youtube", urlHost: ["youtube.com", "youtu.be"], color: "#EA9999" },
+      { name: "date", field: "date", number: true, color: "#FFE599" },
+      { name: "id", field: "id", required: true, color: "#CFE2F3" },
+    ],
+    ...more,
+  },
+});
+
+test("bad links, dates typed as text and missing IDs are painted and summed up", async () => {
+  const { fake, context } = setup(tabs(), validation());
+  const ctx = context();
+  await validateTabs(ctx);
+
+  assert.equal(background(fake, "Gaming", "C3"), hex("#EA9999"));
+  assert.equal(background(fake, "Gaming", "A3"), hex("#FFE599"));
+  assert.equal(background(fake, "Gaming", "T4"), hex("#CFE2F3"));
+  for (const cell of ["A2", "C2", "T2", "C4", "A4"]) assert.equal(background(fake, "Gaming", cell), "", cell);
+  // Travel has no Owner column: its rows are unassigned
+  assert.equal(background(fake, "Travel", "C2"), hex("#EA9999"));
+  assert.equal(background(fake, "Travel", "A2"), hex("#FFE599"));
+
+  assert.deepEqual(fake.rows("Data Quality"), [
+    QUALITY_HEADER,
+    ["Gaming", "Ana", "youtube-link", "C", "1", "3", '"https://twitch.tv/beta" is not a youtube.com / youtu.be link'],
+    ["Gaming", "Ana", "date", "A", "1", "3", '"next week" is not a number'],
+    ["Gaming", "Ben", "id", "T", "1", "4", "empty"],
+    ["Travel", "(unassigned)", "youtube-link", "C", "1", "2", '"@gamma" is not a youtube.com / youtu.be link'],
+    ["Travel", "(unassigned)", "date", "A", "1", "2", '"10/2/2025" is not a number'],
+  ]);
+  assert.equal(actions(ctx.plan, "flag-invalid").length, 5);
+});
+
+test("a fixed cell loses its color and drops off the summary", async () => {
+  const { fake, context } = setup(tabs(), validation());
+  await validateTabs(context());
+
+  fake.setValue("Gaming", "C3", "https://youtube.com/@beta");
+  fake.setValue("Gaming", "T4", "id-xyz");
+  const ctx = context();
+  await validateTabs(ctx);
+
+  assert.equal(background(fake, "Gaming", "C3"), "");
+  assert.equal(background(fake, "Gaming", "T4"), "");
+  assert.deepEqual(actions(ctx.plan, "highlight-reset").map((e) => e.sourceRow), [3, 4]);
+  assert.deepEqual(fake.rows("Data Quality").slice(1).map((r) => r.slice(0, 3)), [
+    ["Gaming", "Ana", "date"],
+    ["Travel", "(unassigned)", "youtube-link"],
+    ["Travel", "(unassigned)", "date"],
+  ]);
+
+  // Nothing changed since: nothing is painted or rewritten
+  const again = context();
+  await validateTabs(again);
+  assert.deepEqual(again.plan.entries, []);
+});
+
+test("a tab without a check's column skips that check", async () => {
+  const more = { checks: [{ name: "subs", header: "Subs", number: { min: 0 } }, { name: "id", field: "id", required: true }] };
+  const t = tabs();
+  t.Travel[0] = HEADER.map((h, i) => (i === 4 ? "Subs" : h));
+  t.Travel[1][4] = -3;
+  const { fake, context } = setup(t, validation(more));
+  const ctx = context();
+  await validateTabs(ctx);
+
+  const [skip] = actions(ctx.plan, "skip");
+  assert.equal(skip.sourceTab, "Gaming");
+  assert.equal(skip.reason, "check subs: no Subs column");
+  assert.deepEqual(fake.rows("Data Quality").slice(1).map((r) => [r[0], r[2], r[6]]), [
+    ["Gaming", "id", "empty"],
+    ["Travel", "subs", "-3 is below 0"],
+  ]);
+});
+
+test("a dry run plans the paint and the summary and writes nothing", async () => {
+  const { fake, context } = setup(tabs(), validation());
+  const ctx = context({ dryRun: true });
+  await validateTabs(ctx);
+
+  assert.equal(actions(ctx.plan, "flag-invalid").length, 5);
+  assert.equal(actions(ctx.plan, "report")[0].reason, "5 violation(s) in 5 group(s)");
+  assert.equal(background(fake, "Gaming", "C3"), "");
+  assert.equal(fake.state.sheets.some((s) => s.properties.title === "Data Quality"), false);
+});
+
+test("bad checks are rejected when the config is loaded", () => {
+  const bad = validation({
+    checks: [
+      { name: "a", field: "nope", required: true },
+      { name: "a", column: "C", regex: "(" },
+      { name: "b", header: "Email", color: "red" },
+    ],
+  });
+  assert.throws(() => makeConfig(bad), (e) => {
+    assert.match(e.message, /checks\[0\]\.field: expected one of youtube, date, id, status, msnCheckbox/);
+    assert.match(e.message, /checks\[1\]\.name: duplicate check name "a"/);
+    assert.match(e.message, /checks\[1\]\.regex: /);
+    assert.match(e.message, /checks\[2\]: needs at least one of required, regex/);
+    assert.match(e.message, /checks\[2\]\.color: expected a hex color/);
+    return true;
+  });
+});
@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withRetries, retryAfterMs } from "../lib/retry.js";
+
+const apiError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// A Sheets client whose every method is `handler(method, args)`
+function client(handler) {
+  const m = (method) => (args) => handler(method, args);
+  return {
+    spreadsheets: {
+      get: m("spreadsheets.get"),
+      batchUpdate: m("spreadsheets.batchUpdate"),
+      values: {
+        get: m("values.get"), batchGet: m("values.batchGet"), batchUpdate: m("values.batchUpdate"),
+        update: m("values.update"), append: m("values.append"),
+      },
+    },
+  };
+}
+
+// Fails each call's first attempt with `fail` (when given), then answers with its args
+function flaky(fail) {
+  const attempts = new Map();
+  const calls = [];
+  return {
+    calls,
+    handler: async (method, args) => {
+      calls.push(method);
+      const n = (attempts.get(args) || 0) + 1;
+      attempts.set(args, n);
+      if (fail && n === 1) throw fail();
+      return { data: args };
+    },
+  };
+}
+
+const insertRow = { requestBody: { requests: [{ insertDimension: { range: {} } }] } };
+const paint = { requestBody: { requests: [{ repeatCell: { range: {} } }] } };
+
+test("no more than maxConcurrent calls are under way, retry waits included", async () => {
+  let inFlight = 0;
+  let most = 0;
+  let failed = false;
+  let started = null;
+  const sheets = withRetries(client(async (_method, args) => {
+    inFlight++;
+    most = Math.max(most, inFlight);
+    await tick();
+    inFlight--;
+    if (args.id === "a" && !failed) {
+      failed = true;
+      throw apiError(503);
+    }
+    return { data: args.id };
+  }), {
+    maxConcurrent: 1,
+    random: () => 0,
+    // A call made while "a" waits to retry must not slip past the limit
+    sleep: async () => {
+      started ??= sheets.spreadsheets.values.get({ id: "c" });
+      await tick();
+    },
+  });
+
+  const results = await Promise.all([
+    sheets.spreadsheets.values.get({ id: "a" }),
+    sheets.spreadsheets.values.get({ id: "b" }),
+  ]);
+  assert.deepEqual(results.map((r) => r.data), ["a", "b"]);
+  assert.equal((await started).data, "c");
+  assert.equal(most, 1);
+  assert.equal(sheets.stats.retries, 1);
+});
+
+test("calls beyond maxConcurrent wait their turn and all complete", async () => {
+  let inFlight = 0;
+  let most = 0;
+  const sheets = withRetries(client(async (_method, args) => {
+    inFlight++;
+    most = Math.max(most, inFlight);
+    await tick();
+    inFlight--;
+    return { data: args.id };
+  }), { maxConcurrent: 3 });
+
+  const ids = Array.from({ length: 10 }, (_, i) => i);
+  const results = await Promise.all(ids.map((id) => sheets.spreadsheets.values.batchGet({ id })));
+  assert.deepEqual(results.map((r) => r.data), ids);
+  assert.equal(most, 3);
+});
+
+test("writes that aren't safe to repeat are retried on 429 only", async () => {
+  const opts = { sleep: async () => {}, random: () => 0 };
+
+  for (const fail of [() => apiError(503), () => apiError(500), () => Object.assign(new Error("reset"), { code: "ECONNRESET" })]) {
+    const server = flaky(fail);
+    const sheets = withRetries(client(server.handler), opts);
+    await assert.rejects(sheets.spreadsheets.batchUpdate({ ...insertRow }));
+    await assert.rejects(sheets.spreadsheets.values.append({ range: "A1" }));
+    assert.deepEqual(server.calls, ["spreadsheets.batchUpdate", "values.append"]);
+    assert.equal(sheets.stats.retries, 0);
+  }
+
+  const throttled = flaky(() => apiError(429));
+  const sheets = withRetries(client(throttled.handler), opts);
+  await sheets.spreadsheets.batchUpdate({ ...insertRow });
+  await sheets.spreadsheets.values.append({ range: "A1" });
+  assert.equal(throttled.calls.length, 4);
+
+  // A batch with nothing but repeatable requests is retried on a 5xx as well
+  const busy = flaky(() => apiError(503));
+  const retried = withRetries(client(busy.handler), opts);
+  await retried.spreadsheets.batchUpdate({ ...paint });
+  await retried.spreadsheets.values.update({ range: "A1" });
+  assert.equal(busy.calls.length, 4);
+  assert.equal(retried.stats.retries, 2);
+});
+
+test("backoff honours Retry-After, gives up after maxRetries and counts per feature", async () => {
+  const waits = [];
+  const sheets = withRetries(client(async () => { throw apiError(429, { "retry-after": "3" }); }), {
+    maxRetries: 2, baseDelayMs: 100, random: () => 1, sleep: async (ms) => { waits.push(ms); },
+  });
+  sheets.stats.feature = "migrate";
+  await assert.rejects(sheets.spreadsheets.get({}), /HTTP 429/);
+  assert.equal(sheets.stats.retries, 2);
+  assert.ok(waits[0] >= 3000);
+  assert.deepEqual(sheets.stats.byFeature, { migrate: 2 });
+
+  // A 4xx other than 429 is the caller's mistake: no retry
+  const bad = flaky(() => apiError(400));
+  const once = withRetries(client(bad.handler), { sleep: async () => {} });
+  await assert.rejects(once.spreadsheets.values.get({}), /HTTP 400/);
+  assert.equal(bad.calls.length, 1);
+});
+
+test("Retry-After is read as seconds or as a date", () => {
+  const now = Date.UTC(2025, 9, 1, 12, 0, 0);
+  assert.equal(retryAfterMs(apiError(429, { "retry-after": "2" }), now), 2000);
+  assert.equal(retryAfterMs(apiError(429, { "retry-after": "Wed, 01 Oct 2025 12:00:05 GMT" }), now), 5000);
+  assert.equal(retryAfterMs(apiError(429, { get: (k) => (k === "retry-after" ? "1" : null) }), now), 1000);
+  assert.equal(retryAfterMs(apiError(429), now), null);
+  assert.equal(retryAfterMs(apiError(429, { "retry-after": "soon" }), now), null);
+});
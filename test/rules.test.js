@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runMigrations } from "../index.js";
+import { compileRules, matchRule, ruleColumns, ruleDateColumns, ruleTarget, rulesUseNow } from "../lib/rules.js";
+import { createDateParser, parseSheetDate } from "../lib/dates.js";
+import { makeConfig, row, setup, column, HEADER } from "./fixtures.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2025, 9, 15);
+const cols = { status: [8, 11], date: 1, youtube: 3, id: 20 };
+
+function compile(raw) {
+  const errors = [];
+  const rules = compileRules(raw, "rules", errors);
+  assert.deepEqual(errors, []);
+  return rules;
+}
+const match = (rules, cells) => matchRule(rules, row(cells), { now, cols })?.name ?? null;
+
+test("the built-in rules reproduce the H/K routing", () => {
+  const { rules } = makeConfig().migrations;
+  assert.equal(match(rules, { H: "Interested" }), "interested");
+  assert.equal(match(rules, { K: "INTERESTED!" }), "interested");
+  assert.equal(match(rules, { H: "Not interested" }), null);
+  assert.equal(match(rules, { H: "Meeting set", K: "interested" }), "meeting-set");
+  assert.equal(match(rules, {}), null);
+});
+
+test("higher priority wins, then config order", () => {
+  const rules = compile([
+    { name: "a", when: { column: "D", contains: "x" }, dest: "A" },
+    { name: "b", when: { column: "D", contains: "xy" }, dest: "B", priority: 5 },
+    { name: "c", when: { column: "D", contains: "x" }, dest: "C" },
+  ]);
+  assert.equal(match(rules, { D: "xy" }), "b");
+  assert.equal(match(rules, { D: "x" }), "a");
+});
+
+test("conditions combine and compare dates against today", () => {
+  const rules = compile([{
+    name: "stale",
+    when: { all: [{ column: "L", olderThanDays: 30 }, { any: [{ column: ["M", "N"], regex: "^follow" }, { field: "status", equals: "ghosted" }] }] },
+    dest: "Stale",
+  }]);
+  const old = new Date(now - 40 * DAY_MS).toISOString().slice(0, 10);
+  const recent = new Date(now - 3 * DAY_MS).toISOString().slice(0, 10);
+  assert.equal(match(rules, { L: old, M: "follow", N: "up" }), "stale");
+  assert.equal(match(rules, { L: recent, M: "follow" }), null);
+  assert.equal(match(rules, { L: old, H: "Ghosted" }), "stale");
+  assert.equal(match(rules, { L: "someday", M: "follow" }), null);
+  assert.deepEqual(ruleColumns(rules).sort((a, b) => a - b), [12, 13, 14]);
+  assert.equal(rulesUseNow(rules), true);
+});
+
+test("the listed date formats read as the same day", () => {
+  const oct2 = Date.UTC(2025, 9, 2);
+  for (const text of ["2025-10-02", "2025/10/02", "10/2/2025", "10/02/25", "Oct 2, 2025", "Thu, October 2nd, 2025", "2 October 2025", "2-Oct-2025", "10/2/2025 14:30"]) {
+    assert.equal(parseSheetDate(text), oct2, text);
+  }
+  // Serial numbers, as cells come back unformatted
+  assert.equal(parseSheetDate(45932), oct2);
+  assert.equal(parseSheetDate(45932.75), oct2);
+  // Day first in a day-first locale; year first and month names the same everywhere
+  const gb = createDateParser("en_GB");
+  for (const text of ["2/10/2025", "2.10.25", "02-10-2025", "2025-10-02", "Oct 2, 2025"]) assert.equal(gb(text), oct2, text);
+  for (const text of ["31/02/2025", "2025-13-01", "someday", "", "45932"]) assert.equal(parseSheetDate(text), null, text);
+});
+
+test("date conditions compare the cell's serial number when it was read unformatted", () => {
+  const rules = compile([{ name: "early", when: { field: "date", before: "2025-10-01" }, dest: "Early" }]);
+  // However the cell shows the date, the serial number decides
+  const raw = (serial) => (c) => (c === 1 ? serial : undefined);
+  for (const shown of ["30.09.2025", "Sep 30", "30/09/2025"]) {
+    assert.equal(matchRule(rules, row({ A: shown }), { now, cols, raw: raw(45930) })?.name, "early", shown);
+  }
+  assert.equal(matchRule(rules, row({ A: "30.09.2025" }), { now, cols, raw: raw(45931) }), null);
+  // Text typed into the cell is read in the sheet's locale
+  const gb = { now, cols, parseDate: createDateParser("en_GB"), raw: raw("30/09/2025") };
+  assert.equal(matchRule(rules, row({ A: "30/09/2025" }), gb)?.name, "early");
+  assert.equal(match(rules, { A: "9/30/2025" }), "early");
+  assert.deepEqual(ruleDateColumns(rules, cols), [1]);
+  assert.deepEqual(ruleDateColumns(compile([{ name: "s", when: { field: "status", newerThanDays: 3 }, dest: "S" }]), cols), []);
+});
+
+test("before and after take a date that reads one way", () => {
+  const errors = [];
+  compileRules([
+    { name: "a", when: { column: "L", before: "01/02/2025" }, dest: "A" },
+    { name: "b", when: { column: "L", after: "next week" }, dest: "B" },
+    { name: "c", when: { column: "L", after: "Jan 31, 2025" }, dest: "C" },
+  ], "rules", errors);
+  assert.deepEqual(errors, [
+    'rules[0].when.before: "01/02/2025" is not a date like 2025-01-31',
+    'rules[1].when.after: "next week" is not a date like 2025-01-31',
+  ]);
+});
+
+test("migrations compare the dates in the sheet, not their display text", async () => {
+  const tabs = {
+    // Cells holding dates come back as serial numbers when read unformatted
+    "Gaming": [HEADER, row({ A: 45930, C: "@early" }), row({ A: 45932, C: "@later" }), row({ A: "Sep 29, 2025", C: "@typed" })],
+    "Travel": [HEADER],
+  };
+  const rule = { name: "early", when: { field: "date", before: "2025-10-01" }, dest: "Early" };
+  const { fake, context } = setup(tabs, { migrations: { rules: [rule] } });
+  await runMigrations(context());
+
+  assert.deepEqual(column(fake, "Early", "C"), ["@early", "@typed"]);
+  assert.deepEqual(column(fake, "Gaming", "C"), ["@later"]);
+});
+
+test("mistakes are reported with their path", () => {
+  const errors = [];
+  compileRules([
+    { name: "x", when: { column: "D", contains: "a", before: "2025-01-01" }, dest: "" },
+    { name: "x", when: { regex: "(" }, dest: "T", mode: "swap", extra: 1 },
+  ], "rules", errors);
+  assert.ok(errors.some((e) => e.startsWith("rules[0].dest")));
+  assert.ok(errors.some((e) => e.startsWith("rules[1].name") && e.includes("duplicate")));
+  assert.ok(errors.some((e) => e.startsWith("rules[1].mode")));
+  assert.ok(errors.some((e) => e.startsWith("rules[1].extra")));
+  assert.ok(errors.some((e) => e.startsWith("rules[1].when")));
+});
+
+test("from limits a rule to its tabs, and $origin reads the origin column", () => {
+  const rules = compile([
+    { name: "back", from: ["Interested"], when: { field: "status", contains: "not interested" }, dest: "$origin" },
+  ]);
+  const withOrigin = { ...cols, origin: 21 };
+  const cells = row({ H: "Not interested", U: "Gaming" });
+  assert.equal(matchRule(rules, cells, { now, cols: withOrigin, tab: "Gaming" }), null);
+  const rule = matchRule(rules, cells, { now, cols: withOrigin, tab: "Interested" });
+  assert.equal(ruleTarget(rule, cells, withOrigin), "Gaming");
+  assert.equal(ruleTarget(rule, cells, cols), "");
+
+  const back = { name: "back", from: ["Interested"], when: { field: "status", contains: "not" }, dest: "$origin" };
+  assert.throws(() => makeConfig({ migrations: { rules: [back] } }), /columns\.origin: rules with dest "\$origin" need a column/);
+  assert.throws(
+    () => makeConfig({ columns: { origin: "U" }, migrations: { rules: [{ ...back, from: ["Intrested"] }] } }),
+    /rules\[0\]\.from: "Intrested" is neither under tabs nor a rule's dest/,
+  );
+});
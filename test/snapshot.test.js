@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runAutomations } from "../index.js";
+import { parseA1 } from "./fake-sheets.js";
+import { setup, row, HEADER } from "./fixtures.js";
+
+const tabs = () => ({
+  "Gaming": [HEADER, row({ A: "9/30/2025", C: "@alpha" }), row({ A: "10/1/2025", C: "@beta" })],
+  "Travel": [HEADER, row({ A: "10/2/2025", C: "@gamma" })],
+  "Interested": [HEADER],
+  "Meeting Set": [HEADER],
+  "MSN Creators": [HEADER],
+});
+
+// Tab → how many times `method` fetched its values. `raw` true counts only the
+// unformatted single-column reads (dates as serial numbers), false the others.
+function readsPerTab(fake, method, raw) {
+  const count = {};
+  for (const { method: m, args } of fake.calls) {
+    if (m !== method) continue;
+    if (raw !== undefined && (args.valueRenderOption === "UNFORMATTED_VALUE") !== raw) continue;
+    for (const range of args.ranges || [args.range]) {
+      const { title } = parseA1(range);
+      count[title] = (count[title] || 0) + 1;
+    }
+  }
+  return count;
+}
+
+test("a run reads each tab once, through values.batchGet", async () => {
+  const { fake, context } = setup(tabs());
+  const ctx = context();
+  await runAutomations(ctx);
+
+  const batched = readsPerTab(fake, "values.batchGet", false);
+  for (const title of Object.keys(tabs())) assert.equal(batched[title], 1, title);
+  // Tabs the features keep for themselves are read once as well
+  assert.ok(Object.values(batched).every((n) => n === 1), JSON.stringify(batched));
+  const raw = readsPerTab(fake, "values.batchGet", true);
+  assert.ok(Object.values(raw).every((n) => n === 1), JSON.stringify(raw));
+  // values.get is left to bookkeeping tabs such as the audit log's header check
+  const single = readsPerTab(fake, "values.get");
+  for (const title of Object.keys(tabs())) assert.equal(single[title], undefined, title);
+});
@@ -0,0 +1,395 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createTrigger } from "../webhook/trigger.js";
+import { createJobQueue } from "../webhook/queue.js";
+import { createChannelManager } from "../webhook/channels.js";
+import { createServer } from "../webhook/server.js";
+
+// Timers driven by hand: advance(ms) fires whatever falls due, in order
+function manualClock() {
+  let t = 0;
+  let timers = [];
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+  return {
+    now: () => t,
+    setTimer(fn, ms) {
+      const timer = { at: t + ms, fn };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer(timer) {
+      timers = timers.filter((x) => x !== timer);
+    },
+    async advance(ms) {
+      const end = t + ms;
+      for (;;) {
+        const due = timers.filter((x) => x.at <= end).sort((a, b) => a.at - b.at)[0];
+        if (!due) break;
+        timers = timers.filter((x) => x !== due);
+        t = due.at;
+        due.fn();
+        await flush();
+      }
+      t = end;
+      await flush();
+    },
+  };
+}
+
+test("a burst of changes fires once, after the last one", async () => {
+  const clock = manualClock();
+  let fired = 0;
+  const trigger = createTrigger({ quietMs: 100, maxWaitMs: 1000, recheckMs: 50, fire: async () => { fired++; }, ...clock });
+  for (let i = 0; i < 5; i++) {
+    trigger.notify();
+    await clock.advance(60);
+  }
+  assert.equal(fired, 0);
+  await clock.advance(100);
+  assert.equal(fired, 1);
+  assert.equal(trigger.status().notified, 5);
+});
+
+test("a steady stream still fires every maxWaitMs", async () => {
+  const clock = manualClock();
+  let fired = 0;
+  const trigger = createTrigger({ quietMs: 100, maxWaitMs: 300, recheckMs: 50, fire: async () => { fired++; }, ...clock });
+  for (let i = 0; i < 10; i++) {
+    trigger.notify();
+    await clock.advance(50);
+  }
+  assert.equal(fired, 1);
+});
+
+test("a busy upstream defers the fire; a queued run drops it", async () => {
+  const clock = manualClock();
+  const answers = ["busy", "busy", "fire", "covered"];
+  let checks = 0;
+  let fired = 0;
+  const trigger = createTrigger({
+    quietMs: 100, maxWaitMs: 1000, recheckMs: 500,
+    check: async () => answers[checks++],
+    fire: async () => { fired++; },
+    ...clock,
+  });
+  trigger.notify();
+  await clock.advance(100);
+  // Changes while waiting on the run ride along with the recheck
+  trigger.notify();
+  await clock.advance(1000);
+  assert.equal(checks, 3);
+  assert.equal(fired, 1);
+
+  trigger.notify();
+  await clock.advance(100);
+  assert.equal(fired, 1);
+  assert.equal(trigger.status().covered, 1);
+});
+
+test("the queue runs one job at a time and coalesces requests into one rerun", async () => {
+  const releases = [];
+  let started = 0;
+  const queue = createJobQueue({
+    job: () => {
+      started++;
+      return new Promise((resolve) => releases.push(resolve));
+    },
+  });
+  queue.request("first");
+  queue.request("second");
+  queue.request("third");
+  assert.equal(started, 1);
+  assert.equal(queue.status().rerunQueued, true);
+
+  releases.shift()("done");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(started, 2);
+  assert.equal(queue.status().running.reason, "second");
+
+  releases.shift()("done");
+  await queue.idle();
+  const s = queue.status();
+  assert.equal(s.runs, 2);
+  assert.equal(s.running, null);
+  assert.deepEqual(s.history.map((h) => h.reason), ["second", "first"]);
+});
+
+test("a failed job is recorded and doesn't stop the queue", async () => {
+  let n = 0;
+  const queue = createJobQueue({
+    job: async () => {
+      if (++n === 1) throw new Error("sheet unavailable");
+      return "ok";
+    },
+  });
+  queue.request("a");
+  await queue.idle();
+  queue.request("b");
+  await queue.idle();
+  const s = queue.status();
+  assert.equal(s.failures, 1);
+  assert.equal(s.history[1].error, "sheet unavailable");
+  assert.equal(s.last.ok, true);
+});
+
+/* ----- server ----- */
+
+const DISPATCH_ENV = { CHANNEL_TOKEN: "s3cret", GITHUB_TOKEN: "gh", OWNER: "me", REPO: "sheets", DEBOUNCE_MS: "100" };
+
+// GitHub as the server sees it: no runs in progress or queued; every call recorded
+function fakeGitHub() {
+  const calls = [];
+  const json = (body) => ({ ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) });
+  return {
+    calls,
+    fetch: async (url, opts = {}) => {
+      calls.push({ url, method: opts.method || "GET", body: opts.body });
+      return opts.method === "POST" ? { ok: true, status: 204, text: async () => "" } : json({ total_count: 0 });
+    },
+  };
+}
+
+// Starts the server on a free port; post(headers) sends a Drive notification,
+// get(path) reads a JSON endpoint
+async function serve(env, deps) {
+  const srv = await createServer(env, deps);
+  const http = srv.listen(0);
+  await new Promise((resolve) => http.once("listening", resolve));
+  const base = `http://127.0.0.1:${http.address().port}`;
+  const post = async (headers) => (await fetch(`${base}/drive-webhook`, { method: "POST", headers })).status;
+  const get = async (p) => (await fetch(`${base}${p}`)).json();
+  return { srv, post, get, close: () => new Promise((resolve) => http.close(resolve)) };
+}
+
+test("the server won't start without CHANNEL_TOKEN, and importing it starts nothing", async () => {
+  const { CHANNEL_TOKEN, ...rest } = DISPATCH_ENV;
+  await assert.rejects(createServer(rest), /^Error: Missing env: CHANNEL_TOKEN, GITHUB_TOKEN, OWNER, REPO$/);
+  await assert.rejects(createServer({ MODE: "local" }, { runOnce: async () => ({}) }), /^Error: Missing env: CHANNEL_TOKEN$/);
+  await assert.rejects(createServer({ ...DISPATCH_ENV, MODE: "cron" }), /Unknown MODE "cron"/);
+  await assert.rejects(
+    createServer({ ...DISPATCH_ENV, WEBHOOK_URL: "https://x/drive-webhook", GOOGLE_SERVICE_ACCOUNT_JSON: "{}" }),
+    /Missing env: FILE_ID/,
+  );
+});
+
+test("notifications with a wrong or missing token are rejected", async () => {
+  const gh = fakeGitHub();
+  const { srv, post, close } = await serve(DISPATCH_ENV, { fetch: gh.fetch, ...manualClock() });
+  try {
+    assert.equal(await post({ "X-Goog-Resource-State": "update", "X-Goog-Channel-Token": "wrong" }), 403);
+    assert.equal(await post({ "X-Goog-Resource-State": "update", "X-Goog-Channel-Token": "s3cret!" }), 403);
+    assert.equal(await post({ "X-Goog-Resource-State": "update" }), 403);
+    assert.equal(srv.trigger.status().notified, 0);
+
+    assert.equal(await post({ "X-Goog-Resource-State": "sync", "X-Goog-Channel-Token": "s3cret" }), 200);
+    assert.equal(srv.trigger.status().notified, 0);
+    assert.equal(await post({ "X-Goog-Resource-State": "update", "X-Goog-Channel-Token": "s3cret" }), 200);
+    assert.equal(srv.trigger.status().notified, 1);
+  } finally {
+    await close();
+  }
+});
+
+test("with CHANNEL_IDS only those channels are accepted", async () => {
+  const { srv, post, close } = await serve({ ...DISPATCH_ENV, CHANNEL_IDS: "ch-1, ch-2" }, { fetch: fakeGitHub().fetch, ...manualClock() });
+  try {
+    const headers = { "X-Goog-Resource-State": "change", "X-Goog-Channel-Token": "s3cret" };
+    assert.equal(await post({ ...headers, "X-Goog-Channel-ID": "ch-3" }), 403);
+    assert.equal(await post({ ...headers, "X-Goog-Channel-ID": "ch-2" }), 200);
+    assert.equal(srv.trigger.status().notified, 1);
+  } finally {
+    await close();
+  }
+});
+
+test("a burst of notifications leads to one workflow dispatch once it's quiet", async () => {
+  const gh = fakeGitHub();
+  const clock = manualClock();
+  const { post, close } = await serve(DISPATCH_ENV, { fetch: gh.fetch, ...clock });
+  try {
+    const headers = { "X-Goog-Resource-State": "update", "X-Goog-Channel-Token": "s3cret" };
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await post(headers), 200);
+      await clock.advance(50);
+    }
+    assert.deepEqual(gh.calls, []);
+    await clock.advance(100);
+    const dispatches = gh.calls.filter((c) => c.method === "POST");
+    assert.equal(dispatches.length, 1);
+    assert.equal(dispatches[0].url, "https://api.github.com/repos/me/sheets/actions/workflows/automation.yml/dispatches");
+    assert.deepEqual(JSON.parse(dispatches[0].body), { ref: "main" });
+  } finally {
+    await close();
+  }
+});
+
+test("in local mode a change queues a run in this process", async () => {
+  const clock = manualClock();
+  let runs = 0;
+  const runOnce = async () => { runs++; return { runId: "r1", entries: [] }; };
+  const { srv, post, close } = await serve({ MODE: "local", CHANNEL_TOKEN: "s3cret", DEBOUNCE_MS: "100" }, { runOnce, ...clock });
+  try {
+    assert.equal(await post({ "X-Goog-Resource-State": "update", "X-Goog-Channel-Token": "s3cret" }), 200);
+    await clock.advance(100);
+    await srv.queue.idle();
+    assert.equal(runs, 1);
+    assert.equal(srv.queue.status().last.ok, true);
+  } finally {
+    await close();
+  }
+});
+
+/* ----- watch channels ----- */
+
+// Drive's channel calls, recorded in order. watch() grants what was asked, or
+// grantMs when set; an error left in fail.watch / fail.stop is thrown by the
+// next such call.
+function fakeDrive(clock, { grantMs } = {}) {
+  const calls = [];
+  const fail = {};
+  const take = (key) => {
+    const e = fail[key];
+    fail[key] = null;
+    if (e) throw e;
+  };
+  return {
+    calls,
+    fail,
+    files: {
+      watch: async ({ fileId, requestBody }) => {
+        calls.push(["watch", requestBody.id]);
+        take("watch");
+        assert.equal(fileId, "sheet");
+        const expiration = grantMs === undefined ? requestBody.expiration : String(clock.now() + grantMs);
+        return { data: { resourceId: `res-${requestBody.id}`, expiration } };
+      },
+    },
+    channels: {
+      stop: async ({ requestBody }) => {
+        calls.push(["stop", requestBody.id]);
+        take("stop");
+        return { data: {} };
+      },
+    },
+  };
+}
+
+const STORED = { id: "ch-old", resourceId: "res-old", fileId: "sheet", expiration: 10000, createdAt: 0 };
+
+// Channels live 10 s, are renewed 1 s ahead and retried after 100 ms.
+// `stored` seeds the channel store; stored() reads back the channel IDs in it.
+function channelManager(t, { stored, ...opts } = {}) {
+  const clock = manualClock();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "channels-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storePath = path.join(dir, "channels.json");
+  if (stored) fs.writeFileSync(storePath, JSON.stringify(stored));
+  const drive = fakeDrive(clock, opts);
+  const manager = createChannelManager({
+    drive, fileId: "sheet", address: "https://x/drive-webhook", token: "s3cret", storePath,
+    ttlMs: 10000, renewBeforeMs: 1000, retryMs: 100, ...clock,
+  });
+  t.after(() => manager.stop());
+  return { clock, drive, manager, stored: () => JSON.parse(fs.readFileSync(storePath, "utf8")).map((c) => c.id) };
+}
+
+test("a stored channel is reused, then replaced renewBeforeMs ahead of its expiry", async (t) => {
+  const { clock, drive, manager, stored } = channelManager(t, { stored: [STORED] });
+  await manager.start();
+  assert.deepEqual(drive.calls, []);
+  assert.equal(manager.status().nextRenewal, new Date(9000).toISOString());
+  assert.equal(manager.isKnown("ch-old"), true);
+
+  await clock.advance(8999);
+  assert.deepEqual(drive.calls, []);
+  await clock.advance(1);
+  // The new channel is registered before the old one is stopped: no gap between them
+  const [[first, fresh], second] = drive.calls;
+  assert.equal(first, "watch");
+  assert.deepEqual(second, ["stop", "ch-old"]);
+  assert.deepEqual(stored(), [fresh]);
+  assert.equal(manager.isKnown(fresh), true);
+  assert.equal(manager.isKnown("ch-old"), false);
+  assert.equal(manager.status().nextRenewal, new Date(9000 + 9000).toISOString());
+});
+
+test("a channel expiring within renewBeforeMs is replaced on start", async (t) => {
+  const { drive, manager, stored } = channelManager(t, { stored: [{ ...STORED, expiration: 500 }] });
+  await manager.start();
+  assert.deepEqual(drive.calls.map(([method]) => method), ["watch", "stop"]);
+  assert.equal(stored().length, 1);
+  assert.notEqual(stored()[0], "ch-old");
+});
+
+test("an old channel Drive no longer knows (404) counts as stopped", async (t) => {
+  const { drive, manager, stored } = channelManager(t, { stored: [STORED] });
+  drive.fail.stop = Object.assign(new Error("Channel not found"), { code: 404 });
+  const fresh = await manager.renew();
+  assert.deepEqual(stored(), [fresh.id]);
+  assert.equal(manager.status().lastError, null);
+
+  // Any other failure keeps the old channel until it expires
+  drive.fail.stop = Object.assign(new Error("backend error"), { code: 500 });
+  const next = await manager.renew();
+  assert.deepEqual(stored().sort(), [fresh.id, next.id].sort());
+});
+
+test("a failed registration is retried after retryMs", async (t) => {
+  const { clock, drive, manager, stored } = channelManager(t);
+  drive.fail.watch = new Error("quota exceeded");
+  await manager.start();
+  assert.equal(manager.status().lastError, "quota exceeded");
+  assert.equal(manager.status().nextRenewal, new Date(100).toISOString());
+
+  await clock.advance(99);
+  assert.equal(drive.calls.length, 1);
+  await clock.advance(1);
+  assert.equal(drive.calls.length, 2);
+  assert.equal(manager.status().lastError, null);
+  assert.deepEqual(stored(), [drive.calls[1][1]]);
+});
+
+test("a channel granted for less than renewBeforeMs is renewed after retryMs, not in a loop", async (t) => {
+  const { clock, drive, manager } = channelManager(t, { grantMs: 500 });
+  await manager.start();
+  assert.equal(drive.calls.length, 1);
+  assert.equal(manager.status().nextRenewal, new Date(100).toISOString());
+
+  await clock.advance(99);
+  assert.equal(drive.calls.length, 1);
+  await clock.advance(1);
+  assert.deepEqual(drive.calls.map(([method]) => method), ["watch", "watch", "stop"]);
+});
+
+test("the server registers its channel, accepts only that one and shows it on /channels", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "channels-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const clock = manualClock();
+  const drive = fakeDrive(clock);
+  const env = {
+    ...DISPATCH_ENV, WEBHOOK_URL: "https://x/drive-webhook", GOOGLE_SERVICE_ACCOUNT_JSON: "{}",
+    FILE_ID: "sheet", CHANNEL_STORE: path.join(dir, "channels.json"),
+  };
+  const { srv, post, get, close } = await serve(env, { fetch: fakeGitHub().fetch, drive, ...clock });
+  try {
+    await clock.advance(0);
+    const [[, id]] = drive.calls;
+    const headers = { "X-Goog-Resource-State": "update", "X-Goog-Channel-Token": "s3cret" };
+    assert.equal(await post({ ...headers, "X-Goog-Channel-ID": "someone-else" }), 403);
+    assert.equal(await post({ ...headers, "X-Goog-Channel-ID": id }), 200);
+
+    const body = await get("/channels");
+    assert.equal(body.managed, true);
+    assert.equal(body.fileId, "sheet");
+    assert.deepEqual(body.channels.map((c) => [c.id, c.resourceId, c.current]), [[id, `res-${id}`, true]]);
+    assert.equal(body.nextRenewal, new Date(24 * 60 * 60 * 1000 - 60 * 60 * 1000).toISOString());
+    assert.equal(body.lastError, null);
+    assert.equal(body.trigger.notified, 1);
+  } finally {
+    srv.channels.stop();
+    await close();
+  }
+});
@@ -0,0 +1,177 @@
+// webhook/channels.js — Drive watch channels registered and renewed by the server
+// Drive stops sending notifications when a channel expires (a day at most for
+// files), so the server keeps one live channel on the spreadsheet:
+//   - on start it reuses the stored channel, or registers one if there is none
+//     or it expires within renewBeforeMs
+//   - renewBeforeMs ahead of expiry it registers a new channel, then stops the
+//     old ones, so there is no gap in between
+//   - a failed registration is retried every retryMs
+//   - no renewal is set sooner than retryMs, in case Drive grants a channel
+//     for less than renewBeforeMs
+// Channel ID, resource ID and expiration are kept in a JSON file (storePath)
+// so a restart doesn't register a second channel.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout's limit (~24.8 days)
+
+/* =========================
+   Store
+   ========================= */
+
+function readStore(file) {
+  if (!fs.existsSync(file)) return [];
+  try {
+    const list = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(list) ? list.filter((c) => c?.id && c?.resourceId) : [];
+  } catch (e) {
+    throw new Error(`Could not read channel store ${file}: ${e.message}`);
+  }
+}
+
+// Written to a temp file first so a crash never leaves half a store behind
+function writeStore(file, list) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/* =========================
+   Manager
+   ========================= */
+
+// drive: googleapis Drive v3 client; address: public URL of /drive-webhook
+export function createChannelManager({
+  drive, fileId, address, token, storePath,
+  ttlMs = 24 * 60 * 60 * 1000,
+  renewBeforeMs = 60 * 60 * 1000,
+  retryMs = 60 * 1000,
+  log = () => {},
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  now = Date.now,
+}) {
+  let channels = readStore(storePath);
+  let timer = null;
+  let nextRenewalAt = null;
+  let lastError = null;
+  let renewing = null;
+
+  const current = () => channels
+    .filter((c) => c.fileId === fileId)
+    .sort((a, b) => b.expiration - a.expiration)[0] || null;
+
+  const schedule = (at) => {
+    if (timer) clearTimer(timer);
+    const ms = Math.min(Math.max(retryMs, at - now()), MAX_TIMER_MS);
+    nextRenewalAt = now() + ms;
+    timer = setTimer(() => { manager.renew().catch(() => {}); }, ms);
+    timer.unref?.();
+  };
+
+  async function stopChannel(c) {
+    try {
+      await drive.channels.stop({ requestBody: { id: c.id, resourceId: c.resourceId } });
+      log(`stopped channel ${c.id}`);
+    } catch (e) {
+      // 404: already expired or stopped elsewhere; either way it's gone
+      if (e?.code !== 404 && e?.response?.status !== 404) throw e;
+    }
+  }
+
+  async function register() {
+    const id = crypto.randomUUID();
+    const res = await drive.files.watch({
+      fileId,
+      supportsAllDrives: true,
+      requestBody: { id, type: "web_hook", address, token, expiration: String(now() + ttlMs) },
+    });
+    const channel = {
+      id,
+      resourceId: res.data.resourceId,
+      fileId,
+      expiration: Number(res.data.expiration) || now() + ttlMs,
+      createdAt: now(),
+    };
+    channels.push(channel);
+    writeStore(storePath, channels);
+    log(`registered channel ${id}, expires ${new Date(channel.expiration).toISOString()}`);
+    return channel;
+  }
+
+  const manager = {
+    async start() {
+      const c = current();
+      if (c && c.expiration - now() > renewBeforeMs) {
+        log(`reusing channel ${c.id}, expires ${new Date(c.expiration).toISOString()}`);
+        schedule(c.expiration - renewBeforeMs);
+        return;
+      }
+      await this.renew().catch(() => {});
+    },
+
+    // New channel first, then the old ones are stopped. Concurrent calls share one renewal.
+    renew() {
+      if (!renewing) {
+        renewing = (async () => {
+          try {
+            const fresh = await register();
+            for (const old of channels.filter((c) => c !== fresh)) {
+              try {
+                await stopChannel(old);
+                channels = channels.filter((c) => c !== old);
+              } catch (e) {
+                // Kept in the store (and accepted) until it expires or a later stop works
+                log(`could not stop channel ${old.id}: ${e?.message || e}`);
+              }
+            }
+            channels = channels.filter((c) => c === fresh || c.expiration > now());
+            writeStore(storePath, channels);
+            lastError = null;
+            schedule(fresh.expiration - renewBeforeMs);
+            return fresh;
+          } catch (e) {
+            lastError = e?.message || String(e);
+            log(`channel registration failed, retrying in ${retryMs} ms: ${lastError}`);
+            schedule(now() + retryMs);
+            throw e;
+          } finally {
+            renewing = null;
+          }
+        })();
+      }
+      return renewing;
+    },
+
+    // Notifications are accepted from any stored channel that hasn't expired
+    isKnown(id) {
+      return channels.some((c) => c.id === id && c.expiration > now());
+    },
+
+    status() {
+      const t = now();
+      return {
+        fileId,
+        address,
+        channels: channels.map((c) => ({
+          id: c.id,
+          resourceId: c.resourceId,
+          expiration: new Date(c.expiration).toISOString(),
+          expiresInMs: c.expiration - t,
+          current: c === current(),
+        })),
+        nextRenewal: nextRenewalAt ? new Date(nextRenewalAt).toISOString() : null,
+        lastError,
+      };
+    },
+
+    stop() {
+      if (timer) clearTimer(timer);
+      timer = null;
+    },
+  };
+  return manager;
+}
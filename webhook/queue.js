@@ -0,0 +1,63 @@
+// webhook/queue.js — Single-flight job queue for in-process runs (MODE=local)
+// At most one job runs at a time. A request while one is running queues a
+// single rerun, however many requests arrive, so the changes that came in
+// mid-run are always picked up by a run that starts after them.
+
+const HISTORY = 20;
+
+export function createJobQueue({ job, log = () => {}, now = Date.now }) {
+  let current = null;        // { startedAt, reason }
+  let rerun = null;          // reason of the queued rerun, or null
+  let idle = Promise.resolve();
+  const history = [];        // latest first
+  const stats = { runs: 0, failures: 0 };
+
+  async function loop(reason) {
+    for (let next = reason; next != null;) {
+      rerun = null;
+      current = { startedAt: now(), reason: next };
+      const entry = { reason: next, startedAt: new Date(current.startedAt).toISOString() };
+      try {
+        entry.result = await job();
+        entry.ok = true;
+      } catch (e) {
+        entry.ok = false;
+        entry.error = e?.message || String(e);
+        stats.failures++;
+        log(`run failed: ${entry.error}`);
+      }
+      stats.runs++;
+      entry.finishedAt = new Date(now()).toISOString();
+      entry.durationMs = now() - current.startedAt;
+      history.unshift(entry);
+      history.length = Math.min(history.length, HISTORY);
+      current = null;
+      next = rerun;
+    }
+  }
+
+  return {
+    // Starts a run now, or queues one rerun behind the run in progress.
+    request(reason = "change") {
+      if (current) {
+        if (rerun == null) log(`run in progress, rerun queued (${reason})`);
+        rerun = rerun ?? reason;
+        return;
+      }
+      idle = loop(reason);
+    },
+    // Resolves once nothing is running or queued
+    idle() {
+      return idle;
+    },
+    status() {
+      return {
+        running: current ? { reason: current.reason, startedAt: new Date(current.startedAt).toISOString() } : null,
+        rerunQueued: rerun != null,
+        ...stats,
+        last: history[0] || null,
+        history,
+      };
+    },
+  };
+}
@@ -1,40 +1,204 @@
+// webhook/server.js — Drive push notifications → an automation run
+// MODE=dispatch (default) starts the GitHub workflow with workflow_dispatch.
+// MODE=local runs the automations in this process (../index.js) through a
+// single-flight queue (webhook/queue.js), which needs the repo root's
+// dependencies installed too. GET /status shows the trigger and queue.
+// With WEBHOOK_URL and GOOGLE_SERVICE_ACCOUNT_JSON set, the server registers
+// and renews its own Drive watch channel (webhook/channels.js); GET /channels
+// shows them. Otherwise channels are registered by hand (scripts/).
+// Only notifications from our own watch channels count: X-Goog-Channel-ID must
+// be a managed channel or one of CHANNEL_IDS (when either is in use) and
+// X-Goog-Channel-Token must equal CHANNEL_TOKEN. The `sync` message Drive sends
+// when a channel is created is acknowledged and ignored.
+// Changes are debounced (webhook/trigger.js): one run follows the last change
+// of a burst, and no dispatch is sent while a workflow run is in progress.
+// `node server.js` listens on PORT; importing it only exports createServer().
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { pathToFileURL } from "node:url";
 import express from "express";
-import fetch from "node-fetch";
+import nodeFetch from "node-fetch";
+import { google } from "googleapis";
+import { createTrigger } from "./trigger.js";
+import { createChannelManager } from "./channels.js";
+import { createJobQueue } from "./queue.js";
 
-const app = express();
-app.use(express.json());
+/* =========================
+   Watch channels
+   ========================= */
 
-const { GITHUB_TOKEN, OWNER, REPO, WORKFLOW_FILENAME = "automation.yml", REF = "main" } = process.env;
-if (!GITHUB_TOKEN || !OWNER || !REPO) { console.error("Missing env: GITHUB_TOKEN, OWNER, REPO"); process.exit(1); }
+function decodeServiceAccount(str) {
+  try { return JSON.parse(str); } catch {
+    return JSON.parse(Buffer.from(str, "base64").toString("utf8"));
+  }
+}
 
-let lastFire = 0;
-const COOLDOWN_MS = 5000;
+function driveClient(serviceAccountJson) {
+  const credentials = decodeServiceAccount(serviceAccountJson);
+  const auth = new google.auth.JWT(
+    credentials.client_email,
+    undefined,
+    credentials.private_key,
+    ["https://www.googleapis.com/auth/drive.readonly"]
+  );
+  return google.drive({ version: "v3", auth });
+}
 
-app.get("/", (_req, res) => res.status(200).send("OK"));
+/* =========================
+   Server
+   ========================= */
 
-app.post("/drive-webhook", async (req, res) => {
-  try {
-    const now = Date.now();
-    if (now - lastFire < COOLDOWN_MS) return res.sendStatus(200);
-    lastFire = now;
+// Reads its settings from `env`; throws when they are incomplete. `deps`
+// replaces the outside world in tests: fetch (GitHub), drive, runOnce (local
+// mode) and the setTimer / clearTimer / now of the trigger and channels.
+// Returns { app, trigger, queue, channels, listen(port) }.
+export async function createServer(env = process.env, deps = {}) {
+  const {
+    MODE = "dispatch",
+    GITHUB_TOKEN, OWNER, REPO, WORKFLOW_FILENAME = "automation.yml", REF = "main",
+    CHANNEL_TOKEN, CHANNEL_IDS = "",
+    WEBHOOK_URL, GOOGLE_SERVICE_ACCOUNT_JSON, FILE_ID = env.SPREADSHEET_ID, CHANNEL_STORE = "channels.json",
+  } = env;
+  if (MODE !== "dispatch" && MODE !== "local") throw new Error(`Unknown MODE "${MODE}" (use dispatch or local)`);
+  if (!CHANNEL_TOKEN || (MODE === "dispatch" && (!GITHUB_TOKEN || !OWNER || !REPO))) {
+    throw new Error(`Missing env: CHANNEL_TOKEN${MODE === "dispatch" ? ", GITHUB_TOKEN, OWNER, REPO" : ""}`);
+  }
+  const manageChannels = !!(WEBHOOK_URL && GOOGLE_SERVICE_ACCOUNT_JSON);
+  if (manageChannels && !FILE_ID) throw new Error("Missing env: FILE_ID (or SPREADSHEET_ID) to watch");
 
-    const state = req.header("X-Goog-Resource-State") || "unknown";
-    if (!["update", "change", "add", "modify"].includes(state)) return res.sendStatus(200);
+  const channelIds = new Set(CHANNEL_IDS.split(",").map((s) => s.trim()).filter(Boolean));
+  const msEnv = (name, fallback) => (env[name] && Number(env[name]) >= 0 ? Number(env[name]) : fallback);
+  const fetch = deps.fetch || nodeFetch;
+
+  /* ----- GitHub ----- */
+
+  const workflowUrl = `https://api.github.com/repos/${OWNER}/${REPO}/actions/workflows/${WORKFLOW_FILENAME}`;
+  const githubHeaders = { "Authorization": `Bearer ${GITHUB_TOKEN}`, "Accept": "application/vnd.github+json" };
+
+  async function countRuns(status) {
+    const r = await fetch(`${workflowUrl}/runs?status=${status}&per_page=1`, { headers: githubHeaders });
+    if (!r.ok) throw new Error(`listing ${status} runs failed: ${r.status} ${await r.text()}`);
+    return (await r.json()).total_count || 0;
+  }
 
-    const url = `https://api.github.com/repos/${OWNER}/${REPO}/actions/workflows/${WORKFLOW_FILENAME}/dispatches`;
-    const r = await fetch(url, {
+  // A run in progress may have read the sheet before the change; a queued one hasn't started
+  async function runState() {
+    if (await countRuns("in_progress")) return "busy";
+    if (await countRuns("queued")) return "covered";
+    return "fire";
+  }
+
+  async function dispatchWorkflow() {
+    const r = await fetch(`${workflowUrl}/dispatches`, {
       method: "POST",
-      headers: { "Authorization": `Bearer ${GITHUB_TOKEN}`, "Accept": "application/vnd.github+json" },
-      body: JSON.stringify({ ref: REF })
+      headers: githubHeaders,
+      body: JSON.stringify({ ref: REF }),
     });
+    if (!r.ok) throw new Error(`workflow_dispatch failed: ${r.status} ${await r.text()}`);
+    console.log("workflow_dispatch sent");
+  }
 
-    if (!r.ok) { const t = await r.text(); console.error("workflow_dispatch failed:", r.status, t); }
-    res.sendStatus(200);
-  } catch (e) {
-    console.error("webhook error:", e?.message || e);
-    res.sendStatus(200);
+  /* ----- Local runs ----- */
+
+  let queue = null;
+  if (MODE === "local") {
+    const runOnce = deps.runOnce || (await import("../index.js")).runOnce;
+    queue = createJobQueue({
+      job: async () => {
+        const plan = await runOnce();
+        console.log(`local run ${plan.runId}: ${plan.entries.length} action(s)`);
+        return { runId: plan.runId, actions: plan.entries.length };
+      },
+      log: (msg) => console.log(`queue: ${msg}`),
+    });
   }
-});
 
-const port = process.env.PORT || 8080;
-app.listen(port, () => console.log(`Webhook listening on :${port}`));
+  // Local runs don't wait on GitHub; the queue keeps them to one at a time
+  const { setTimer, clearTimer, now } = deps;
+  const trigger = createTrigger({
+    quietMs: msEnv("DEBOUNCE_MS", 10000),
+    maxWaitMs: msEnv("MAX_WAIT_MS", 120000),
+    recheckMs: msEnv("BUSY_RECHECK_MS", 30000),
+    ...(queue
+      ? { fire: () => queue.request("drive change") }
+      : { check: runState, fire: dispatchWorkflow }),
+    log: (msg) => console.log(`trigger: ${msg}`),
+    ...(setTimer ? { setTimer, clearTimer, now } : {}),
+  });
+
+  const channels = manageChannels
+    ? createChannelManager({
+      drive: deps.drive || driveClient(GOOGLE_SERVICE_ACCOUNT_JSON),
+      fileId: FILE_ID,
+      address: WEBHOOK_URL,
+      token: CHANNEL_TOKEN,
+      storePath: CHANNEL_STORE,
+      ttlMs: msEnv("CHANNEL_TTL_MS", 24 * 60 * 60 * 1000),
+      renewBeforeMs: msEnv("RENEW_BEFORE_MS", 60 * 60 * 1000),
+      log: (msg) => console.log(`channels: ${msg}`),
+      ...(setTimer ? { setTimer, clearTimer, now } : {}),
+    })
+    : null;
+
+  /* ----- Routes ----- */
+
+  function tokenMatches(given) {
+    const a = Buffer.from(String(given || ""));
+    const b = Buffer.from(CHANNEL_TOKEN);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.get("/", (_req, res) => res.status(200).send("OK"));
+
+  app.post("/drive-webhook", (req, res) => {
+    const channelId = req.header("X-Goog-Channel-ID") || "";
+    const restricted = channelIds.size > 0 || !!channels;
+    const known = channelIds.has(channelId) || !!channels?.isKnown(channelId);
+    if ((restricted && !known) || !tokenMatches(req.header("X-Goog-Channel-Token"))) {
+      console.warn(`rejected notification from channel "${channelId}"`);
+      return res.sendStatus(403);
+    }
+    const state = req.header("X-Goog-Resource-State") || "unknown";
+    if (["update", "change", "add", "modify"].includes(state)) trigger.notify();
+    // `sync` and anything else: acknowledged, nothing to do
+    res.sendStatus(200);
+  });
+
+  app.get("/status", (_req, res) => {
+    res.json({ mode: MODE, trigger: trigger.status(), ...(queue ? { queue: queue.status() } : {}) });
+  });
+
+  app.get("/channels", (_req, res) => {
+    res.json({
+      managed: !!channels,
+      ...(channels ? channels.status() : {}),
+      acceptedIds: [...channelIds],
+      trigger: trigger.status(),
+    });
+  });
+
+  return {
+    app, trigger, queue, channels,
+    // Returns the http.Server; 0 picks a free port
+    listen(port = env.PORT || 8080) {
+      const server = app.listen(port, () => {
+        console.log(`Webhook listening on :${server.address().port}`);
+        // After listen, so Drive's `sync` message for a new channel gets an answer
+        channels?.start();
+      });
+      return server;
+    },
+  };
+}
+
+// Only when run as `node server.js`; importing this module starts nothing
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  createServer().then((server) => server.listen(), (e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,90 @@
+// webhook/trigger.js — Debounced, coalescing trigger for Drive change bursts
+// notify() on every change; fire() runs once the sheet has been quiet for
+// quietMs (trailing edge), so the last edit of a burst always leads to a run.
+// A steady stream of edits still fires every maxWaitMs at the latest.
+// Before firing, check() is asked what to do:
+//   "busy"    a run is in progress and may have read the sheet already → ask again in recheckMs
+//   "covered" a run that hasn't started yet will see the change → drop it
+//   "fire"    nothing pending upstream → fire()
+// Changes that arrive while fire() is in flight start a new cycle.
+
+export function createTrigger({
+  quietMs, maxWaitMs, recheckMs,
+  check = async () => "fire",
+  fire,
+  log = () => {},
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  now = Date.now,
+}) {
+  let timer = null;
+  let firstPendingAt = 0;   // 0 = nothing pending
+  let running = false;
+  let waitingOnRun = false; // a "busy" recheck is scheduled
+  const stats = { notified: 0, fired: 0, covered: 0, deferred: 0, lastFiredAt: null, lastError: null };
+
+  const arm = (ms) => {
+    if (timer) clearTimer(timer);
+    timer = setTimer(onTimer, Math.max(0, ms));
+  };
+
+  async function onTimer() {
+    timer = null;
+    waitingOnRun = false;
+    if (running) return;
+    running = true;
+    try {
+      let decision = "fire";
+      try {
+        decision = await check();
+      } catch (e) {
+        // Can't tell whether a run is going; firing twice beats missing a change
+        log(`status check failed, firing anyway: ${e?.message || e}`);
+      }
+      if (decision === "busy") {
+        stats.deferred++;
+        log(`run in progress, checking again in ${recheckMs} ms`);
+        waitingOnRun = true;
+        arm(recheckMs);
+        return;
+      }
+      // Edits from here on need a run that starts after this point
+      firstPendingAt = 0;
+      if (decision === "covered") {
+        stats.covered++;
+        log("a queued run will pick the change up");
+        return;
+      }
+      stats.fired++;
+      stats.lastFiredAt = new Date(now()).toISOString();
+      try {
+        await fire();
+        stats.lastError = null;
+      } catch (e) {
+        stats.lastError = e?.message || String(e);
+        log(`fire failed: ${stats.lastError}`);
+      }
+    } finally {
+      running = false;
+      if (firstPendingAt && !timer) arm(quietMs);
+    }
+  }
+
+  return {
+    notify() {
+      stats.notified++;
+      const t = now();
+      if (!firstPendingAt) firstPendingAt = t;
+      // The recheck or the cycle in flight takes this change along
+      if (running || waitingOnRun) return;
+      arm(Math.min(quietMs, firstPendingAt + maxWaitMs - t));
+    },
+    status() {
+      return { ...stats, pending: !!firstPendingAt, running, waitingOnRun };
+    },
+    stop() {
+      if (timer) clearTimer(timer);
+      timer = null;
+    },
+  };
+}